@@ -0,0 +1,129 @@
+const fs = require('fs');
+const { scrape } = require('./scraper');
+const { resultRecords } = require('./output');
+const { validateOptions, cliOnlyOptions, missingTerm } = require('./options');
+
+const defaultBatchOptions = {
+  concurrency: 2,
+  hostDelay: 1000
+};
+
+// Campos da linha do job que não são opções do scrape()
+const jobFields = ['id', 'url'];
+
+/**
+ * Parse a JSONL job file: one { id?, url, term, detalhe, ...overrides } per line (term optional with mainContent "page" or a schema)
+ */
+function readJobs(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const jobs = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const lineNo = i + 1;
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch (e) {
+      jobs.push({ id: `line-${lineNo}`, line: lineNo, error: `Invalid JSON: ${e.message}` });
+      return;
+    }
+    const id = raw && raw.id !== undefined ? String(raw.id) : `line-${lineNo}`;
+    try {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('expected an object');
+      if (!raw.url) throw new Error('missing "url"');
+      const overrides = {};
+      Object.keys(raw).filter(k => !jobFields.includes(k)).forEach(k => { overrides[k] = raw[k]; });
+      const options = validateOptions(overrides, `job ${id} (line ${lineNo})`);
+      cliOnlyOptions.forEach(k => delete options[k]);
+      jobs.push({ id, line: lineNo, url: raw.url, options });
+    } catch (e) {
+      jobs.push({ id, line: lineNo, url: raw && raw.url, error: e.message });
+    }
+  });
+  return jobs;
+}
+
+/**
+ * IDs de jobs que já terminaram com sucesso no arquivo de saída (para retomar um batch interrompido);
+ * jobs com `ok: false` rodam de novo
+ */
+function readFinishedIds(file) {
+  const done = new Set();
+  if (!fs.existsSync(file)) return done;
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try { const rec = JSON.parse(line); if (rec && rec.ok === true && rec.id !== undefined) done.add(String(rec.id)); } catch (e) {}
+  });
+  return done;
+}
+
+/**
+ * Per-host politeness: each request to a host waits `delay` ms after the previous one started
+ */
+function createHostThrottle(delay) {
+  const nextSlot = new Map();
+  return async function waitTurn(url) {
+    if (!delay) return;
+    let host;
+    try { host = new URL(url).host; } catch (e) { return; }
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + delay);
+    if (slot > now) await new Promise(r => setTimeout(r, slot - now));
+  };
+}
+
+/**
+ * Run every job from `jobsFile`, appending one JSON line per job to `outFile`.
+ * Jobs already successful in `outFile` are skipped, so a killed batch resumes where it stopped and failed jobs are retried.
+ */
+async function runBatch(jobsFile, outFile, opts = {}) {
+  const { concurrency, hostDelay, defaults = {}, diagnose = false } = { ...defaultBatchOptions, ...opts };
+  const jobs = readJobs(jobsFile);
+  const finished = readFinishedIds(outFile);
+  const pending = jobs.filter(job => !finished.has(job.id));
+  const waitTurn = createHostThrottle(hostDelay);
+  const summary = { total: jobs.length, skipped: jobs.length - pending.length, ok: 0, failed: 0 };
+
+  const write = (record) => fs.appendFileSync(outFile, JSON.stringify(record) + '\n', 'utf8');
+
+  async function runJob(job) {
+    const started = Date.now();
+    if (job.error) {
+      summary.failed++;
+      write({ id: job.id, url: job.url || null, ok: false, error: job.error, ms: 0 });
+      return;
+    }
+    try {
+      const options = { ...defaults, ...job.options };
+      if (missingTerm(options)) throw new Error('missing "term" (or mainContent "page", or schema)');
+      await waitTurn(job.url);
+      const result = await scrape(job.url, options);
+      summary.ok++;
+      write({
+        id: job.id, url: job.url, ok: true, tier: result.tier,
+        records: resultRecords(result), timings: result.timings, errors: result.errors,
+        ms: Date.now() - started
+      });
+    } catch (e) {
+      summary.failed++;
+      write({ id: job.id, url: job.url, ok: false, error: e && e.message ? e.message : String(e), errors: e && e.errors, ms: Date.now() - started });
+    }
+    if (diagnose) console.error(`[batch] ${job.id} done in ${Date.now() - started}ms`);
+  }
+
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, pending.length) }, async () => {
+    while (next < pending.length) await runJob(pending[next++]);
+  });
+  await Promise.all(workers);
+  return summary;
+}
+
+module.exports = {
+  runBatch,
+  readJobs,
+  readFinishedIds,
+  createHostThrottle,
+  defaultBatchOptions
+};
@@ -0,0 +1,118 @@
+const { defaultHeaders, defaultConfig, waitForNetworkIdle } = require('./utils');
+const { listCookies, addCookies, normalizeCookies } = require('./cookies');
+
+/**
+ * Carrega o playwright sob demanda (é pesado e pode estar sem navegadores instalados)
+ */
+function loadPlaywright() {
+  try {
+    return require('playwright');
+  } catch (e) {
+    throw new Error('playwright is not installed (npm install playwright && npx playwright install chromium)');
+  }
+}
+
+/**
+ * Render a URL with headless Chromium and return the final HTML (scripts removed).
+ * `cookieJar` seeds the browser context and receives the cookies it ends up with;
+ * `proxy` is Playwright's { server, username, password }; `device` (see environment.js) sets the viewport,
+ * pixel ratio, touch, locale and timezone of the context; an aborted `signal` closes the browser.
+ */
+async function renderWithBrowser(url, opts = {}) {
+  const {
+    timeout = defaultConfig.timeout,
+    quiet = 500,
+    networkIdleMs = defaultConfig.networkIdleMs,
+    networkMaxWait = defaultConfig.networkMaxWait,
+    insecure = false,
+    diagnose = false,
+    headers = defaultHeaders,
+    cookieJar = null,
+    proxy = null,
+    device = null,
+    signal = null
+  } = opts;
+  const { chromium } = loadPlaywright();
+
+  const browser = await chromium.launch({ headless: true, ...(proxy ? { proxy } : {}) });
+  const onAbort = () => { browser.close().catch(() => {}); };
+  if (signal) {
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  try {
+    const { 'User-Agent': userAgent, ...extraHTTPHeaders } = headers || {};
+    const context = await browser.newContext({
+      userAgent: userAgent || defaultHeaders['User-Agent'],
+      extraHTTPHeaders,
+      ignoreHTTPSErrors: insecure,
+      ...(device ? {
+        viewport: { width: device.width, height: device.height },
+        deviceScaleFactor: device.dpr,
+        isMobile: device.mobile,
+        hasTouch: device.touch,
+        locale: device.locale,
+        timezoneId: device.timezone
+      } : {})
+    });
+    if (cookieJar) {
+      try { await context.addCookies(listCookies(cookieJar)); } catch (e) { if (diagnose) console.error('[browser] addCookies failed', e && e.message); }
+    }
+    const page = await context.newPage();
+
+    // Track pending requests, same as window.__pendingRequests on the jsdom side
+    let pendingRequests = 0;
+    page.on('request', () => { pendingRequests++; });
+    page.on('requestfinished', () => { pendingRequests = Math.max(0, pendingRequests - 1); });
+    page.on('requestfailed', () => { pendingRequests = Math.max(0, pendingRequests - 1); });
+    if (diagnose) page.on('pageerror', (e) => console.error('[page error]', e.message));
+
+    await page.goto(url, { waitUntil: 'load', timeout: Math.max(timeout, networkMaxWait) });
+
+    // Simulate interaction: scroll to bottom, then click "load more"
+    try {
+      await page.evaluate(() => {
+        window.scrollTo(0, document.body.scrollHeight);
+        window.dispatchEvent(new Event('scroll'));
+      });
+      await page.waitForTimeout(300);
+      await page.evaluate(() => {
+        const btn = document.querySelector('.load-more, [data-load-more], .btn-load-more');
+        if (btn) btn.click();
+      });
+    } catch (e) {
+      if (diagnose) console.error('[browser] interaction failed', e && e.message);
+    }
+
+    // DOM quiescence, evaluated inside the page
+    try {
+      await page.evaluate(({ timeout, quiet }) => new Promise((resolve) => {
+        let lastChange = Date.now();
+        const start = Date.now();
+        const obs = new MutationObserver(() => { lastChange = Date.now(); });
+        obs.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+        (function check() {
+          const now = Date.now();
+          if (now - lastChange >= quiet || now - start >= timeout) { obs.disconnect(); resolve(); }
+          else setTimeout(check, 100);
+        })();
+      }), { timeout, quiet });
+    } catch (e) {}
+
+    await waitForNetworkIdle(() => pendingRequests, { idle: networkIdleMs, maxWait: networkMaxWait });
+
+    await page.evaluate(() => document.querySelectorAll('script').forEach(script => script.remove()));
+    const html = await page.content();
+    if (cookieJar) {
+      try { addCookies(cookieJar, normalizeCookies(await context.cookies())); } catch (e) {}
+    }
+
+    if (diagnose) console.error(`[browser] Rendered ${url}, html length: ${html.length}`);
+    return html;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    try { await browser.close(); } catch (e) {}
+  }
+}
+
+module.exports = { renderWithBrowser };
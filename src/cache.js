@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Response } = require('undici');
+
+// Status que podem ir para o cache (com corpo)
+const cacheableStatuses = [200, 203, 300, 301, 308, 404, 410];
+// Redirecionamentos temporários (cada salto do fetchWithCookies): gravados só para o --from-cache repetir a cadeia
+const offlineOnlyStatuses = [302, 303, 307];
+// Headers que não fazem sentido numa resposta reconstruída do disco
+const droppedHeaders = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Parse Cache-Control into { 'max-age': 60, 'no-store': true, ... }
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  String(value || '').split(',').forEach(part => {
+    const [rawKey, rawValue] = part.split('=');
+    const key = rawKey && rawKey.trim().toLowerCase();
+    if (!key) return;
+    const v = rawValue === undefined ? true : rawValue.trim().replace(/^"|"$/g, '');
+    directives[key] = /^\d+$/.test(v) ? Number(v) : v;
+  });
+  return directives;
+}
+
+/**
+ * Request header names listed in a Vary value (lowercase, sorted); ['*'] when the response varies on anything
+ */
+function parseVary(value) {
+  const names = String(value || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+  return names.includes('*') ? ['*'] : [...new Set(names)].sort();
+}
+
+/**
+ * Values of the `names` request headers (case-insensitive; absent headers count as '')
+ */
+function selectHeaders(requestHeaders, names) {
+  const lower = requestHeaders && typeof requestHeaders.forEach === 'function'
+    ? headersToObject(requestHeaders)
+    : Object.fromEntries(Object.entries(requestHeaders || {}).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  const out = {};
+  names.forEach(name => { out[name] = lower[name] || ''; });
+  return out;
+}
+
+/**
+ * Freshness lifetime (ms) from the response headers: max-age, Expires, or the Last-Modified heuristic
+ */
+function freshnessLifetime(headers) {
+  const cc = parseCacheControl(headers['cache-control']);
+  if (cc['no-store'] || cc['no-cache']) return 0;
+  if (typeof cc['s-maxage'] === 'number') return cc['s-maxage'] * 1000;
+  if (typeof cc['max-age'] === 'number') return Math.max(0, cc['max-age'] * 1000 - (Number(headers.age) || 0) * 1000);
+  const date = Date.parse(headers.date) || Date.now();
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    return Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+  }
+  // Heurística (RFC 9111): 10% do tempo desde a última modificação, no máximo 1 dia
+  const lastModified = Date.parse(headers['last-modified']);
+  if (!Number.isNaN(lastModified)) return Math.min(24 * 3600 * 1000, Math.max(0, (date - lastModified) / 10));
+  return 0;
+}
+
+/**
+ * Content-addressed on-disk HTTP cache.
+ * Bodies live in `bodies/<sha256 of body>`, one JSON entry per URL in `entries/<sha256 of url>.json`;
+ * with a Vary header the entry key also takes the listed request headers (the names are kept in
+ * `entries/<sha256 of url>.vary.json`). Every response but no-store / Vary: * ones is recorded (so
+ * --from-cache can replay a run); Cache-Control decides whether an entry may be reused online. `ttl`
+ * overrides the header-derived freshness. Temporary redirects (302/303/307) are only replayed offline:
+ * online they always go back to the network.
+ */
+class HttpCache {
+  constructor(opts = {}) {
+    this.dir = path.resolve(opts.dir || '.scrape-cache');
+    this.ttl = opts.ttl === undefined || opts.ttl === null ? null : opts.ttl;
+    this.offline = !!opts.offline;
+    this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0 };
+  }
+
+  // `vary`: { header: valor do request } dos headers listados no Vary da resposta
+  entryPath(method, url, vary = {}) {
+    const variant = Object.entries(vary).map(([name, value]) => `\n${name}: ${value}`).join('');
+    return path.join(this.dir, 'entries', `${sha256(`${method} ${url}${variant}`)}.json`);
+  }
+
+  varyPath(method, url) {
+    return path.join(this.dir, 'entries', `${sha256(`${method} ${url}`)}.vary.json`);
+  }
+
+  /**
+   * Vary headers of the request for the entry of `url` (none when the stored response had no Vary)
+   */
+  varyHeaders(method, url, requestHeaders) {
+    let names = [];
+    try { names = JSON.parse(fs.readFileSync(this.varyPath(method, url), 'utf8')); } catch (e) {}
+    return selectHeaders(requestHeaders, names);
+  }
+
+  bodyPath(hash) {
+    return path.join(this.dir, 'bodies', hash.slice(0, 2), hash);
+  }
+
+  writeAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  }
+
+  get(url, method = 'GET', requestHeaders = {}) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.entryPath(method, url, this.varyHeaders(method, url, requestHeaders)), 'utf8'));
+      if (!fs.existsSync(this.bodyPath(entry.bodyHash))) return null;
+      return entry;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  isFresh(entry) {
+    if (offlineOnlyStatuses.includes(entry.status)) return false;
+    // no-store vence até o --cache-ttl
+    if (parseCacheControl(entry.headers['cache-control'])['no-store']) return false;
+    if (this.ttl !== null) return Date.now() - entry.storedAt < this.ttl;
+    return Date.now() < entry.storedAt + freshnessLifetime(entry.headers);
+  }
+
+  /**
+   * Conditional request headers (If-None-Match / If-Modified-Since) for a stale entry
+   */
+  validators(entry) {
+    const headers = {};
+    if (entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+    return headers;
+  }
+
+  /**
+   * Store a response body (call isStorable() first); returns the entry
+   */
+  put(url, status, headers, body, method = 'GET', requestHeaders = {}) {
+    const bodyHash = sha256(body);
+    const bodyFile = this.bodyPath(bodyHash);
+    if (!fs.existsSync(bodyFile)) this.writeAtomic(bodyFile, body);
+    const names = parseVary(headers.vary);
+    if (names.length) this.writeAtomic(this.varyPath(method, url), JSON.stringify(names));
+    else fs.rmSync(this.varyPath(method, url), { force: true });
+    const vary = selectHeaders(requestHeaders, names);
+    const entry = { url, method, status, headers, vary, bodyHash, storedAt: Date.now() };
+    this.writeAtomic(this.entryPath(method, url, vary), JSON.stringify(entry));
+    this.stats.stored++;
+    return entry;
+  }
+
+  /**
+   * After a 304: refresh the entry's headers and storage time
+   */
+  touch(entry, headers) {
+    const merged = { ...entry.headers, ...headers };
+    const updated = { ...entry, headers: merged, storedAt: Date.now() };
+    this.writeAtomic(this.entryPath(entry.method || 'GET', entry.url, entry.vary), JSON.stringify(updated));
+    return updated;
+  }
+
+  toResponse(entry, state = 'hit') {
+    const body = fs.readFileSync(this.bodyPath(entry.bodyHash));
+    const headers = Object.entries(entry.headers).filter(([k]) => !droppedHeaders.includes(k));
+    headers.push(['x-scrape-cache', state]);
+    return new Response(body, { status: entry.status, headers });
+  }
+
+  isCacheable(status) {
+    return cacheableStatuses.includes(status) || offlineOnlyStatuses.includes(status);
+  }
+
+  /**
+   * Whether a response may be written at all: a cacheable status, no no-store, and no Vary: *
+   */
+  isStorable(status, headers) {
+    if (!this.isCacheable(status)) return false;
+    if (parseCacheControl(headers['cache-control'])['no-store']) return false;
+    return parseVary(headers.vary)[0] !== '*';
+  }
+}
+
+/**
+ * Headers de uma Response como objeto simples (nomes minúsculos)
+ */
+function headersToObject(headers) {
+  const out = {};
+  if (headers && typeof headers.forEach === 'function') headers.forEach((value, key) => { out[key.toLowerCase()] = value; });
+  return out;
+}
+
+module.exports = {
+  HttpCache,
+  parseCacheControl,
+  freshnessLifetime,
+  parseVary,
+  headersToObject
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultScrapeOptions } = require('./scraper');
+const { defaultBatchOptions } = require('./batch');
+const { defaultServerOptions } = require('./server');
+const { defaultCrawlOptions } = require('./crawler');
+const { optionSpecs, coerceOption, validateOptions } = require('./options');
+
+// Arquivos de configuração procurados no diretório atual quando --config não é informado
+const configFileNames = ['scrape.config.js', 'scrape.config.json'];
+
+const cliDefaults = { out: null, format: 'markdown', batch: null, ...defaultBatchOptions, ...defaultServerOptions, crawl: false, ...defaultCrawlOptions, ...defaultScrapeOptions };
+
+/**
+ * Load project defaults from a .json or .js config file
+ */
+function loadConfigFile(file) {
+  const resolved = path.resolve(file);
+  let raw;
+  try {
+    raw = resolved.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+      : require(resolved);
+  } catch (e) {
+    throw new Error(`Invalid config file ${file}: ${e.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config file ${file}: expected an object`);
+  }
+
+  return validateOptions(raw, `config file ${file}`);
+}
+
+/**
+ * Procura um arquivo de configuração padrão no diretório informado
+ */
+function findConfigFile(dir = process.cwd()) {
+  for (const name of configFileNames) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Parse argv into { url, help, configFile, options }; throws on unknown flags and bad values
+ */
+function parseArgs(argv, opts = {}) {
+  const positional = [];
+  const flags = {};
+  let help = false;
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (arg === '-h' || arg === '--help') { help = true; continue; }
+    if (!arg.startsWith('--') || arg === '--') { positional.push(arg); continue; }
+
+    let inline;
+    const eq = arg.indexOf('=');
+    if (eq !== -1) { inline = arg.slice(eq + 1); arg = arg.slice(0, eq); }
+
+    const takeValue = () => {
+      if (inline !== undefined) return inline;
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) throw new Error(`${arg} requires a value`);
+      i++;
+      return next;
+    };
+
+    if (arg === '--config') { configFile = takeValue(); continue; }
+
+    const negated = arg.startsWith('--no-');
+    const flag = negated ? `--${arg.slice(5)}` : arg;
+    const spec = optionSpecs.find(s => s.flag === flag);
+    if (!spec || (negated && spec.type !== 'boolean')) throw new Error(`Unknown option ${arg}`);
+
+    if (spec.type === 'boolean') {
+      flags[spec.name] = inline !== undefined ? coerceOption(spec, inline, arg) : !negated;
+    } else if (spec.type === 'list') {
+      flags[spec.name] = (flags[spec.name] || []).concat(coerceOption(spec, takeValue(), arg));
+    } else {
+      flags[spec.name] = coerceOption(spec, takeValue(), arg);
+    }
+  }
+
+  if (positional.length > 1) throw new Error(`Unexpected argument ${positional[1]}`);
+
+  const file = configFile || (opts.findConfig === false ? null : findConfigFile(opts.cwd));
+  const config = file ? loadConfigFile(file) : {};
+
+  return {
+    url: positional[0] || null,
+    help,
+    configFile: file,
+    options: { ...cliDefaults, ...config, ...flags }
+  };
+}
+
+/**
+ * Texto do --help gerado a partir da tabela de opções
+ */
+function usage() {
+  const rows = optionSpecs.map(spec => {
+    const name = spec.type === 'boolean' ? `${spec.flag}, --no-${spec.flag.slice(2)}` : `${spec.flag} <${spec.arg}>`;
+    const def = cliDefaults[spec.name];
+    const shown = Array.isArray(def) ? (def.length ? def.join(',') : null) : def;
+    return [name, spec.desc + (shown === null || shown === undefined ? '' : ` (default: ${shown})`)];
+  });
+  rows.push(['--config <file>', `JSON or JS file with option defaults (default: ./${configFileNames.join(' or ./')})`]);
+  rows.push(['-h, --help', 'Show this help']);
+  const width = Math.max(...rows.map(r => r[0].length)) + 2;
+  return [
+    'Usage: node scrape.js <url> --term "search term" [options]',
+    '       node scrape.js <url> --main-content page [options]',
+    '       node scrape.js <url> --schema schema.json [--term "search term"] [options]',
+    '       node scrape.js --batch jobs.jsonl [--out results.jsonl] [options]',
+    '       node scrape.js serve [--port 3000] [options]',
+    '',
+    'Options:',
+    ...rows.map(([name, desc]) => `  ${name.padEnd(width)}${desc}`)
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  parseArgs,
+  loadConfigFile,
+  findConfigFile,
+  usage
+};
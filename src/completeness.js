@@ -0,0 +1,167 @@
+const { JSDOM } = require('jsdom');
+const { readableText, compileQuery } = require('./matching');
+
+/**
+ * Content-completeness detector: is the HTML of a tier good enough, or should the next tier run?
+ *
+ * Every rule looks at the page ({ url, html, document, text, hydration, opts }) and returns a signal
+ * { score, reason } (positive = looks incomplete, negative = looks complete), a bare number, or null.
+ * The page is incomplete when the summed score reaches `threshold`.
+ */
+const defaultThreshold = 2;
+
+// Contêineres onde SPAs montam a aplicação
+const spaRootSelectors = ['#root', '#__next', '#app', '#__nuxt', '#___gatsby', '#svelte', 'app-root', '[data-reactroot]'];
+const noscriptPattern = /(enable|turn on|activate)\s+javascript|javascript\s+(is\s+)?(required|disabled|needed|must be enabled)|(ative|habilite|ativar|habilitar)\s+o\s+javascript|javascript\s+(est[aá]\s+)?(desativado|desabilitado)/i;
+const skeletonClassPattern = /(^|[\s_-])(skeleton|shimmer|placeholder|loading|spinner)($|[\s_-])/i;
+const hydrationScriptPattern = /window\.__(NUXT|INITIAL_STATE|PRELOADED_STATE|APOLLO_STATE|REDUX_STATE|APP_STATE)__\s*=/;
+
+/**
+ * Built-in rules, in report order
+ */
+const builtinRules = [
+  {
+    name: 'text',
+    test(page) {
+      const length = page.text.length;
+      if (length < 200) return { score: 2, reason: `little visible text (${length} chars)` };
+      const ratio = length / Math.max(1, page.html.length);
+      if (page.html.length > 50000 && ratio < 0.01) return { score: 1, reason: `visible text is ${(ratio * 100).toFixed(2)}% of the HTML` };
+      if (length > 3000) return { score: -1, reason: `${length} chars of visible text` };
+      return null;
+    }
+  },
+  {
+    name: 'spa-root',
+    test(page) {
+      for (const selector of spaRootSelectors) {
+        const el = page.document.querySelector(selector);
+        if (el && readableText(el).trim().length < 20) return { score: 3, reason: `empty SPA root ${selector}` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'noscript',
+    test(page) {
+      const message = Array.from(page.document.querySelectorAll('noscript')).map(n => n.textContent).find(t => noscriptPattern.test(t));
+      return message ? { score: 2, reason: `<noscript> asks for JavaScript ("${message.trim().replace(/\s+/g, ' ').slice(0, 60)}")` } : null;
+    }
+  },
+  {
+    name: 'skeleton',
+    test(page) {
+      const skeletons = Array.from(page.document.querySelectorAll('[class]')).filter(el => skeletonClassPattern.test(el.getAttribute('class'))).length
+        + page.document.querySelectorAll('img[src*="placeholder.com"]').length;
+      if (skeletons >= 3) return { score: 2, reason: `${skeletons} skeleton/placeholder elements` };
+      if (skeletons > 0) return { score: 1, reason: `${skeletons} skeleton/placeholder element(s)` };
+      return null;
+    }
+  },
+  {
+    name: 'term',
+    test(page) {
+      if (!page.opts.term) return null;
+      const matcher = compileQuery(page.opts.term, { fuzzy: page.opts.fuzzy });
+      if (matcher.locate(page.text)) return { score: -3, reason: `term "${page.opts.term}" found` };
+      // Só nos dados embutidos: quem pontua é a regra hydration
+      if (page.hydration && page.hydration.matches && page.hydration.matches.length) return null;
+      return { score: 2, reason: `term "${page.opts.term}" not found` };
+    }
+  },
+  {
+    name: 'hydration',
+    test(page) {
+      // Registros do --term nos dados embutidos: o HTML já traz o conteúdo (compensa a raiz de SPA vazia)
+      const matches = page.hydration && page.hydration.matches ? page.hydration.matches : [];
+      if (matches.length) return { score: -5, reason: `${matches.length} record(s) matching the term in embedded data (${[...new Set(matches.map(m => m.name))].join(', ')})` };
+      const doc = page.document;
+      const found = doc.querySelector('script#__NEXT_DATA__') ? '__NEXT_DATA__'
+        : doc.querySelector('script#__NUXT_DATA__') ? '__NUXT_DATA__'
+          : (Array.from(doc.querySelectorAll('script:not([src])')).map(s => s.textContent.match(hydrationScriptPattern)).find(Boolean) || [])[0];
+      return found ? { score: -1, reason: `hydration data present (${found.replace(/\s*=$/, '')})` } : null;
+    }
+  }
+];
+
+// Regras registradas pelo processo (registerCompletenessRule)
+const customRules = [];
+
+/**
+ * Register a site rule: { name, test(page), hosts? } where `hosts` is a hostname (subdomains included),
+ * a RegExp tested on the URL, or an array of them. Registered rules run after the built-in ones.
+ */
+function registerCompletenessRule(rule) {
+  if (!rule || typeof rule.test !== 'function') throw new Error('Completeness rule needs a test(page) function');
+  customRules.push({ name: rule.name || `custom-${customRules.length + 1}`, ...rule });
+  return rule;
+}
+
+function ruleApplies(rule, url) {
+  if (!rule.hosts) return true;
+  let host = '';
+  try { host = new URL(url).hostname; } catch(e){}
+  return [].concat(rule.hosts).some(h => (h instanceof RegExp ? h.test(url) : host === h || host.endsWith(`.${h}`)));
+}
+
+/**
+ * Score a page. `input` is { html, document?, url, hydration? (see hydration.js) }; opts: term, fuzzy, completenessThreshold,
+ * completenessRules (extra rules for this call). Returns { complete, score, threshold, signals }.
+ */
+function assessCompleteness(input, opts = {}) {
+  const html = String(input.html || '');
+  let dom = null;
+  let document = input.document;
+  if (!document) {
+    dom = new JSDOM(html, { url: input.url || 'about:blank' });
+    document = dom.window.document;
+  }
+  try {
+    const page = {
+      url: input.url || '',
+      html,
+      document,
+      hydration: input.hydration || null,
+      text: readableText(document.body).replace(/\s+/g, ' ').trim(),
+      opts
+    };
+    const rules = [...builtinRules, ...customRules, ...[].concat(opts.completenessRules || [])].filter(r => ruleApplies(r, page.url));
+    const signals = [];
+    for (const rule of rules) {
+      let signal;
+      try { signal = rule.test(page); } catch(e) { signal = null; }
+      if (typeof signal === 'number') signal = { score: signal, reason: rule.name };
+      if (signal && signal.score) signals.push({ rule: rule.name, score: signal.score, reason: signal.reason || rule.name });
+    }
+    const threshold = opts.completenessThreshold !== undefined && opts.completenessThreshold !== null ? opts.completenessThreshold : defaultThreshold;
+    const score = signals.reduce((sum, s) => sum + s.score, 0);
+    return { complete: score < threshold, score, threshold, signals };
+  } finally {
+    if (dom) { try { dom.window.close(); } catch(e){} }
+  }
+}
+
+/**
+ * One-line summary for --diagnose
+ */
+function describeCompleteness(assessment) {
+  const verdict = assessment.complete ? 'complete' : 'incomplete';
+  const signals = assessment.signals.map(s => `${s.reason} (${s.score > 0 ? '+' : ''}${s.score})`).join('; ');
+  return `${verdict}, score ${assessment.score} (threshold ${assessment.threshold})${signals ? `: ${signals}` : ''}`;
+}
+
+/**
+ * Does the HTML look incomplete (needs JS rendering)? Kept for the public API; see assessCompleteness.
+ */
+function needBrowserFallback(html, opts = {}) {
+  return !assessCompleteness({ html, url: opts.url }, opts).complete;
+}
+
+module.exports = {
+  assessCompleteness,
+  describeCompleteness,
+  registerCompletenessRule,
+  needBrowserFallback,
+  builtinRules,
+  defaultThreshold
+};
@@ -1,59 +1,180 @@
+const fs = require('fs');
+const path = require('path');
 const TurndownService = require('turndown');
 const { duplicateRemover } = require('./duplicates');
 
 /**
- * Converte um fragmento HTML em Markdown formatado para ser mais limpo e amigável a LLMs.
+ * Cleanup profiles for convertToLlmReadyMarkdown. A profile:
+ *   name       used by --cleanup-profile
+ *   extends    base profile ('default' when omitted, null for none)
+ *   domains    hostnames (subdomains included) that pick the profile automatically
+ *   turndown   TurndownService options
+ *   remove     CSS selectors dropped from the Markdown
+ *   rules      Turndown rules { name: { filter, replacement } } (JS files only)
+ *   replace    post-processors on the Markdown: [{ pattern: '/regex/flags' | 'text' | RegExp, with: '' }]
  */
-function convertToLlmReadyMarkdown(html) {
-  const td = new TurndownService({
-    headingStyle: 'atx',
-    codeBlockStyle: 'fenced',
-    hr: '---'
-  });
+const cleanupProfiles = new Map();
+// TurndownService por perfil, reaproveitado entre fragmentos e páginas
+const converters = new Map();
+const loadedProfileFiles = new Set();
 
-  td.remove('nav');
-  td.remove('footer');
+const defaultProfile = {
+  name: 'default',
+  extends: null,
+  turndown: { headingStyle: 'atx', codeBlockStyle: 'fenced', hr: '---' },
+  remove: ['nav', 'footer', '.skip-content', '.sr-only', '.hidden', '.visually-hidden', '.icon', '.svg'],
+  rules: {
+    'fix-space': {
+      filter: (node) => node.nodeType === 1 && ['SPAN', 'B', 'EM', 'STRONG'].includes(node.nodeName),
+      replacement: (content) => content.trim() + ' '
+    }
+  },
+  replace: [
+    // Blocos de dados do Next.js e de scripts (os dados em si saem pelo extrator de hydration.js)
+    { pattern: /\{[\s\S]*?("props"|"__N_SSP"|"buildId"|"scripts"|"gtag"|"page"|"query"|"gssp"|"scriptLoader"|"isFallback"|"isExperimentalCompile")[\s\S]*?\}/g, with: '' },
+    { pattern: /,?\s*"buildId":"[^"]+"\s*,\s*"isFallback":(?:true|false)\s*,\s*"isExperimentalCompile":(?:true|false)\s*,\s*"gssp":(?:true|false)\s*,\s*"scriptLoader":\[\]}/g, with: '' },
+    { pattern: /window\.__[A-Z_]+[\s]*=[\s]*\{[^}]*\}/g, with: '' },
+    { pattern: /__INITIAL_STATE__[\s]*=[\s]*\{[^}]*\}/g, with: '' },
+    { pattern: /<script[^>]*>[\s\S]*?<\/script>/gi, with: '' },
+    { pattern: /\$\(document\)\.ready\(function\(\)\s*\{[^}]*\}\);/gs, with: '' },
+    { pattern: /window\.addEventListener\(['"]scroll['"],\s*function\(\)\s*\{[^}]*\}\);/gs, with: '' },
+    { pattern: /console\.log\([^)]*\);?/g, with: '' }
+  ]
+};
 
-  td.addRule('visual-cleanup', {
-    filter: (node, options) => {
-      const classList = (node.className || '').split(' ');
-      const unwantedClasses = ['skip-content', 'sr-only', 'hidden', 'visually-hidden', 'icon', 'svg'];
-      return unwantedClasses.some(cls => classList.includes(cls));
-    },
-    replacement: () => ''
-  });
+// Regras do site para o qual o conversor foi escrito: só com --cleanup-profile magnautos (ou domains num arquivo de perfis)
+const magnautosProfile = {
+  name: 'magnautos',
+  replace: [
+    { pattern: /\[\!\[\]\([^)]*logo[^)]*\)\]\([^)]*\)\s*### MAGNAUTOS MULTIMARCAS.*?(?=\n\n|\n\[\])/gs, with: '' },
+    { pattern: /Enviar Proposta\s*\n\s*,/g, with: '' },
+    { pattern: /\[\[[!\]\([^)]*image[^)]*\)\]\([^)]*Home[^)]*\)\s*\n\s*\[Estoque\]\([^)]*\)/g, with: '' }
+  ]
+};
+
+/**
+ * '/regex/flags' -> RegExp, other strings match literally; always global
+ */
+function toPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(String(pattern));
+  if (m) return new RegExp(m[1], m[2].includes('g') ? m[2] : m[2] + 'g');
+  return new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+}
 
-  td.addRule('fix-space', {
-    filter: (node) => {
-      return node.nodeType === 1 && ["SPAN", "B", "EM", "STRONG"].includes(node.nodeName);
-    },
-    replacement: (content) => {
-      return content.trim() + ' ';
+/**
+ * Add or replace a cleanup profile
+ */
+function registerCleanupProfile(profile) {
+  if (!profile || !profile.name) throw new Error('Cleanup profile needs a name');
+  const replace = [].concat(profile.replace || []).map((r, i) => {
+    if (!r || r.pattern === undefined) throw new Error(`Cleanup profile ${profile.name}: replace[${i}] needs a pattern`);
+    try { return { pattern: toPattern(r.pattern), with: r.with === undefined ? '' : String(r.with) }; } catch (e) {
+      throw new Error(`Cleanup profile ${profile.name}: invalid pattern ${r.pattern} (${e.message})`);
     }
   });
+  cleanupProfiles.set(profile.name, {
+    ...profile,
+    extends: profile.extends === undefined && profile.name !== 'default' ? 'default' : profile.extends,
+    domains: [].concat(profile.domains || []).map(d => String(d).toLowerCase().replace(/^\*?\./, '')),
+    remove: [].concat(profile.remove || []),
+    replace
+  });
+  converters.clear();
+  return profile;
+}
 
-  let markdown = td.turndown(html);
+/**
+ * Load profiles from a .json (array or { profiles: [...] }) or .js file (module exporting the same); once per file
+ */
+function loadCleanupProfiles(file) {
+  const resolved = path.resolve(file);
+  if (loadedProfileFiles.has(resolved)) return;
+  let data;
+  try {
+    data = /\.c?js$/i.test(resolved) ? require(resolved) : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid cleanup profiles file ${file}: ${e.message}`);
+  }
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.profiles) ? data.profiles : null);
+  if (!list) throw new Error(`Invalid cleanup profiles file ${file}: expected an array of profiles or { profiles: [...] }`);
+  list.forEach(registerCleanupProfile);
+  loadedProfileFiles.add(resolved);
+}
 
-  // Remove Next.js and script data blocks
-  const scriptBlockRegex = /\{[\s\S]*?("props"|"__N_SSP"|"buildId"|"scripts"|"gtag"|"page"|"query"|"gssp"|"scriptLoader"|"isFallback"|"isExperimentalCompile")[\s\S]*?\}/g;
-  markdown = markdown.replace(scriptBlockRegex, '');
-  // Additionally remove trailing JSON-like script data that might not be enclosed in curly braces from the start.
-  // Remove Next.js and script data blocks including the specific buildId pattern
-  // This regex targets the buildId string with optional leading comma and handles various boolean values.
-  markdown = markdown.replace(/,?\s*"buildId":"[^"]+"\s*,\s*"isFallback":(?:true|false)\s*,\s*"isExperimentalCompile":(?:true|false)\s*,\s*"gssp":(?:true|false)\s*,\s*"scriptLoader":\[\]}/g, '');
-  markdown = markdown.replace(/window\.__[A-Z_]+[\s]*=[\s]*\{[^}]*\}/g, '');
-  markdown = markdown.replace(/__INITIAL_STATE__[\s]*=[\s]*\{[^}]*\}/g, '');
-  markdown = markdown.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-  markdown = markdown.replace(/\$\(document\)\.ready\(function\(\)\s*\{[^}]*\}\);/gs, '');
-  markdown = markdown.replace(/window\.addEventListener\(['"]scroll['"],\s*function\(\)\s*\{[^}]*\}\);/gs, '');
-  markdown = markdown.replace(/console\.log\([^)]*\);?/g, '');
+/**
+ * Profile name for a conversion: the explicit `profile`, else the profile whose `domains` best match `url`, else 'default'
+ */
+function resolveCleanupProfile(opts = {}) {
+  if (opts.profile) {
+    if (!cleanupProfiles.has(opts.profile)) throw new Error(`Unknown cleanup profile "${opts.profile}" (available: ${Array.from(cleanupProfiles.keys()).join(', ')})`);
+    return opts.profile;
+  }
+  let host = '';
+  try { host = new URL(opts.url).hostname.toLowerCase(); } catch (e) { return 'default'; }
+  let best = 'default';
+  let bestLength = 0;
+  for (const profile of cleanupProfiles.values()) {
+    for (const domain of profile.domains) {
+      if ((host === domain || host.endsWith(`.${domain}`)) && domain.length > bestLength) {
+        best = profile.name;
+        bestLength = domain.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Profile with its `extends` chain merged (base first)
+ */
+function flattenProfile(name, seen = new Set()) {
+  const profile = cleanupProfiles.get(name);
+  if (!profile) throw new Error(`Unknown cleanup profile "${name}"`);
+  if (seen.has(name)) throw new Error(`Cleanup profile "${name}" extends itself`);
+  seen.add(name);
+  const base = profile.extends ? flattenProfile(profile.extends, seen) : { turndown: {}, remove: [], rules: {}, replace: [] };
+  return {
+    turndown: { ...base.turndown, ...profile.turndown },
+    remove: base.remove.concat(profile.remove),
+    rules: { ...base.rules, ...profile.rules },
+    replace: base.replace.concat(profile.replace)
+  };
+}
 
-  // Clean duplicates and clutter
-  // General cleanup
-  markdown = markdown.replace(/\[\!\[\]\([^)]*logo[^)]*\)\]\([^)]*\)\s*### MAGNAUTOS MULTIMARCAS.*?(?=\n\n|\n\[\])/gs, '');
-  markdown = markdown.replace(/Enviar Proposta\s*\n\s*,/g, '');
-  markdown = markdown.replace(/\[\[[!\]\([^)]*image[^)]*\)\]\([^)]*Home[^)]*\)\s*\n\s*\[Estoque\]\([^)]*\)/g, '');
+/**
+ * TurndownService + post-processors of a profile, built once
+ */
+function converterFor(name) {
+  if (converters.has(name)) return converters.get(name);
+  const profile = flattenProfile(name);
+  const td = new TurndownService(profile.turndown);
+  if (profile.remove.length) {
+    const selector = profile.remove.join(', ');
+    td.addRule('cleanup-remove', {
+      filter: (node) => {
+        try { return node.nodeType === 1 && node.matches(selector); } catch (e) { return false; }
+      },
+      replacement: () => ''
+    });
+  }
+  Object.entries(profile.rules).forEach(([ruleName, rule]) => td.addRule(ruleName, rule));
+  const converter = { td, replace: profile.replace };
+  converters.set(name, converter);
+  return converter;
+}
 
+/**
+ * Converte um fragmento HTML em Markdown formatado para ser mais limpo e amigável a LLMs.
+ * opts.profile escolhe o perfil de limpeza; sem ele, o perfil vem do domínio de opts.url.
+ */
+function convertToLlmReadyMarkdown(html, opts = {}) {
+  const { td, replace } = converterFor(resolveCleanupProfile(opts));
+  let markdown = td.turndown(html);
+  for (const r of replace) {
+    r.pattern.lastIndex = 0;
+    markdown = markdown.replace(r.pattern, r.with);
+  }
   return markdown.replace(/\n{3,}/g, '\n\n').trim();
 }
 
@@ -77,8 +198,14 @@ function cleanSvgContent(element) {
   });
 }
 
+registerCleanupProfile(defaultProfile);
+registerCleanupProfile(magnautosProfile);
+
 module.exports = {
   convertToLlmReadyMarkdown,
+  registerCleanupProfile,
+  loadCleanupProfiles,
+  resolveCleanupProfile,
   cleanSvgContent,
   TurndownService
 };
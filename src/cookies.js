@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { Cookie } = require('tough-cookie');
+const { CookieJar } = require('jsdom');
+
+// Um jar por arquivo de cookies: crawl, paginação, batch e servidor compartilham a sessão
+const openJars = new Map();
+
+/**
+ * Cookie jar shared by retryFetch, the resource loader, window.fetch/XHR and the JSDOM instance.
+ * With a file, the jar is loaded from it and shared by every scrape of the process using that file.
+ */
+function openCookieJar(file) {
+  if (!file) return new CookieJar();
+  const resolved = path.resolve(file);
+  if (!openJars.has(resolved)) {
+    const jar = new CookieJar();
+    if (fs.existsSync(resolved)) loadCookies(jar, resolved);
+    openJars.set(resolved, jar);
+  }
+  return openJars.get(resolved);
+}
+
+/**
+ * Linhas de um cookies.txt (formato Netscape/curl) como cookies normalizados
+ */
+function parseNetscapeCookies(text) {
+  const cookies = [];
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    let line = raw.trim();
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) { httpOnly = true; line = line.slice('#HttpOnly_'.length); }
+    if (!line || line.startsWith('#')) return;
+    const parts = line.split('\t');
+    if (parts.length < 7) return;
+    const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = parts;
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain: domain.replace(/^\./, ''),
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE' && !domain.startsWith('.'),
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: Number(expires) > 0 ? Number(expires) : -1
+    });
+  });
+  return cookies;
+}
+
+/**
+ * Cookie objects in the usual JSON shapes (browser extensions, Playwright, tough-cookie) normalized
+ */
+function normalizeCookies(list) {
+  return list.map(c => {
+    const domain = String(c.domain || '');
+    let expires = -1;
+    if (typeof c.expirationDate === 'number') expires = c.expirationDate;
+    else if (typeof c.expires === 'number') expires = c.expires;
+    else if (typeof c.expires === 'string' && c.expires !== 'Infinity' && !Number.isNaN(Date.parse(c.expires))) expires = Date.parse(c.expires) / 1000;
+    return {
+      name: c.name !== undefined ? c.name : c.key,
+      value: String(c.value === undefined ? '' : c.value),
+      domain: domain.replace(/^\./, ''),
+      hostOnly: c.hostOnly !== undefined ? !!c.hostOnly : !domain.startsWith('.'),
+      path: c.path || '/',
+      secure: !!c.secure,
+      httpOnly: !!c.httpOnly,
+      expires: c.session ? -1 : expires
+    };
+  });
+}
+
+/**
+ * JSON cookies: an array or { cookies: [...] } (Playwright storageState, tough-cookie serialization)
+ */
+function parseJsonCookies(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.cookies) ? data.cookies : null);
+  if (!list) throw new Error('expected an array of cookies or { cookies: [...] }');
+  return normalizeCookies(list);
+}
+
+/**
+ * Put normalized cookies in the jar; returns how many were accepted
+ */
+function addCookies(jar, cookies) {
+  let added = 0;
+  for (const c of cookies) {
+    if (!c.name || !c.domain) continue;
+    const cookie = new Cookie({
+      key: c.name,
+      value: c.value,
+      path: c.path,
+      secure: c.secure,
+      httpOnly: c.httpOnly,
+      expires: c.expires > 0 ? new Date(c.expires * 1000) : 'Infinity'
+    });
+    // Sem Domain o cookie fica host-only, como no navegador
+    if (!c.hostOnly) cookie.domain = c.domain;
+    try {
+      if (jar.setCookieSync(cookie, `${c.secure ? 'https' : 'http'}://${c.domain}${c.path}`, { ignoreError: true })) added++;
+    } catch (e) {}
+  }
+  return added;
+}
+
+/**
+ * Load a Netscape cookies.txt or JSON file into the jar; returns the number of cookies kept
+ */
+function loadCookies(jar, file) {
+  let cookies;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    cookies = /^\s*[[{]/.test(text) ? parseJsonCookies(text) : parseNetscapeCookies(text);
+  } catch (e) {
+    throw new Error(`Invalid cookies file ${file}: ${e.message}`);
+  }
+  return addCookies(jar, cookies);
+}
+
+/**
+ * Every cookie of the jar as { name, value, domain, path, expires (s, -1 = session), httpOnly, secure, sameSite }
+ * (Playwright's format, also used for JSON files)
+ */
+function listCookies(jar) {
+  return jar.serializeSync().cookies.map(data => {
+    const cookie = Cookie.fromJSON(data);
+    const expiry = cookie.expiryTime();
+    const sameSite = { strict: 'Strict', lax: 'Lax', none: 'None' }[String(cookie.sameSite).toLowerCase()];
+    return {
+      name: cookie.key,
+      value: cookie.value,
+      domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+      path: cookie.path || '/',
+      expires: Number.isFinite(expiry) ? Math.floor(expiry / 1000) : -1,
+      httpOnly: !!cookie.httpOnly,
+      secure: !!cookie.secure,
+      ...(sameSite ? { sameSite } : {})
+    };
+  }).filter(c => c.expires === -1 || c.expires * 1000 > Date.now());
+}
+
+/**
+ * Save the jar to a .json file (Playwright format) or a Netscape cookies.txt (any other extension)
+ */
+function saveCookies(jar, file) {
+  const cookies = listCookies(jar);
+  const text = /\.json$/i.test(file)
+    ? JSON.stringify(cookies, null, 2)
+    : ['# Netscape HTTP Cookie File', ...cookies.map(c => [
+      `${c.httpOnly ? '#HttpOnly_' : ''}${c.domain}`,
+      c.domain.startsWith('.') ? 'TRUE' : 'FALSE',
+      c.path,
+      c.secure ? 'TRUE' : 'FALSE',
+      c.expires > 0 ? c.expires : 0,
+      c.name,
+      c.value
+    ].join('\t'))].join('\n') + '\n';
+  const resolved = path.resolve(file);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  const tmp = `${resolved}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, resolved);
+}
+
+/**
+ * Cookie header for a request (empty string when none)
+ */
+function cookieHeader(jar, url) {
+  try { return jar.getCookieStringSync(url); } catch (e) { return ''; }
+}
+
+/**
+ * Store the Set-Cookie headers of a response
+ */
+function storeResponseCookies(jar, res, url) {
+  if (!res || !res.headers || typeof res.headers.getSetCookie !== 'function') return;
+  for (const c of res.headers.getSetCookie()) {
+    try { jar.setCookieSync(c, url, { ignoreError: true }); } catch (e) {}
+  }
+}
+
+module.exports = {
+  openCookieJar,
+  addCookies,
+  normalizeCookies,
+  loadCookies,
+  saveCookies,
+  listCookies,
+  parseNetscapeCookies,
+  parseJsonCookies,
+  cookieHeader,
+  storeResponseCookies
+};
@@ -0,0 +1,227 @@
+const { retryFetch, defaultHeaders } = require('./utils');
+const { scrape, createFetchOpts } = require('./scraper');
+
+const defaultCrawlOptions = {
+  maxDepth: 2,
+  maxPages: 20,
+  include: [],
+  exclude: [],
+  sameHost: true,
+  samePath: false,
+  robots: true,
+  crawlDelay: 0
+};
+
+// Parâmetros de rastreamento removidos na canonicalização
+const trackingParams = [/^utm_/i, /^gclid$/i, /^fbclid$/i, /^msclkid$/i, /^yclid$/i, /^dclid$/i, /^mc_cid$/i, /^mc_eid$/i, /^_ga$/i, /^_gl$/i, /^igshid$/i, /^ref_src$/i];
+
+/**
+ * Canonical form used for dedup: no fragment, no tracking params, sorted query, lowercase host
+ */
+function canonicalizeUrl(url) {
+  const u = new URL(url);
+  u.hash = '';
+  u.hostname = u.hostname.toLowerCase();
+  if ((u.protocol === 'http:' && u.port === '80') || (u.protocol === 'https:' && u.port === '443')) u.port = '';
+  const params = Array.from(u.searchParams.entries())
+    .filter(([key]) => !trackingParams.some(re => re.test(key)))
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : (av < bv ? -1 : av > bv ? 1 : 0)));
+  u.search = '';
+  params.forEach(([key, value]) => u.searchParams.append(key, value));
+  return u.href;
+}
+
+/**
+ * Compila um padrão de URL: /regex/flags ou glob (* = qualquer coisa, ? = um caractere)
+ */
+function compileUrlPattern(pattern) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (m) return new RegExp(m[1], m[2]);
+  const source = pattern.split('').map(c => (c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&'))).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse robots.txt into groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const idx = line.indexOf(':');
+    if (idx === -1) return;
+    const field = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) { current = { agents: [], rules: [], crawlDelay: null }; groups.push(current); }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!current) return;
+    if (field === 'allow' || field === 'disallow') {
+      // "Disallow:" vazio libera tudo
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+  return groups;
+}
+
+function robotsRuleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith('$');
+  const source = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Robots policy for a user agent: { isAllowed(url), crawlDelay } (most specific group, longest rule wins)
+ */
+function robotsPolicy(text, userAgent = '*') {
+  const groups = parseRobots(text);
+  const ua = String(userAgent).toLowerCase();
+  const group = groups.find(g => g.agents.some(a => a !== '*' && ua.includes(a)))
+    || groups.find(g => g.agents.includes('*'));
+  const rules = group ? group.rules : [];
+  return {
+    crawlDelay: group ? group.crawlDelay : null,
+    isAllowed(url) {
+      const u = new URL(url);
+      const path = u.pathname + u.search;
+      let best = null;
+      for (const rule of rules) {
+        if (!robotsRuleMatches(rule.path, path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+      }
+      return !best || best.allow;
+    }
+  };
+}
+
+/**
+ * Baixa e interpreta o robots.txt de uma origem (erros e 4xx liberam tudo)
+ */
+async function fetchRobots(origin, fetchOpts = {}) {
+  const userAgent = (fetchOpts.headers || defaultHeaders)['User-Agent'];
+  try {
+    const res = await retryFetch(`${origin}/robots.txt`, { headers: defaultHeaders, ...fetchOpts }, 1);
+    if (res.status >= 400) return robotsPolicy('', userAgent);
+    return robotsPolicy(await res.text(), userAgent);
+  } catch (e) {
+    return robotsPolicy('', userAgent);
+  }
+}
+
+/**
+ * Crawl from `startUrl`: BFS frontier with depth/page limits, scoping, URL patterns and robots.txt.
+ * Every page goes through scrape() (term search included); returns a scrape()-like result plus `pages` and `skipped`.
+ */
+async function crawl(startUrl, options = {}) {
+  const opts = { ...defaultCrawlOptions, ...options, crawl: false, collectLinks: true, renderLinks: false };
+  const { maxDepth, maxPages, sameHost, samePath, diagnose } = opts;
+  // Mesmo dispatcher e cache para todas as páginas e robots.txt
+  opts.fetchOpts = createFetchOpts(opts);
+  const include = [].concat(opts.include || []).map(compileUrlPattern);
+  const exclude = [].concat(opts.exclude || []).map(compileUrlPattern);
+  const start = new URL(canonicalizeUrl(startUrl));
+  const pathPrefix = start.pathname.replace(/[^/]*$/, '');
+  const robotsByOrigin = new Map();
+  const lastFetchByOrigin = new Map();
+  const started = Date.now();
+
+  const seen = new Set([start.href]);
+  const frontier = [{ url: start.href, depth: 0 }];
+  const pages = [];
+  const skipped = [];
+
+  function inScope(url) {
+    const u = new URL(url);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return 'protocol';
+    if (sameHost && u.host !== start.host) return 'host';
+    if (samePath && !u.pathname.startsWith(pathPrefix)) return 'path';
+    if (include.length && !include.some(re => re.test(url))) return 'include';
+    if (exclude.some(re => re.test(url))) return 'exclude';
+    return null;
+  }
+
+  while (frontier.length > 0 && pages.length < maxPages) {
+    const { url, depth } = frontier.shift();
+    const origin = new URL(url).origin;
+
+    let robots = null;
+    if (opts.robots) {
+      if (!robotsByOrigin.has(origin)) robotsByOrigin.set(origin, await fetchRobots(origin, opts.fetchOpts));
+      robots = robotsByOrigin.get(origin);
+      if (!robots.isAllowed(url)) { skipped.push({ url, reason: 'robots' }); continue; }
+    }
+
+    // Crawl-delay do robots.txt ou --crawl-delay, o que for maior
+    const delay = Math.max(opts.crawlDelay || 0, robots && robots.crawlDelay ? robots.crawlDelay * 1000 : 0);
+    const last = lastFetchByOrigin.get(origin);
+    if (delay && last) {
+      const wait = last + delay - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    }
+    lastFetchByOrigin.set(origin, Date.now());
+
+    if (diagnose) console.error(`[crawl] (${pages.length + 1}/${maxPages}) depth ${depth}: ${url}`);
+    let result;
+    try {
+      result = await scrape(url, opts);
+    } catch (e) {
+      pages.push({ url, depth, error: e.message, fragments: [], data: [], records: [] });
+      continue;
+    }
+    pages.push({ url, depth, tier: result.tier, content: result.content, fragments: result.fragments, data: result.data || [], records: result.records || [], invalidRecords: result.invalidRecords || [], timings: result.timings });
+
+    if (depth >= maxDepth) continue;
+    for (const link of result.pageLinks || []) {
+      let canonical;
+      try { canonical = canonicalizeUrl(link); } catch (e) { continue; }
+      if (seen.has(canonical)) continue;
+      seen.add(canonical);
+      const reason = inScope(canonical);
+      if (reason) { skipped.push({ url: canonical, reason }); continue; }
+      frontier.push({ url: canonical, depth: depth + 1 });
+    }
+  }
+
+  const fragments = [];
+  pages.forEach(page => page.fragments.forEach(f => fragments.push({ ...f, index: fragments.length + 1, sourceUrl: page.url })));
+  const data = pages.reduce((all, page) => all.concat(page.data), []);
+  const records = pages.reduce((all, page) => all.concat(page.records), []);
+  const content = pages
+    .filter(page => !page.error && (page.fragments.length > 0 || page.data.length > 0 || page.records.length > 0 || (!opts.term && !opts.schema)))
+    .map(page => `## ${page.url}\n\n${page.content}`)
+    .join('\n\n---\n\n');
+
+  return {
+    url: start.href,
+    tier: 'crawl',
+    content: content || '<!-- Nenhum fragmento encontrado -->',
+    fragments,
+    links: [],
+    data,
+    ...(opts.schema ? { records, invalidRecords: pages.reduce((all, page) => all.concat(page.invalidRecords || []), []) } : {}),
+    pages: pages.map(({ url, depth, tier, error, fragments, data, records, timings }) => ({ url, depth, tier, error, fragments: fragments.length, data: data.length, ...(opts.schema ? { records: records.length } : {}), timings })),
+    skipped,
+    timings: { total: Date.now() - started },
+    errors: pages.filter(p => p.error).map(p => ({ tier: 'crawl', url: p.url, message: p.error }))
+  };
+}
+
+module.exports = {
+  crawl,
+  canonicalizeUrl,
+  compileUrlPattern,
+  parseRobots,
+  robotsPolicy,
+  fetchRobots,
+  defaultCrawlOptions
+};
@@ -0,0 +1,655 @@
+const nodeCrypto = require('crypto');
+const util = require('util');
+const { cssEscape } = require('./selectors');
+const { defaultAcceptLanguage } = require('./headers');
+
+/**
+ * Browser environment emulated in the jsdom windows: a device profile (viewport, pixel ratio, touch,
+ * locale, timezone) and the Web APIs jsdom lacks or only stubs. jsdom has no layout, so every observed
+ * element is treated as visible (IntersectionObserver) and as large as the viewport (ResizeObserver).
+ */
+const deviceProfiles = {
+  desktop: { width: 1366, height: 768, dpr: 1, mobile: false, touch: false },
+  'desktop-hd': { width: 1920, height: 1080, dpr: 1, mobile: false, touch: false },
+  // iPadOS anuncia UA de desktop: só o toque muda
+  tablet: { width: 820, height: 1180, dpr: 2, mobile: false, touch: true },
+  mobile: { width: 390, height: 844, dpr: 3, mobile: true, touch: true, uaProfile: 'chrome-android' }
+};
+const defaultDevice = 'desktop';
+const defaultTimezone = 'America/Sao_Paulo';
+
+/**
+ * Device of a run: a profile from the table plus the viewport / dpr / locale / timezone overrides.
+ * It also keeps the run state shared by its windows: localStorage per origin and BroadcastChannels.
+ */
+function createDevice(opts = {}) {
+  const name = opts.device || defaultDevice;
+  const profile = deviceProfiles[name];
+  if (!profile) throw new Error(`Unknown device "${name}" (use ${Object.keys(deviceProfiles).join(', ')})`);
+  let { width, height } = profile;
+  if (opts.viewport) {
+    const m = String(opts.viewport).trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    if (!m || !Number(m[1]) || !Number(m[2])) throw new Error(`Invalid viewport "${opts.viewport}" (expected WIDTHxHEIGHT, e.g. 1366x768)`);
+    width = Number(m[1]);
+    height = Number(m[2]);
+  }
+  const dpr = opts.dpr !== undefined && opts.dpr !== null ? Number(opts.dpr) : profile.dpr;
+  if (!(dpr > 0)) throw new Error(`Invalid device pixel ratio "${opts.dpr}"`);
+  const locale = opts.locale || String(opts.acceptLanguage || defaultAcceptLanguage).split(/[,;]/)[0].trim();
+  try { new Intl.Locale(locale); } catch (e) { throw new Error(`Invalid locale "${locale}"`); }
+  const timezone = opts.timezone || defaultTimezone;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: timezone }); } catch (e) { throw new Error(`Invalid timezone "${timezone}" (expected an IANA name, e.g. America/Sao_Paulo)`); }
+  return {
+    name, width, height, dpr, mobile: profile.mobile, touch: profile.touch, uaProfile: profile.uaProfile || null, locale, timezone,
+    localStores: new Map(),
+    channels: new Map()
+  };
+}
+
+/**
+ * Accept-Language for a locale: pt-BR -> "pt-BR,pt;q=0.9"
+ */
+function acceptLanguageFor(locale) {
+  const base = String(locale).split('-')[0];
+  return base && base !== locale ? `${locale},${base};q=0.9` : String(locale);
+}
+
+const define = (obj, name, value) => Object.defineProperty(obj, name, { value, configurable: true, writable: true });
+const getter = (obj, name, get) => Object.defineProperty(obj, name, { get, configurable: true, enumerable: true });
+
+/**
+ * Media query evaluated against the device (width/height, orientation, resolution, hover/pointer,
+ * prefers-*); comma lists, `and`, `not` and `only` are supported, unknown features never match
+ */
+function mediaMatches(query, device) {
+  return String(query).split(',').some(part => {
+    let q = part.trim().toLowerCase();
+    if (!q) return false;
+    const negate = q.startsWith('not ');
+    if (negate) q = q.slice(4);
+    q = q.replace(/^only\s+/, '');
+    const result = q.split(/\s+and\s+/).every(term => mediaFeature(term.trim(), device));
+    return negate ? !result : result;
+  });
+}
+
+function mediaFeature(term, device) {
+  if (/^(all|screen)$/.test(term)) return true;
+  if (/^[a-z-]+$/.test(term)) return false;
+  const length = (v) => { const n = parseFloat(v); return /r?em$/.test(v) ? n * 16 : n; };
+  const dppx = (v) => { const n = parseFloat(v); return /dpi$/.test(v) ? n / 96 : (/dpcm$/.test(v) ? n * 2.54 / 96 : n); };
+  // Sintaxe de intervalo: (width >= 768px)
+  const range = term.match(/^\(\s*(width|height)\s*(<=|>=|<|>|=)\s*([\d.]+[a-z]*)\s*\)$/);
+  if (range) {
+    const actual = range[1] === 'width' ? device.width : device.height;
+    const value = length(range[3]);
+    return { '<=': actual <= value, '>=': actual >= value, '<': actual < value, '>': actual > value, '=': actual === value }[range[2]];
+  }
+  const m = term.match(/^\(\s*([a-z-]+)\s*(?::\s*([^)]+?))?\s*\)$/);
+  if (!m) return false;
+  const [, feature, value = null] = m;
+  const landscape = device.width > device.height;
+  switch (feature) {
+    case 'width': return value === null || device.width === length(value);
+    case 'min-width': return device.width >= length(value);
+    case 'max-width': return device.width <= length(value);
+    case 'height': return value === null || device.height === length(value);
+    case 'min-height': return device.height >= length(value);
+    case 'max-height': return device.height <= length(value);
+    case 'orientation': return value === (landscape ? 'landscape' : 'portrait');
+    case 'aspect-ratio': case 'min-aspect-ratio': case 'max-aspect-ratio': {
+      const [w, h = 1] = String(value).split('/').map(Number);
+      const ratio = device.width / device.height;
+      return feature === 'aspect-ratio' ? Math.abs(ratio - w / h) < 0.001 : (feature === 'min-aspect-ratio' ? ratio >= w / h : ratio <= w / h);
+    }
+    case 'resolution': return value === null || device.dpr === dppx(value);
+    case 'min-resolution': return device.dpr >= dppx(value);
+    case 'max-resolution': return device.dpr <= dppx(value);
+    case '-webkit-device-pixel-ratio': return device.dpr === Number(value);
+    case '-webkit-min-device-pixel-ratio': case 'min--moz-device-pixel-ratio': return device.dpr >= Number(value);
+    case '-webkit-max-device-pixel-ratio': case 'max--moz-device-pixel-ratio': return device.dpr <= Number(value);
+    case 'hover': case 'any-hover': return value === null || value === 'hover' ? !device.touch : value === 'none' && device.touch;
+    case 'pointer': case 'any-pointer': return value === null || (value === 'coarse' ? device.touch : value === 'fine' && !device.touch);
+    case 'color': return value === null || Number(value) <= 8;
+    case 'min-color': return Number(value) <= 8;
+    case 'prefers-color-scheme': return value === 'light';
+    case 'prefers-reduced-motion': case 'prefers-reduced-transparency': case 'prefers-contrast': return value === 'no-preference';
+    case 'forced-colors': case 'inverted-colors': return value === 'none';
+    case 'display-mode': return value === 'browser';
+    case 'scripting': return value === null || value === 'enabled';
+    case 'update': return value === null || value === 'fast';
+    default: return false;
+  }
+}
+
+/**
+ * structuredClone into the window realm (objects, arrays, Date, RegExp, Map, Set, binary data, errors,
+ * cycles); functions and DOM nodes throw DataCloneError as in the browser
+ */
+function cloneInto(window, value, seen = new Map()) {
+  const fail = () => { throw new window.DOMException(`${Object.prototype.toString.call(value)} could not be cloned.`, 'DataCloneError'); };
+  if (typeof value === 'function' || typeof value === 'symbol') fail();
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+  const keep = (out) => { seen.set(value, out); return out; };
+  const tag = Object.prototype.toString.call(value).slice(8, -1);
+  if (ArrayBuffer.isView(value)) {
+    const Ctor = tag === 'DataView' ? window.DataView : window[tag];
+    if (typeof Ctor !== 'function') fail();
+    const buffer = cloneInto(window, value.buffer, seen);
+    return keep(tag === 'DataView' ? new Ctor(buffer, value.byteOffset, value.byteLength) : new Ctor(buffer, value.byteOffset, value.length));
+  }
+  switch (tag) {
+    case 'Date': return keep(new window.Date(value.getTime()));
+    case 'RegExp': return keep(new window.RegExp(value.source, value.flags));
+    case 'Boolean': case 'Number': case 'String': return keep(window.Object(value.valueOf()));
+    case 'ArrayBuffer': {
+      const copy = new window.ArrayBuffer(value.byteLength);
+      new window.Uint8Array(copy).set(new Uint8Array(value));
+      return keep(copy);
+    }
+    case 'Map': {
+      const out = keep(new window.Map());
+      value.forEach((v, k) => out.set(cloneInto(window, k, seen), cloneInto(window, v, seen)));
+      return out;
+    }
+    case 'Set': {
+      const out = keep(new window.Set());
+      value.forEach(v => out.add(cloneInto(window, v, seen)));
+      return out;
+    }
+    case 'Array': {
+      const out = keep(new window.Array(value.length));
+      value.forEach((v, i) => { out[i] = cloneInto(window, v, seen); });
+      return out;
+    }
+    case 'Error': {
+      const Ctor = typeof window[value.name] === 'function' && /Error$/.test(value.name) ? window[value.name] : window.Error;
+      const out = keep(new Ctor(value.message));
+      if (value.stack) out.stack = value.stack;
+      return out;
+    }
+    case 'Blob': case 'File': case 'FileList': case 'ImageData': return keep(value);
+    case 'Object': {
+      if (typeof value.nodeType === 'number' || typeof value.addEventListener === 'function') fail();
+      const out = keep(new window.Object());
+      Object.keys(value).forEach(k => { out[k] = cloneInto(window, value[k], seen); });
+      return out;
+    }
+    default: return fail();
+  }
+}
+
+/**
+ * Storage (localStorage / sessionStorage) over a Map: Storage methods plus property access
+ */
+function createStorage(store) {
+  const api = {
+    get length() { return store.size; },
+    key: (i) => { const keys = Array.from(store.keys()); return i >= 0 && i < keys.length ? keys[i] : null; },
+    getItem: (k) => (store.has(String(k)) ? store.get(String(k)) : null),
+    setItem: (k, v) => { store.set(String(k), String(v)); },
+    removeItem: (k) => { store.delete(String(k)); },
+    clear: () => store.clear(),
+    [Symbol.toStringTag]: 'Storage'
+  };
+  return new Proxy(api, {
+    get: (target, prop) => (prop in target ? target[prop] : (typeof prop === 'string' && store.has(prop) ? store.get(prop) : undefined)),
+    set: (target, prop, value) => { if (typeof prop === 'string' && !(prop in target)) store.set(prop, String(value)); return true; },
+    deleteProperty: (target, prop) => { store.delete(String(prop)); return true; },
+    has: (target, prop) => prop in target || store.has(String(prop)),
+    ownKeys: () => Array.from(store.keys()),
+    getOwnPropertyDescriptor: (target, prop) => (store.has(String(prop)) ? { value: store.get(String(prop)), enumerable: true, configurable: true, writable: true } : undefined)
+  });
+}
+
+/**
+ * Minutes east of UTC of `timeZone` at instant `t`
+ */
+function zoneOffset(timeZone, t) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' })
+    .formatToParts(new Date(t)).forEach(p => { parts[p.type] = Number(p.value); });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(t / 1000) * 1000) / 60000);
+}
+
+function installViewport(window, device) {
+  const { width, height, dpr } = device;
+  const chrome = device.mobile ? 0 : 85;
+  Object.entries({ innerWidth: width, innerHeight: height, outerWidth: width, outerHeight: height + chrome, devicePixelRatio: dpr, screenX: 0, screenY: 0, screenLeft: 0, screenTop: 0 })
+    .forEach(([name, value]) => define(window, name, value));
+  const orientation = { type: width > height ? 'landscape-primary' : 'portrait-primary', angle: 0, onchange: null, addEventListener() {}, removeEventListener() {}, lock: () => window.Promise.resolve(), unlock() {} };
+  Object.entries({ width, height, availWidth: width, availHeight: height - (device.mobile ? 0 : 40), availLeft: 0, availTop: 0, colorDepth: 24, pixelDepth: 24, orientation })
+    .forEach(([name, value]) => getter(window.screen, name, () => value));
+  define(window, 'visualViewport', Object.assign(new window.EventTarget(), { width, height, scale: 1, offsetLeft: 0, offsetTop: 0, pageLeft: 0, pageTop: 0, onresize: null, onscroll: null }));
+  // Sem layout no jsdom: a raiz do documento mede o viewport (breakpoints por clientWidth)
+  getter(window.HTMLHtmlElement.prototype, 'clientWidth', () => width);
+  getter(window.HTMLHtmlElement.prototype, 'clientHeight', () => height);
+}
+
+function installMatchMedia(window, device) {
+  define(window, 'matchMedia', (query) => {
+    const listeners = new Set();
+    return {
+      media: String(query),
+      matches: mediaMatches(query, device),
+      onchange: null,
+      addListener: (fn) => listeners.add(fn),
+      removeListener: (fn) => listeners.delete(fn),
+      addEventListener: (type, fn) => type === 'change' && listeners.add(fn),
+      removeEventListener: (type, fn) => listeners.delete(fn),
+      dispatchEvent: () => true
+    };
+  });
+}
+
+function installScroll(window) {
+  const scrollTo = function(x, y) {
+    try {
+      if (typeof x === 'object' && x !== null) {
+        y = x.top || x.y || 0;
+      }
+      if (window.document && window.document.documentElement) {
+        try { window.document.documentElement.scrollTop = y || 0; } catch (e) {}
+        try { window.document.body && (window.document.body.scrollTop = y || 0); } catch (e) {}
+      }
+      try { window.dispatchEvent(new window.Event('scroll')); } catch (e) {}
+    } catch (e) {}
+  };
+  define(window, 'scrollTo', scrollTo);
+  define(window, 'scroll', scrollTo);
+  define(window, 'scrollBy', (x, y) => scrollTo(typeof x === 'object' && x !== null ? { top: (window.document.documentElement.scrollTop || 0) + (x.top || 0) } : 0, (window.document.documentElement.scrollTop || 0) + (y || 0)));
+  const proto = window.Element.prototype;
+  ['scrollIntoView', 'scrollTo', 'scrollBy', 'scroll'].forEach(name => { if (!proto[name]) define(proto, name, function() {}); });
+}
+
+function installObservers(window, device) {
+  const rect = (width, height) => ({ x: 0, y: 0, top: 0, left: 0, width, height, right: width, bottom: height, toJSON() { return { ...this }; } });
+  const rootBounds = rect(device.width, device.height);
+
+  // Tudo visível: o callback recebe os alvos em lote, de forma assíncrona, como no navegador
+  class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.root = options.root || null;
+      this.rootMargin = options.rootMargin || '0px 0px 0px 0px';
+      this.thresholds = [].concat(options.threshold === undefined ? 0 : options.threshold);
+      this.targets = new Set();
+      this.records = [];
+    }
+    observe(target) {
+      if (this.targets.has(target)) return;
+      this.targets.add(target);
+      const box = target.getBoundingClientRect ? target.getBoundingClientRect() : rect(0, 0);
+      this.records.push({ target, time: window.performance.now(), isIntersecting: true, intersectionRatio: 1, boundingClientRect: box, intersectionRect: box, rootBounds });
+      if (this.records.length === 1) window.setTimeout(() => this.flush(), 0);
+    }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); this.records = []; }
+    takeRecords() { const records = this.records; this.records = []; return records; }
+    flush() {
+      const records = this.takeRecords().filter(r => this.targets.has(r.target));
+      if (records.length) { try { this.callback(records, this); } catch (e) {} }
+    }
+  }
+
+  class ResizeObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      this.pending = [];
+    }
+    observe(target) {
+      if (this.targets.has(target)) return;
+      this.targets.add(target);
+      const size = [{ inlineSize: device.width, blockSize: device.height }];
+      this.pending.push({ target, contentRect: rect(device.width, device.height), borderBoxSize: size, contentBoxSize: size, devicePixelContentBoxSize: [{ inlineSize: device.width * device.dpr, blockSize: device.height * device.dpr }] });
+      if (this.pending.length === 1) {
+        window.setTimeout(() => {
+          const entries = this.pending.filter(e => this.targets.has(e.target));
+          this.pending = [];
+          if (entries.length) { try { this.callback(entries, this); } catch (e) {} }
+        }, 0);
+      }
+    }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); this.pending = []; }
+  }
+
+  class PerformanceObserver {
+    constructor(callback) { this.callback = callback; }
+    observe() {}
+    disconnect() {}
+    takeRecords() { return []; }
+  }
+  PerformanceObserver.supportedEntryTypes = [];
+
+  define(window, 'IntersectionObserver', IntersectionObserver);
+  define(window, 'IntersectionObserverEntry', function IntersectionObserverEntry() {});
+  if (!window.ResizeObserver) define(window, 'ResizeObserver', ResizeObserver);
+  if (!window.PerformanceObserver) define(window, 'PerformanceObserver', PerformanceObserver);
+}
+
+/**
+ * Images "load" without being downloaded: load fires for every src set (property, attribute or markup),
+ * so lazy loaders and onload handlers move on
+ */
+function installImages(window) {
+  const proto = window.HTMLImageElement.prototype;
+  const loaded = new WeakMap();
+  const load = (img) => {
+    const src = img.getAttribute('src');
+    if (!src || loaded.get(img) === src) return;
+    loaded.set(img, src);
+    window.setTimeout(() => { try { img.dispatchEvent(new window.Event('load')); } catch (e) {} }, 0);
+  };
+  const src = Object.getOwnPropertyDescriptor(proto, 'src');
+  Object.defineProperty(proto, 'src', { configurable: true, enumerable: true, get() { return src.get.call(this); }, set(value) { src.set.call(this, value); load(this); } });
+  getter(proto, 'complete', function() { return !this.getAttribute('src') || loaded.has(this); });
+  const natural = (attr) => function() { return loaded.has(this) ? (Number(this.getAttribute(attr)) || 1) : 0; };
+  getter(proto, 'naturalWidth', natural('width'));
+  getter(proto, 'naturalHeight', natural('height'));
+  define(proto, 'decode', function() { return window.Promise.resolve(); });
+  const observer = new window.MutationObserver((mutations) => {
+    for (const m of mutations) {
+      if (m.type === 'attributes') { if (m.target.localName === 'img') load(m.target); continue; }
+      m.addedNodes.forEach(node => {
+        if (node.nodeType !== 1) return;
+        if (node.localName === 'img') load(node);
+        node.querySelectorAll('img[src]').forEach(load);
+      });
+    }
+  });
+  observer.observe(window.document, { subtree: true, childList: true, attributes: true, attributeFilter: ['src'] });
+}
+
+/**
+ * localStorage shared by the windows of a run with the same origin (page, links, login);
+ * sessionStorage per window
+ */
+function installStorage(window, device) {
+  const origin = window.location.origin;
+  if (!device.localStores.has(origin)) device.localStores.set(origin, new Map());
+  const local = createStorage(device.localStores.get(origin));
+  const session = createStorage(new Map());
+  getter(window, 'localStorage', () => local);
+  getter(window, 'sessionStorage', () => session);
+}
+
+function installCrypto(window) {
+  if (!window.crypto) getter(window, 'crypto', () => nodeCrypto.webcrypto);
+  const crypto = window.crypto;
+  if (typeof crypto.getRandomValues !== 'function') define(crypto, 'getRandomValues', (array) => nodeCrypto.webcrypto.getRandomValues(array));
+  if (typeof crypto.randomUUID !== 'function') define(crypto, 'randomUUID', () => nodeCrypto.randomUUID());
+  if (!crypto.subtle) getter(crypto, 'subtle', () => nodeCrypto.webcrypto.subtle);
+}
+
+function installEncoding(window) {
+  // Uint8Array do realm da página (instanceof Uint8Array funciona nos scripts)
+  const encoder = new util.TextEncoder();
+  class TextEncoder {
+    get encoding() { return 'utf-8'; }
+    encode(input = '') { return new window.Uint8Array(encoder.encode(String(input))); }
+    encodeInto(input, dest) { return encoder.encodeInto(String(input), dest); }
+  }
+  class TextDecoder {
+    constructor(label = 'utf-8', options = {}) { this.decoder = new util.TextDecoder(label, options); }
+    get encoding() { return this.decoder.encoding; }
+    get fatal() { return this.decoder.fatal; }
+    get ignoreBOM() { return this.decoder.ignoreBOM; }
+    decode(input, options) { return this.decoder.decode(input, options); }
+  }
+  if (!window.TextEncoder) define(window, 'TextEncoder', TextEncoder);
+  if (!window.TextDecoder) define(window, 'TextDecoder', TextDecoder);
+}
+
+function installMessaging(window, device) {
+  const deliver = (target, data) => {
+    const event = new window.MessageEvent('message', { data });
+    if (typeof target.onmessage === 'function') { try { target.onmessage.call(target, event); } catch (e) {} }
+    target.dispatchEvent(event);
+  };
+
+  class MessagePort extends window.EventTarget {
+    constructor() {
+      super();
+      this.onmessage = null;
+      this.onmessageerror = null;
+      this.__entangled = null;
+      this.__closed = false;
+    }
+    postMessage(message) {
+      const other = this.__entangled;
+      if (!other || this.__closed) return;
+      const data = cloneInto(window, message);
+      window.setTimeout(() => { if (!other.__closed) deliver(other, data); }, 0);
+    }
+    start() {}
+    close() { this.__closed = true; }
+  }
+  class MessageChannel {
+    constructor() {
+      this.port1 = new MessagePort();
+      this.port2 = new MessagePort();
+      this.port1.__entangled = this.port2;
+      this.port2.__entangled = this.port1;
+    }
+  }
+
+  // Canais por origem + nome, compartilhados pelas janelas da execução
+  const origin = window.location.origin;
+  class BroadcastChannel extends window.EventTarget {
+    constructor(name) {
+      super();
+      this.name = String(name);
+      this.onmessage = null;
+      this.onmessageerror = null;
+      this.__closed = false;
+      const key = `${origin}|${this.name}`;
+      if (!device.channels.has(key)) device.channels.set(key, new Set());
+      this.__members = device.channels.get(key);
+      this.__members.add(this);
+      this.__receive = (message) => {
+        try { window.setTimeout(() => { if (!this.__closed) deliver(this, cloneInto(window, message)); }, 0); } catch (e) { this.close(); }
+      };
+    }
+    postMessage(message) {
+      if (this.__closed) throw new window.DOMException('BroadcastChannel is closed.', 'InvalidStateError');
+      this.__members.forEach(member => { if (member !== this) member.__receive(message); });
+    }
+    close() {
+      this.__closed = true;
+      this.__members.delete(this);
+    }
+  }
+
+  define(window, 'MessagePort', MessagePort);
+  define(window, 'MessageChannel', MessageChannel);
+  if (!window.BroadcastChannel) define(window, 'BroadcastChannel', BroadcastChannel);
+  // Canais desta janela saem do grupo quando ela fecha
+  window.addEventListener('unload', () => device.channels.forEach(members => members.forEach(m => { if (m instanceof BroadcastChannel) m.close(); })));
+}
+
+/**
+ * navigator fields matching the run's User-Agent and client hints, the device and the locale
+ */
+function installNavigator(window, device, headers = {}) {
+  const ua = window.navigator.userAgent;
+  const chromium = /Chrome\//.test(ua);
+  const platform = /Windows/.test(ua) ? 'Win32' : /iPhone/.test(ua) ? 'iPhone' : /iPad/.test(ua) ? 'iPad' : /Macintosh/.test(ua) ? 'MacIntel' : /Android/.test(ua) ? 'Linux armv81' : 'Linux x86_64';
+  const base = device.locale.split('-')[0];
+  const fields = {
+    language: device.locale,
+    languages: Object.freeze([...new Set([device.locale, base])]),
+    platform,
+    vendor: chromium ? 'Google Inc.' : (/Safari\//.test(ua) && !/Firefox\//.test(ua) ? 'Apple Computer, Inc.' : ''),
+    hardwareConcurrency: 8,
+    maxTouchPoints: device.touch ? 5 : 0,
+    webdriver: false,
+    onLine: true,
+    cookieEnabled: true,
+    pdfViewerEnabled: !device.mobile,
+    doNotTrack: null,
+    permissions: { query: (descriptor) => window.Promise.resolve({ name: descriptor && descriptor.name, state: 'prompt', onchange: null, addEventListener() {}, removeEventListener() {} }) },
+    sendBeacon: (url, data) => {
+      // Passa pelo fetch da página (regras de interceptação, cookies)
+      try { window.fetch(url, { method: 'POST', body: data, keepalive: true }).catch(() => {}); } catch (e) {}
+      return true;
+    }
+  };
+  if (chromium) {
+    const hint = Object.entries(headers).find(([k]) => k.toLowerCase() === 'sec-ch-ua');
+    const brands = hint ? Array.from(String(hint[1]).matchAll(/"([^"]+)";v="([^"]+)"/g)).map(([, brand, version]) => ({ brand, version })) : [];
+    const uaPlatform = { Win32: 'Windows', MacIntel: 'macOS', 'Linux armv81': 'Android' }[platform] || 'Linux';
+    const mobile = /Mobile/.test(ua);
+    fields.deviceMemory = 8;
+    fields.connection = { effectiveType: '4g', downlink: 10, rtt: 50, saveData: false, onchange: null, addEventListener() {}, removeEventListener() {} };
+    fields.userAgentData = {
+      brands, mobile, platform: uaPlatform,
+      getHighEntropyValues: (hints) => window.Promise.resolve({
+        brands, mobile, platform: uaPlatform, architecture: mobile ? 'arm' : 'x86', bitness: '64', model: '',
+        platformVersion: uaPlatform === 'Windows' ? '10.0.0' : '', uaFullVersion: (ua.match(/Chrome\/([\d.]+)/) || [])[1] || '',
+        fullVersionList: brands
+      }),
+      toJSON: () => ({ brands, mobile, platform: uaPlatform })
+    };
+  }
+  Object.entries(fields).forEach(([name, value]) => getter(window.navigator, name, () => value));
+}
+
+/**
+ * Locale and timezone for Intl and the Date locale methods. The Date getters (getHours...) still use the
+ * process timezone: a vm context cannot have its own.
+ */
+function installIntl(window, device) {
+  const { locale, timezone } = device;
+  const Intl = window.Intl;
+  const NativeDateTimeFormat = Intl.DateTimeFormat;
+  const NativeNumberFormat = Intl.NumberFormat;
+  const DateTimeFormat = function DateTimeFormat(locales, options) {
+    return new NativeDateTimeFormat(locales === undefined ? locale : locales, { timeZone: timezone, ...options });
+  };
+  DateTimeFormat.prototype = NativeDateTimeFormat.prototype;
+  DateTimeFormat.supportedLocalesOf = NativeDateTimeFormat.supportedLocalesOf;
+  const NumberFormat = function NumberFormat(locales, options) {
+    return new NativeNumberFormat(locales === undefined ? locale : locales, options);
+  };
+  NumberFormat.prototype = NativeNumberFormat.prototype;
+  NumberFormat.supportedLocalesOf = NativeNumberFormat.supportedLocalesOf;
+  define(Intl, 'DateTimeFormat', DateTimeFormat);
+  define(Intl, 'NumberFormat', NumberFormat);
+
+  const dateProto = window.Date.prototype;
+  ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString'].forEach(name => {
+    const native = dateProto[name];
+    define(dateProto, name, function(locales, options) { return native.call(this, locales === undefined ? locale : locales, { timeZone: timezone, ...options }); });
+  });
+  const toLocaleNumber = window.Number.prototype.toLocaleString;
+  define(window.Number.prototype, 'toLocaleString', function(locales, options) { return toLocaleNumber.call(this, locales === undefined ? locale : locales, options); });
+  define(dateProto, 'getTimezoneOffset', function() {
+    const t = this.getTime();
+    // 0 - x: UTC dá 0, não -0
+    return Number.isNaN(t) ? NaN : 0 - zoneOffset(timezone, t);
+  });
+}
+
+function installTimers(window) {
+  if (!window.requestAnimationFrame) define(window, 'requestAnimationFrame', (cb) => window.setTimeout(() => cb(window.performance.now()), 16));
+  if (!window.cancelAnimationFrame) define(window, 'cancelAnimationFrame', (id) => window.clearTimeout(id));
+  if (!window.requestIdleCallback) {
+    define(window, 'requestIdleCallback', (cb, options = {}) => {
+      const start = Date.now();
+      return window.setTimeout(() => cb({ didTimeout: false, timeRemaining: () => Math.max(0, 50 - (Date.now() - start)) }), Math.min(options.timeout || 1, 50));
+    });
+    define(window, 'cancelIdleCallback', (id) => window.clearTimeout(id));
+  }
+}
+
+function installMisc(window) {
+  const blob = window.Blob.prototype;
+  const read = (b, as) => new window.Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[as](b);
+  });
+  if (!blob.text) define(blob, 'text', function() { return read(this, 'readAsText'); });
+  if (!blob.arrayBuffer) define(blob, 'arrayBuffer', function() { return read(this, 'readAsArrayBuffer'); });
+  if (!window.URL.createObjectURL) {
+    define(window.URL, 'createObjectURL', () => `blob:${window.location.origin}/${nodeCrypto.randomUUID()}`);
+    define(window.URL, 'revokeObjectURL', () => {});
+  }
+  if (!window.CSS) {
+    define(window, 'CSS', {
+      escape: cssEscape,
+      // Propriedade: valor aceito pelo CSSStyleDeclaration do jsdom
+      supports: (property, value) => {
+        if (value === undefined) {
+          const m = String(property).trim().match(/^\(?\s*([\w-]+)\s*:\s*(.+?)\s*\)?$/);
+          if (!m) return false;
+          [property, value] = [m[1], m[2]];
+        }
+        const style = window.document.createElement('div').style;
+        style.setProperty(property, value);
+        return style.getPropertyValue(property) !== '';
+      }
+    });
+  }
+  const proto = window.Element.prototype;
+  if (!proto.animate) {
+    define(proto, 'animate', function() {
+      const animation = Object.assign(new window.EventTarget(), {
+        playState: 'finished', currentTime: null, onfinish: null, oncancel: null,
+        play() {}, pause() {}, cancel() {}, finish() {}, reverse() {}, commitStyles() {}, persist() {},
+        finished: window.Promise.resolve()
+      });
+      animation.finished.then(() => { if (typeof animation.onfinish === 'function') animation.onfinish({ type: 'finish' }); });
+      return animation;
+    });
+  }
+  if (!proto.getAnimations) define(proto, 'getAnimations', () => []);
+  if (!window.structuredClone) define(window, 'structuredClone', (value) => cloneInto(window, value));
+}
+
+/**
+ * Install the device and the Web API polyfills on a jsdom window (called from applyJsdomPolyfills).
+ * opts: diagnose (log what failed), headers (run headers, for the client hints). Returns { installed, failed }.
+ */
+function installEnvironment(window, device = createDevice(), opts = {}) {
+  const installed = [];
+  const failed = [];
+  const polyfill = (name, fn) => {
+    try {
+      fn();
+      installed.push(name);
+    } catch (e) {
+      failed.push(name);
+      if (opts.diagnose) console.error(`[polyfill] ${name} failed: ${e && e.message ? e.message : e}`);
+    }
+  };
+  polyfill('viewport', () => installViewport(window, device));
+  polyfill('matchMedia', () => installMatchMedia(window, device));
+  polyfill('scroll', () => installScroll(window));
+  polyfill('observers', () => installObservers(window, device));
+  polyfill('images', () => installImages(window));
+  polyfill('storage', () => installStorage(window, device));
+  polyfill('crypto', () => installCrypto(window));
+  polyfill('encoding', () => installEncoding(window));
+  polyfill('messaging', () => installMessaging(window, device));
+  polyfill('navigator', () => installNavigator(window, device, opts.headers));
+  polyfill('intl', () => installIntl(window, device));
+  polyfill('timers', () => installTimers(window));
+  polyfill('misc', () => installMisc(window));
+  return { installed, failed };
+}
+
+module.exports = {
+  deviceProfiles,
+  defaultDevice,
+  createDevice,
+  acceptLanguageFor,
+  installEnvironment,
+  mediaMatches,
+  cloneInto
+};
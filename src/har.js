@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { Response } = require('undici');
+const { headersToObject } = require('./cache');
+const { version } = require('../package.json');
+
+// Status que não podem ter corpo numa Response
+const nullBodyStatuses = [101, 103, 204, 205, 304];
+// Um arquivo aberto por processo: crawl, paginação e batch gravam no mesmo HAR
+const openArchives = new Map();
+
+function toNameValue(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function fromNameValue(list) {
+  return (list || []).map(({ name, value }) => [name, value]);
+}
+
+function requestBodyText(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string') return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return Buffer.from(body).toString('utf8');
+  return String(body);
+}
+
+/**
+ * HAR `content` for a body: text when it survives a UTF-8 round trip, base64 otherwise
+ */
+function encodeContent(body, mimeType) {
+  const text = body.toString('utf8');
+  if (Buffer.from(text, 'utf8').equals(body)) return { size: body.length, mimeType, text };
+  return { size: body.length, mimeType, text: body.toString('base64'), encoding: 'base64' };
+}
+
+function decodeContent(content) {
+  if (!content || content.text === undefined) return Buffer.alloc(0);
+  return Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * HAR 1.2 archive used by --record / --replay.
+ * record: every request made through retryFetch is performed normally and appended to the archive.
+ * replay: requests are answered from the archive (method + URL + request body); nothing touches the network.
+ * Repeated requests are replayed in recorded order, the last response being reused afterwards.
+ */
+class HarArchive {
+  constructor(file, mode = 'record') {
+    if (mode !== 'record' && mode !== 'replay') throw new Error(`Invalid HAR mode: ${mode}`);
+    this.file = path.resolve(file);
+    this.mode = mode;
+    this.entries = [];
+    this.served = new Map();
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+    if (mode === 'replay') this.load();
+  }
+
+  /**
+   * Shared archive for a file (same instance for every scrape of the process)
+   */
+  static open(file, mode) {
+    const key = `${mode}:${path.resolve(file)}`;
+    if (!openArchives.has(key)) openArchives.set(key, new HarArchive(file, mode));
+    return openArchives.get(key);
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  load() {
+    let har;
+    try {
+      har = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Cannot read HAR archive ${this.file}: ${e.message}`);
+    }
+    if (!har || !har.log || !Array.isArray(har.log.entries)) throw new Error(`Invalid HAR archive (no log.entries): ${this.file}`);
+    this.entries = har.log.entries;
+  }
+
+  key(method, url, bodyText) {
+    return `${String(method || 'GET').toUpperCase()} ${url}${bodyText ? `\n${bodyText}` : ''}`;
+  }
+
+  entryKey(entry) {
+    const postData = entry.request.postData;
+    return this.key(entry.request.method, entry.request.url, postData && postData.text);
+  }
+
+  /**
+   * Fetch `url` through the archive; `next(url, opts)` performs the real request when recording
+   */
+  async fetch(url, opts, next) {
+    const method = String(opts.method || 'GET').toUpperCase();
+    const bodyText = requestBodyText(opts.body);
+    if (this.replaying) return this.replay(method, String(url), bodyText);
+
+    const started = new Date();
+    const res = await next(url, opts);
+    const body = Buffer.from(await res.arrayBuffer());
+    this.record({ method, url: String(url), headers: opts.headers, bodyText }, res, body, started);
+    return this.toResponse(res.status, res.statusText, Array.from(res.headers.entries()), body, res.url || String(url));
+  }
+
+  replay(method, url, bodyText) {
+    const key = this.key(method, url, bodyText);
+    const matches = this.entries.filter(e => this.entryKey(e) === key);
+    if (matches.length === 0) {
+      this.stats.missing++;
+      throw new Error(`Not in HAR archive (replay mode): ${method} ${url}`);
+    }
+    const count = this.served.get(key) || 0;
+    this.served.set(key, count + 1);
+    const entry = matches[Math.min(count, matches.length - 1)];
+    this.stats.replayed++;
+    const { response } = entry;
+    return this.toResponse(response.status, response.statusText, fromNameValue(response.headers), decodeContent(response.content), url);
+  }
+
+  record(request, res, body, started) {
+    const headers = headersToObject(res.headers);
+    const mimeType = headers['content-type'] || '';
+    const entry = {
+      startedDateTime: started.toISOString(),
+      time: Date.now() - started.getTime(),
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: 'HTTP/1.1',
+        headers: toNameValue(request.headers),
+        queryString: Array.from(new URL(request.url).searchParams.entries()).map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: request.bodyText ? Buffer.byteLength(request.bodyText) : 0
+      },
+      response: {
+        status: res.status,
+        statusText: res.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: toNameValue(headers),
+        cookies: [],
+        content: encodeContent(body, mimeType),
+        redirectURL: headers.location || '',
+        headersSize: -1,
+        bodySize: body.length
+      },
+      cache: {},
+      timings: { send: 0, wait: Date.now() - started.getTime(), receive: 0 }
+    };
+    if (request.bodyText) entry.request.postData = { mimeType: (request.headers && (request.headers['Content-Type'] || request.headers['content-type'])) || '', text: request.bodyText };
+    this.entries.push(entry);
+    this.stats.recorded++;
+  }
+
+  toResponse(status, statusText, headers, body, url) {
+    const res = new Response(nullBodyStatuses.includes(status) ? null : body, {
+      status,
+      statusText,
+      headers: headers.filter(([name]) => !['content-encoding', 'content-length', 'transfer-encoding'].includes(name.toLowerCase()))
+    });
+    // Response não aceita `url` no construtor
+    Object.defineProperty(res, 'url', { value: url });
+    return res;
+  }
+
+  toJSON() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'light-js-scraper', version },
+        pages: [],
+        entries: this.entries
+      }
+    };
+  }
+
+  /**
+   * Write the archive (record mode only); safe to call after every scrape
+   */
+  save() {
+    if (this.replaying) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.toJSON(), null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { HarArchive };
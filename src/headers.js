@@ -0,0 +1,123 @@
+/**
+ * Request header profiles: each user agent comes with the headers that browser really sends
+ * (client hints only for Chromium, matching Accept), so the UA is never contradicted by the rest.
+ */
+
+const chromiumAccept = 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7';
+const geckoAccept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+const chromeHints = (brand, platform, mobile = false) => ({
+  'sec-ch-ua': `"${brand}";v="131", "Chromium";v="131", "Not_A Brand";v="24"`,
+  'sec-ch-ua-mobile': mobile ? '?1' : '?0',
+  'sec-ch-ua-platform': `"${platform}"`
+});
+
+const uaProfiles = {
+  'chrome-windows': {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    headers: { ...chromeHints('Google Chrome', 'Windows'), Accept: chromiumAccept, 'Upgrade-Insecure-Requests': '1' }
+  },
+  'chrome-mac': {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    headers: { ...chromeHints('Google Chrome', 'macOS'), Accept: chromiumAccept, 'Upgrade-Insecure-Requests': '1' }
+  },
+  'chrome-android': {
+    userAgent: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Mobile Safari/537.36',
+    headers: { ...chromeHints('Google Chrome', 'Android', true), Accept: chromiumAccept, 'Upgrade-Insecure-Requests': '1' }
+  },
+  'edge-windows': {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0',
+    headers: { ...chromeHints('Microsoft Edge', 'Windows'), Accept: chromiumAccept, 'Upgrade-Insecure-Requests': '1' }
+  },
+  'firefox-windows': {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:133.0) Gecko/20100101 Firefox/133.0',
+    headers: { Accept: geckoAccept, 'Upgrade-Insecure-Requests': '1' }
+  },
+  'firefox-linux': {
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64; rv:133.0) Gecko/20100101 Firefox/133.0',
+    headers: { Accept: geckoAccept, 'Upgrade-Insecure-Requests': '1' }
+  },
+  'safari-mac': {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Safari/605.1.15',
+    headers: { Accept: geckoAccept }
+  },
+  'safari-iphone': {
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Mobile/15E148 Safari/604.1',
+    headers: { Accept: geckoAccept }
+  }
+};
+
+const defaultUaProfile = 'chrome-windows';
+const defaultAcceptLanguage = 'pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7';
+// Headers de navegação: não vão em fetch()/XHR nem em scripts e imagens
+const navigationOnlyHeaders = ['accept', 'upgrade-insecure-requests'];
+
+let rotation = 0;
+
+/**
+ * Nome do perfil: um nome da tabela, ou 'rotate' (round robin a cada chamada)
+ */
+function resolveUaProfile(name) {
+  if (!name) return defaultUaProfile;
+  if (name === 'rotate') {
+    const names = Object.keys(uaProfiles);
+    return names[rotation++ % names.length];
+  }
+  if (!uaProfiles[name]) throw new Error(`Unknown UA profile "${name}" (use ${Object.keys(uaProfiles).join(', ')} or rotate)`);
+  return name;
+}
+
+/**
+ * "Name: value" -> [name, value]
+ */
+function parseHeaderLine(line) {
+  const idx = String(line).indexOf(':');
+  if (idx <= 0) throw new Error(`Invalid header "${line}" (expected "Name: value")`);
+  return [line.slice(0, idx).trim(), line.slice(idx + 1).trim()];
+}
+
+/**
+ * Set a header replacing any existing key with the same name in another case
+ */
+function setHeader(headers, name, value) {
+  const existing = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  headers[existing || name] = value;
+  return headers;
+}
+
+/**
+ * Headers for a run: UA profile (uaProfile), then userAgent / acceptLanguage overrides,
+ * then custom "Name: value" headers (headers). An explicit userAgent outside the profile drops the client hints.
+ */
+function buildHeaders(opts = {}) {
+  const profile = uaProfiles[resolveUaProfile(opts.uaProfile)];
+  let headers = { 'User-Agent': profile.userAgent, ...profile.headers, 'Accept-Language': defaultAcceptLanguage };
+  if (opts.userAgent) {
+    headers = Object.fromEntries(Object.entries(headers).filter(([k]) => !/^sec-ch-ua/i.test(k)));
+    headers['User-Agent'] = opts.userAgent;
+  }
+  if (opts.acceptLanguage) headers['Accept-Language'] = opts.acceptLanguage;
+  for (const line of [].concat(opts.headers || [])) {
+    const [name, value] = parseHeaderLine(line);
+    setHeader(headers, name, value);
+  }
+  return headers;
+}
+
+/**
+ * Run headers minus the navigation-only ones (for subresources, fetch() and XHR)
+ */
+function subresourceHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).filter(([k]) => !navigationOnlyHeaders.includes(k.toLowerCase())));
+}
+
+module.exports = {
+  uaProfiles,
+  defaultUaProfile,
+  defaultAcceptLanguage,
+  buildHeaders,
+  subresourceHeaders,
+  parseHeaderLine,
+  setHeader,
+  resolveUaProfile
+};
@@ -0,0 +1,288 @@
+const { compileQuery } = require('./matching');
+
+/**
+ * Structured data embedded in the page: framework hydration payloads (Next.js __NEXT_DATA__,
+ * Nuxt __NUXT__ / __NUXT_DATA__, window.__*__ state), JSON-LD, microdata and OpenGraph meta tags.
+ * Each source comes as { source, name, data }.
+ */
+
+// Atribuições de estado: window.__X__ = ..., window["__X__"] = ..., e o __INITIAL_STATE__ solto
+const stateAssignment = /(?:window|self|globalThis)\s*(?:\.\s*(__[A-Za-z0-9_$]+)|\[\s*["'](__[A-Za-z0-9_$]+)["']\s*\])\s*=(?!=)|(?:^|[;\s])(?:var\s+|let\s+|const\s+)?(__[A-Z0-9_]*STATE__)\s*=(?!=)/g;
+// Nomes que não são dados (flags de ferramentas de analytics, webpack...)
+const ignoredStateNames = /^__(REACT_DEVTOOLS|webpack|N_E|BUILD_MANIFEST|SSG_MANIFEST|MIDDLEWARE|gtm|ga|cf_|CF\$)/i;
+
+/**
+ * Read one JavaScript expression starting at `start` (up to a top-level ; or the end of the script)
+ */
+function readExpression(text, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '"' || c === "'" || c === '`') quote = c;
+    else if (c === '(' || c === '[' || c === '{') depth++;
+    else if (c === ')' || c === ']' || c === '}') depth--;
+    else if (c === ';' && depth <= 0) return text.slice(start, i).trim();
+    if (depth < 0) return text.slice(start, i).trim();
+  }
+  return text.slice(start).trim();
+}
+
+/**
+ * JS string literal ("..." or '...') -> its value, without evaluating code
+ */
+function decodeStringLiteral(literal) {
+  const quote = literal[0];
+  let body = literal.slice(1, -1).replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1').replace(/\\'/g, "'");
+  if (quote === "'") body = body.replace(/(^|[^\\])((?:\\\\)*)"/g, '$1$2\\"');
+  return JSON.parse(`"${body}"`);
+}
+
+/**
+ * Expression text -> plain data: JSON or JSON.parse('...'). Nothing is evaluated: expressions that are
+ * code (Nuxt 2's IIFE...) are read from the live window when the page scripts ran (jsdom tier).
+ */
+function parseData(expr, name, window) {
+  if (expr) {
+    try { return JSON.parse(expr); } catch(e){}
+    const parseCall = expr.match(/^JSON\.parse\(\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')\s*\)$/);
+    if (parseCall) { try { return JSON.parse(decodeStringLiteral(parseCall[1])); } catch(e){} }
+  }
+  if (!window) return undefined;
+  try {
+    const value = window[name];
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : undefined;
+  } catch(e) {
+    return undefined;
+  }
+}
+
+/**
+ * Nuxt 3 payload (devalue flat array) -> plain data
+ */
+function unflattenPayload(values) {
+  if (!Array.isArray(values) || values.length === 0) return values;
+  const hydrated = new Map();
+  const special = { '-1': undefined, '-2': undefined, '-3': NaN, '-4': Infinity, '-5': -Infinity, '-6': -0 };
+  const hydrate = (index) => {
+    if (index < 0) return special[index];
+    if (hydrated.has(index)) return hydrated.get(index);
+    const value = values[index];
+    if (!value || typeof value !== 'object') {
+      hydrated.set(index, value);
+      return value;
+    }
+    if (Array.isArray(value)) {
+      if (typeof value[0] === 'string') {
+        const [type, ...args] = value;
+        let out;
+        if (type === 'Date' || type === 'BigInt' || type === 'RegExp') out = args[0];
+        else if (type === 'Set') { out = []; hydrated.set(index, out); args.forEach(i => out.push(hydrate(i))); }
+        else if (type === 'Map' || type === 'null') {
+          out = {};
+          hydrated.set(index, out);
+          for (let i = 0; i < args.length; i += 2) out[String(hydrate(args[i]))] = hydrate(args[i + 1]);
+        } else out = hydrate(args[0]); // Reactive, Ref, ShallowReactive, ...
+        hydrated.set(index, out);
+        return out;
+      }
+      const out = [];
+      hydrated.set(index, out);
+      value.forEach(i => out.push(hydrate(i)));
+      return out;
+    }
+    const out = {};
+    hydrated.set(index, out);
+    Object.entries(value).forEach(([k, i]) => { out[k] = hydrate(i); });
+    return out;
+  };
+  return hydrate(0);
+}
+
+function parseJson(text) {
+  try { return JSON.parse(text); } catch(e){}
+  // JSON-LD escrito à mão: vírgulas sobrando e caracteres de controle
+  try { return JSON.parse(text.replace(/[\u0000-\u001f]+/g, ' ').replace(/,\s*([}\]])/g, '$1')); } catch(e){ return undefined; }
+}
+
+/**
+ * Microdata value of an itemprop element
+ */
+function microdataValue(el) {
+  if (el.hasAttribute('itemscope')) return microdataItem(el);
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'meta') return el.getAttribute('content');
+  if (['a', 'link', 'area'].includes(tag)) return el.href || el.getAttribute('href');
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed'].includes(tag)) return el.src || el.getAttribute('src');
+  if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+  if ((tag === 'data' || tag === 'meter') && el.hasAttribute('value')) return el.getAttribute('value');
+  if (el.hasAttribute('content')) return el.getAttribute('content');
+  return el.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * An itemscope element as { '@type', prop: value | [values] }
+ */
+function microdataItem(scope) {
+  const item = {};
+  if (scope.getAttribute('itemtype')) item['@type'] = scope.getAttribute('itemtype').trim();
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (child.hasAttribute('itemprop')) {
+        const value = microdataValue(child);
+        child.getAttribute('itemprop').trim().split(/\s+/).forEach(name => {
+          if (name in item) item[name] = [].concat(item[name], value);
+          else item[name] = value;
+        });
+      }
+      // Um itemscope aninhado é dono das próprias props
+      if (!child.hasAttribute('itemscope')) visit(child);
+    }
+  };
+  visit(scope);
+  return item;
+}
+
+/**
+ * JSON-LD blocks of the document, one { name, data } per item (@graph split into its items)
+ */
+function jsonLdItems(document) {
+  const out = [];
+  document.querySelectorAll('script[type="application/ld+json"]').forEach((script, i) => {
+    const data = parseJson(script.textContent);
+    if (data === undefined || data === null) return;
+    const items = Array.isArray(data) ? data : (data['@graph'] ? [].concat(data['@graph']) : [data]);
+    items.forEach(item => out.push({ name: item && item['@type'] ? [].concat(item['@type']).join(',') : `ld+json #${i + 1}`, data: item }));
+  });
+  return out;
+}
+
+/**
+ * Every structured source of the document: [{ source, name, data }]
+ * (source: next | nuxt | state | json-ld | microdata | opengraph).
+ * `opts.window` (a jsdom window whose scripts ran) resolves state assigned by code.
+ */
+function extractHydrationData(document, opts = {}) {
+  const sources = [];
+  if (!document) return sources;
+  const push = (source, name, data) => { if (data !== undefined && data !== null) sources.push({ source, name, data }); };
+
+  const next = document.querySelector('script#__NEXT_DATA__');
+  if (next) push('next', '__NEXT_DATA__', parseJson(next.textContent));
+  const nuxtData = document.querySelector('script#__NUXT_DATA__');
+  if (nuxtData) push('nuxt', '__NUXT_DATA__', unflattenPayload(parseJson(nuxtData.textContent)));
+
+  for (const script of document.querySelectorAll('script:not([src])')) {
+    const type = String(script.getAttribute('type') || '').toLowerCase();
+    if (type && !/javascript|ecmascript|^module$/.test(type)) continue;
+    const text = script.textContent;
+    stateAssignment.lastIndex = 0;
+    let m;
+    while ((m = stateAssignment.exec(text))) {
+      const name = m[1] || m[2] || m[3];
+      if (ignoredStateNames.test(name)) continue;
+      const data = parseData(readExpression(text, stateAssignment.lastIndex), name, opts.window);
+      push(name === '__NUXT__' ? 'nuxt' : 'state', name, data);
+    }
+  }
+
+  jsonLdItems(document).forEach(item => push('json-ld', item.name, item.data));
+
+  document.querySelectorAll('[itemscope]:not([itemprop])').forEach(scope => {
+    const item = microdataItem(scope);
+    push('microdata', item['@type'] || 'itemscope', item);
+  });
+
+  const meta = {};
+  document.querySelectorAll('meta[property^="og:"], meta[property^="product:"], meta[property^="article:"], meta[name^="twitter:"]').forEach(el => {
+    const key = el.getAttribute('property') || el.getAttribute('name');
+    const value = el.getAttribute('content');
+    if (value === null) return;
+    meta[key] = key in meta ? [].concat(meta[key], value) : value;
+  });
+  if (Object.keys(meta).length) push('opengraph', meta['og:type'] || 'meta', meta);
+  return sources;
+}
+
+/**
+ * Texto de todas as folhas de um valor (para testar a query inteira, NOT incluído)
+ */
+function leafText(value, out = []) {
+  if (value === null || value === undefined) return out;
+  if (typeof value !== 'object') out.push(String(value));
+  else Object.values(value).forEach(v => leafText(v, out));
+  return out;
+}
+
+/**
+ * Find `term` in the structured sources. The record of a matching leaf is its nearest ancestor
+ * that is an array item (a listing entry), else the object holding it.
+ * Returns [{ source, name, path, data }], at most `limit`.
+ */
+function searchHydrationData(sources, term, opts = {}) {
+  const { fuzzy = 0, limit = 50 } = opts;
+  const matcher = compileQuery(term, { fuzzy });
+  const matches = [];
+  const seen = new Set();
+
+  for (const source of sources) {
+    // item/itemPath: item de lista mais próximo acima do nó (o registro), se houver
+    const walk = (value, path, holder, holderPath, item, itemPath, depth) => {
+      if (matches.length >= limit || depth > 40 || value === null || value === undefined) return;
+      if (typeof value !== 'object') {
+        const record = item || holder;
+        const text = String(value);
+        if (record && text.length > 2 && !seen.has(record) && matcher.locate(text)) {
+          seen.add(record);
+          if (matcher.test(leafText(record).join(' '))) matches.push({ source: source.source, name: source.name, path: item ? itemPath : holderPath, data: record });
+        }
+        return;
+      }
+      if (Array.isArray(value)) {
+        value.forEach((child, i) => {
+          const childPath = `${path}[${i}]`;
+          const isRecord = child && typeof child === 'object' && !Array.isArray(child);
+          walk(child, childPath, holder, holderPath, isRecord ? child : item, isRecord ? childPath : itemPath, depth + 1);
+        });
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+        walk(child, childPath, value, path, item, itemPath, depth + 1);
+      }
+    };
+    walk(source.data, '$', null, '$', null, null, 0);
+  }
+  return matches;
+}
+
+/**
+ * Sources of a document plus the records matching opts.term: { sources, matches }
+ */
+function collectStructuredData(document, opts = {}) {
+  const sources = extractHydrationData(document, { window: opts.window });
+  const matches = opts.term && sources.length ? searchHydrationData(sources, opts.term, { fuzzy: opts.fuzzy }) : [];
+  return { sources, matches };
+}
+
+/**
+ * Records found in the structured data as Markdown (one fenced JSON block per record)
+ */
+function formatDataMatches(matches) {
+  return matches.map((m, i) => `<!-- DADOS ${i + 1} | FONTE: ${m.source} (${m.name}) | CAMINHO: ${m.path} -->\n\`\`\`json\n${JSON.stringify(m.data, null, 2)}\n\`\`\``).join('\n\n---\n\n');
+}
+
+module.exports = {
+  extractHydrationData,
+  searchHydrationData,
+  collectStructuredData,
+  formatDataMatches,
+  jsonLdItems,
+  unflattenPayload,
+  microdataItem
+};
@@ -1,14 +1,50 @@
 const { performRadialSearch } = require('./radialsearch');
-const { convertToLlmReadyMarkdown, cleanSvgContent } = require('./converters');
-const { extractFilteredLinks, renderLinkAndExtractMarkdown, processLinksFromContent } = require('./linkprocessors');
+const { convertToLlmReadyMarkdown, cleanSvgContent, registerCleanupProfile, loadCleanupProfiles } = require('./converters');
+const { extractFilteredLinks, renderLinkAndExtractMarkdown, processLinksFromContent, renderLinksFromContent } = require('./linkprocessors');
 const { duplicateRemover } = require('./duplicates');
+const { renderWithBrowser } = require('./browser');
+const { scrape, needBrowserFallback, defaultScrapeOptions } = require('./scraper');
+const { formatResult, resultRecords } = require('./output');
+const { crawl, canonicalizeUrl } = require('./crawler');
+const { assessCompleteness, registerCompletenessRule } = require('./completeness');
+const { extractHydrationData, searchHydrationData } = require('./hydration');
+const { extractMainContent, extractArticleMetadata } = require('./readability');
+const { loadSchema, extractWithSchema } = require('./schema');
+const { inferSchema } = require('./schemabuilder');
+const { RequestInterceptor, loadInterceptRules } = require('./intercept');
+const { deviceProfiles, createDevice, installEnvironment } = require('./environment');
 
 module.exports = {
+  scrape,
+  crawl,
+  canonicalizeUrl,
+  needBrowserFallback,
+  assessCompleteness,
+  registerCompletenessRule,
+  extractHydrationData,
+  searchHydrationData,
+  extractMainContent,
+  extractArticleMetadata,
+  loadSchema,
+  extractWithSchema,
+  inferSchema,
+  RequestInterceptor,
+  loadInterceptRules,
+  deviceProfiles,
+  createDevice,
+  installEnvironment,
+  defaultScrapeOptions,
+  formatResult,
+  resultRecords,
   performRadialSearch,
   convertToLlmReadyMarkdown,
+  registerCleanupProfile,
+  loadCleanupProfiles,
   extractFilteredLinks,
   renderLinkAndExtractMarkdown,
   processLinksFromContent,
+  renderLinksFromContent,
   duplicateRemover,
+  renderWithBrowser,
   ...require('./utils')
 };
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { Response } = require('undici');
+
+/**
+ * Request interception for the jsdom tier. The resource loader and the page's fetch()/XHR (see utils.js)
+ * check every request against the rules, in this order:
+ *
+ *   allow       URL globs or /regex/ that always load (exceptions to the rules below)
+ *   block       URL globs or /regex/ that never load
+ *   blockTypes  resource types skipped: script, stylesheet, image, font, media, document, fetch, xhr, other
+ *   trackers    the built-in analytics/ads blocklist (blockTrackers: false turns it off)
+ *
+ * Then the hooks run: onRequest(request) may return false (block), { url } (rewrite), { headers } (merged)
+ * or { respond: { status, headers, body } } (stub, no network); onResponse(request, response) may return
+ * { status, headers, body } replacing parts of the response. request: { url, method, headers, type }.
+ */
+const resourceTypes = ['document', 'script', 'stylesheet', 'image', 'font', 'media', 'fetch', 'xhr', 'other'];
+
+// Analytics, tag managers, pixels e redes de anúncio: host (subdomínios incluídos) ou host + início do caminho
+const trackerBlocklist = [
+  'google-analytics.com', 'analytics.google.com', 'googletagmanager.com', 'googletagservices.com',
+  'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com',
+  'connect.facebook.net', 'facebook.com/tr', 'clarity.ms', 'hotjar.com', 'hotjar.io',
+  'segment.io', 'cdn.segment.com', 'mixpanel.com', 'amplitude.com', 'fullstory.com', 'mouseflow.com',
+  'crazyegg.com', 'nr-data.net', 'js-agent.newrelic.com', 'scorecardresearch.com', 'quantserve.com',
+  'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com', 'adnxs.com', 'amazon-adsystem.com',
+  'adroll.com', 'bat.bing.com', 'ads-twitter.com', 'analytics.tiktok.com', 'snap.licdn.com',
+  'px.ads.linkedin.com', 'mc.yandex.ru', 'js.hs-analytics.net'
+];
+
+const typeByTag = { SCRIPT: 'script', IMG: 'image', IFRAME: 'document', FRAME: 'document', VIDEO: 'media', AUDIO: 'media', SOURCE: 'media' };
+const typeByExtension = [
+  [/\.m?js$/i, 'script'],
+  [/\.css$/i, 'stylesheet'],
+  [/\.(png|jpe?g|gif|webp|avif|svg|ico|bmp)$/i, 'image'],
+  [/\.(woff2?|ttf|otf|eot)$/i, 'font'],
+  [/\.(mp4|webm|mp3|ogg|wav|m3u8)$/i, 'media']
+];
+const nullBodyStatuses = [101, 103, 204, 205, 304];
+const loadedRuleFiles = new Map();
+
+/**
+ * Resource type of a subresource: from the element that asked for it (jsdom passes it), else the extension
+ */
+function resourceType(url, element) {
+  const tag = element && element.tagName ? element.tagName.toUpperCase() : '';
+  if (tag === 'LINK') {
+    const rel = String(element.getAttribute('rel') || '').toLowerCase();
+    const as = String(element.getAttribute('as') || '').toLowerCase();
+    if (rel.includes('stylesheet')) return 'stylesheet';
+    if (rel.includes('icon')) return 'image';
+    if (resourceTypes.includes(as)) return as;
+  } else if (typeByTag[tag]) {
+    return typeByTag[tag];
+  }
+  let pathname = '';
+  try { pathname = new URL(url).pathname; } catch(e) {}
+  const hit = typeByExtension.find(([re]) => re.test(pathname));
+  return hit ? hit[1] : 'other';
+}
+
+/**
+ * Blocklist entry matching `url`, or null
+ */
+function trackerMatch(url) {
+  let u;
+  try { u = new URL(url); } catch(e) { return null; }
+  const host = u.hostname.toLowerCase();
+  return trackerBlocklist.find(entry => {
+    const slash = entry.indexOf('/');
+    const domain = slash < 0 ? entry : entry.slice(0, slash);
+    const prefix = slash < 0 ? '' : entry.slice(slash);
+    return (host === domain || host.endsWith(`.${domain}`)) && (!prefix || u.pathname.startsWith(prefix));
+  }) || null;
+}
+
+function compilePatterns(list) {
+  // Mesmo formato de --include / --exclude do crawl (glob ou /regex/)
+  const { compileUrlPattern } = require('./crawler');
+  return [].concat(list || []).filter(Boolean).map(p => (p instanceof RegExp ? { pattern: String(p), re: p } : { pattern: p, re: compileUrlPattern(p) }));
+}
+
+/**
+ * Rules from a .json (allow, block, blockTypes, blockTrackers) or .js file (hooks too); files are read once
+ */
+function loadInterceptRules(file) {
+  const resolved = path.resolve(file);
+  if (loadedRuleFiles.has(resolved)) return loadedRuleFiles.get(resolved);
+  let rules;
+  try {
+    rules = /\.c?js$/i.test(resolved) ? require(resolved) : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid intercept rules file ${file}: ${e.message}`);
+  }
+  if (!rules || typeof rules !== 'object') throw new Error(`Invalid intercept rules file ${file}: expected an object or an array of rules`);
+  loadedRuleFiles.set(resolved, rules);
+  return rules;
+}
+
+function toBuffer(body) {
+  if (body === undefined || body === null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(body)) return body;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return Buffer.from(body.buffer ? body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength) : body);
+  return Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * undici Response from { status, headers, body } (objects become JSON), with `url` set
+ */
+function makeResponse(spec, url) {
+  const status = spec.status || 200;
+  const headers = { ...spec.headers };
+  const isJson = spec.body !== undefined && spec.body !== null && typeof spec.body === 'object' && !Buffer.isBuffer(spec.body) && !ArrayBuffer.isView(spec.body) && !(spec.body instanceof ArrayBuffer);
+  if (isJson && !Object.keys(headers).some(k => k.toLowerCase() === 'content-type')) headers['content-type'] = 'application/json';
+  const out = new Response(nullBodyStatuses.includes(status) ? null : toBuffer(spec.body), { status, statusText: spec.statusText || '', headers });
+  Object.defineProperties(out, { url: { value: url }, redirected: { value: false } });
+  return out;
+}
+
+/**
+ * Interception rules of a run, shared by every jsdom window of it (page, links, login)
+ */
+class RequestInterceptor {
+  /**
+   * `rules`: one rule set or a list of them (CLI flags, files, API objects), merged in order
+   */
+  constructor(rules = {}, opts = {}) {
+    const sets = [].concat(rules || []).filter(Boolean);
+    this.blockTrackers = sets.every(r => r.blockTrackers !== false);
+    this.allow = compilePatterns(sets.flatMap(r => [].concat(r.allow || [])));
+    this.block = compilePatterns(sets.flatMap(r => [].concat(r.block || [])));
+    this.blockTypes = [...new Set(sets.flatMap(r => [].concat(r.blockTypes || [])).flatMap(t => String(t).toLowerCase().split(',')).map(t => t.trim()).filter(Boolean))];
+    const unknown = this.blockTypes.find(t => !resourceTypes.includes(t));
+    if (unknown) throw new Error(`Unknown resource type "${unknown}" (expected ${resourceTypes.join(', ')})`);
+    this.onRequest = sets.flatMap(r => [].concat(r.onRequest || []));
+    this.onResponse = sets.flatMap(r => [].concat(r.onResponse || []));
+    const notFunction = [...this.onRequest, ...this.onResponse].find(h => typeof h !== 'function');
+    if (notFunction !== undefined) throw new Error('onRequest / onResponse hooks must be functions');
+    this.diagnose = !!opts.diagnose;
+    this.counts = { blocked: 0, stubbed: 0, rewritten: 0, replaced: 0 };
+    this.reasons = {};
+  }
+
+  /**
+   * Interceptor of a run from the scrape options: blockTrackers, allowRequests, blockRequests,
+   * blockResources, intercept (rule files or objects with hooks)
+   */
+  static fromOptions(opts = {}) {
+    const files = [].concat(opts.intercept || []).map(r => (typeof r === 'string' ? loadInterceptRules(r) : r));
+    const cli = { blockTrackers: opts.blockTrackers !== false, allow: opts.allowRequests, block: opts.blockRequests, blockTypes: opts.blockResources };
+    return new RequestInterceptor([cli, ...files.flat()], { diagnose: opts.diagnose });
+  }
+
+  get hasHooks() {
+    return this.onRequest.length > 0 || this.onResponse.length > 0;
+  }
+
+  /**
+   * Why the rules block `url` (a string), or null when it may load
+   */
+  check(url, type = 'other') {
+    if (this.allow.some(p => p.re.test(url))) return null;
+    const denied = this.block.find(p => p.re.test(url));
+    if (denied) return `block ${denied.pattern}`;
+    if (this.blockTypes.includes(type)) return `type ${type}`;
+    const tracker = this.blockTrackers ? trackerMatch(url) : null;
+    return tracker ? `tracker ${tracker}` : null;
+  }
+
+  /**
+   * check() for a request about to be sent, counted and logged
+   */
+  decide(request) {
+    const reason = this.check(request.url, request.type);
+    if (reason) this.blocked(request, reason);
+    return reason;
+  }
+
+  blocked(request, reason) {
+    this.counts.blocked++;
+    const key = reason.split(' ')[0];
+    this.reasons[key] = (this.reasons[key] || 0) + 1;
+    if (this.diagnose) console.error(`[intercept] blocked ${request.type} ${request.url} (${reason})`);
+  }
+
+  /**
+   * Run the hooks around `send(url, headers)` (the actual fetch). Resolves with a Response, or null when
+   * an onRequest hook blocks the request. Call decide() first: here the rules only re-check rewritten URLs.
+   */
+  async handle(request, send) {
+    let current = { ...request, headers: { ...request.headers } };
+    for (const hook of this.onRequest) {
+      const out = await hook({ ...current });
+      if (out === undefined || out === null || out === true) continue;
+      if (out === false || out.block) {
+        this.blocked(current, typeof out.block === 'string' ? out.block : 'onRequest');
+        return null;
+      }
+      if (out.respond) {
+        this.counts.stubbed++;
+        if (this.diagnose) console.error(`[intercept] stubbed ${current.type} ${current.url} (HTTP ${out.respond.status || 200})`);
+        return makeResponse(out.respond, current.url);
+      }
+      if (out.url) {
+        const url = new URL(out.url, current.url).href;
+        if (url !== current.url) {
+          this.counts.rewritten++;
+          if (this.diagnose) console.error(`[intercept] rewrote ${current.url} -> ${url}`);
+          current = { ...current, url };
+          // O destino novo passa pelas mesmas regras (um rewrite não fura o bloqueio)
+          const reason = this.check(url, current.type);
+          if (reason) {
+            this.blocked(current, reason);
+            return null;
+          }
+        }
+      }
+      if (out.headers) current = { ...current, headers: { ...current.headers, ...out.headers } };
+    }
+
+    const res = await send(current.url, current.headers);
+    if (!this.onResponse.length) return res;
+    let response = {
+      url: res.url || current.url,
+      status: res.status,
+      statusText: res.statusText,
+      headers: Object.fromEntries(res.headers.entries()),
+      body: Buffer.from(await res.arrayBuffer())
+    };
+    let changed = false;
+    for (const hook of this.onResponse) {
+      const out = await hook({ ...current }, { ...response });
+      if (!out) continue;
+      changed = true;
+      response = { ...response, ...out, body: out.body !== undefined ? toBuffer(out.body) : response.body };
+    }
+    if (changed) {
+      this.counts.replaced++;
+      if (this.diagnose) console.error(`[intercept] replaced the response of ${current.url}`);
+      return makeResponse(response, response.url);
+    }
+    // Corpo já lido: mesma resposta sobre o buffer (Set-Cookie preservado)
+    const out = new Response(nullBodyStatuses.includes(res.status) ? null : response.body, { status: res.status, statusText: res.statusText, headers: res.headers });
+    Object.defineProperties(out, { url: { value: response.url }, redirected: { value: !!res.redirected } });
+    return out;
+  }
+
+  stats() {
+    return { ...this.counts, reasons: { ...this.reasons } };
+  }
+}
+
+module.exports = {
+  RequestInterceptor,
+  loadInterceptRules,
+  resourceType,
+  trackerMatch,
+  trackerBlocklist,
+  resourceTypes
+};
@@ -0,0 +1,106 @@
+// Semáforos compartilhados no processo, por nome e limite (ex.: janelas jsdom dos links)
+const sharedLimiters = new Map();
+
+/**
+ * Semáforo simples para limitar tarefas concorrentes (ex.: janelas jsdom abertas)
+ */
+class Limiter {
+  constructor(max = 1) {
+    this.max = max;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Limiter shared by every scrape of the process using the same name and limit
+   */
+  static shared(name, max = 1) {
+    const key = `${name}/${max}`;
+    if (!sharedLimiters.has(key)) sharedLimiters.set(key, new Limiter(max));
+    return sharedLimiters.get(key);
+  }
+
+  /**
+   * Wait for a free slot; resolves with a release function
+   */
+  acquire() {
+    return new Promise((resolve) => {
+      const grant = () => {
+        this.active++;
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          this.active--;
+          const next = this.queue.shift();
+          if (next) next();
+        });
+      };
+      if (this.active < this.max) grant(); else this.queue.push(grant);
+    });
+  }
+
+  /**
+   * Run `fn` inside a slot
+   */
+  async run(fn) {
+    const release = await this.acquire();
+    try { return await fn(); } finally { release(); }
+  }
+
+  stats() {
+    return { max: this.max, active: this.active, queued: this.queue.length };
+  }
+}
+
+// Limitadores compartilhados no processo (mesma taxa = mesmos baldes por host)
+const sharedRateLimiters = new Map();
+
+/**
+ * Token bucket per host: `rate` requests per second, bursts of up to `burst` requests.
+ * Requests over the budget wait for their token (in arrival order).
+ */
+class HostRateLimiter {
+  constructor(rate, burst = 1) {
+    if (!(rate > 0)) throw new Error(`Rate limit must be > 0, got ${rate}`);
+    this.rate = rate;
+    this.burst = Math.max(1, burst);
+    this.buckets = new Map();
+  }
+
+  /**
+   * Limiter shared by every scrape of the process using the same rate and burst
+   */
+  static shared(rate, burst = 1) {
+    const key = `${rate}/${burst}`;
+    if (!sharedRateLimiters.has(key)) sharedRateLimiters.set(key, new HostRateLimiter(rate, burst));
+    return sharedRateLimiters.get(key);
+  }
+
+  /**
+   * Take a token for the URL's host; resolves with the time waited (ms)
+   */
+  async take(url) {
+    let host;
+    try { host = new URL(url).host; } catch (e) { return 0; }
+    const now = Date.now();
+    let bucket = this.buckets.get(host);
+    if (!bucket) {
+      bucket = { tokens: this.burst, updated: now };
+      this.buckets.set(host, bucket);
+    }
+    bucket.tokens = Math.min(this.burst, bucket.tokens + ((now - bucket.updated) / 1000) * this.rate);
+    bucket.updated = now;
+    // Saldo negativo = fila: cada request reserva seu token e espera a reposição
+    bucket.tokens -= 1;
+    const wait = bucket.tokens < 0 ? Math.ceil((-bucket.tokens / this.rate) * 1000) : 0;
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    return wait;
+  }
+
+  stats() {
+    return { rate: this.rate, burst: this.burst, hosts: this.buckets.size };
+  }
+}
+
+module.exports = { Limiter, HostRateLimiter };
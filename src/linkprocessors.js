@@ -1,5 +1,9 @@
-const { retryFetch, UndiciResourceLoader, waitForQuiescence, applyJsdomPolyfills, defaultHeaders, VirtualConsole } = require('./utils');
+const { retryFetch, UndiciResourceLoader, waitForQuiescence, waitForNetworkIdle, applyJsdomPolyfills, cookieJarFromResponse, defaultHeaders, VirtualConsole } = require('./utils');
 const { convertToLlmReadyMarkdown } = require('./converters');
+const { Limiter } = require('./limiter');
+
+// Padrões do agendador de links
+const defaultLinkScheduling = { maxLinks: 10, concurrency: 3, maxWindows: 4, budget: 60000 };
 
 /**
  * Extract and filter links from HTML content
@@ -70,22 +74,25 @@ function resolveMarkdownLinks(markdown, baseUrl) {
 }
 
 /**
- * Render a URL with jsdom and extract body as markdown
+ * Render a URL with jsdom and extract body as markdown. `opts.signal` (in place of fetchOpts.signal)
+ * aborts the render: its requests are cancelled and the window closes.
  */
 async function renderLinkAndExtractMarkdown(url, opts = {}) {
   const virtualConsole = (opts.diagnose ? (new VirtualConsole()).sendTo(console) : (new VirtualConsole()).sendTo(console, { omitJSDOMErrors: true }));
-  const fetchOpts = { headers: defaultHeaders, ...opts.fetchOpts };
+  const fetchOpts = { headers: defaultHeaders, ...opts.fetchOpts, ...(opts.signal ? { signal: opts.signal } : {}) };
+  const { signal } = fetchOpts;
 
   try {
     const res = await retryFetch(url, fetchOpts);
     const html = await res.text();
+    const cookieJar = fetchOpts.cookieJar || cookieJarFromResponse(res, url);
 
     try {
       const simpleDom = new (require('./utils').JSDOM)(html);
       const body = simpleDom.window.document.body;
       if (body) {
         const bodyHtml = body.innerHTML;
-        const simpleMarkdown = convertToLlmReadyMarkdown(bodyHtml);
+        const simpleMarkdown = convertToLlmReadyMarkdown(bodyHtml, { url, profile: opts.cleanupProfile });
         if (simpleMarkdown && simpleMarkdown.length > 100) {
           simpleDom.window.close && simpleDom.window.close();
           return simpleMarkdown;
@@ -98,16 +105,21 @@ async function renderLinkAndExtractMarkdown(url, opts = {}) {
       url,
       runScripts: 'dangerously',
       resources: new UndiciResourceLoader(fetchOpts),
+      cookieJar,
       pretendToBeVisual: true,
       virtualConsole,
       beforeParse(window) {
-        applyJsdomPolyfills(window, { fetchOpts });
+        applyJsdomPolyfills(window, { fetchOpts, cookieJar, diagnose: opts.diagnose });
       }
     });
 
     const maxWait = Math.min(opts.timeout || 10000, 15000);
     const idle = opts.quiet || 500;
 
+    // Render abortado (scrape abortado ou orçamento dos links): a janela fecha na hora e as esperas terminam
+    const onAbort = () => { try { dom.window.close(); } catch(e){} };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
     try {
       dom.window.addEventListener && dom.window.addEventListener('load', () => {
         try {
@@ -118,24 +130,21 @@ async function renderLinkAndExtractMarkdown(url, opts = {}) {
       });
     } catch(e){}
 
-    try { await waitForQuiescence(dom.window, { timeout: maxWait, quiet: idle }); } catch(e){}
-
     try {
-      const networkIdleMs = 1000;
-      const networkMaxWait = 5000;
-      const startNet = Date.now();
-      function pending() { try { return dom.window.__pendingRequests || 0 } catch(e){ return 0 } }
-      let lastZero = pending() === 0 ? Date.now() : 0;
-      while (Date.now() - startNet < networkMaxWait) {
-        if (pending() === 0) {
-          if (lastZero === 0) lastZero = Date.now();
-          if (Date.now() - lastZero >= networkIdleMs) break;
-        } else {
-          lastZero = 0;
-        }
-        await new Promise(r => setTimeout(r, 200));
-      }
-    } catch(e){}
+      try { await waitForQuiescence(dom.window, { timeout: maxWait, quiet: idle, signal }); } catch(e){}
+
+      try {
+        await waitForNetworkIdle(() => dom.window.__pendingRequests, { idle: 1000, maxWait: 5000, signal });
+      } catch(e){}
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+    if (signal && signal.aborted) {
+      onAbort();
+      const err = new Error(`Render of ${url} aborted`);
+      err.name = 'AbortError';
+      throw err;
+    }
 
     let bodyHtml = '';
     try {
@@ -150,82 +159,166 @@ async function renderLinkAndExtractMarkdown(url, opts = {}) {
     }
 
     dom.window.close && dom.window.close();
-    const markdown = convertToLlmReadyMarkdown(bodyHtml);
+    const markdown = convertToLlmReadyMarkdown(bodyHtml, { url, profile: opts.cleanupProfile });
 
     if (opts.diagnose) {
-      console.log(`[renderLinks] Processed ${url}, markdown length: ${markdown.length}`);
+      console.error(`[renderLinks] Processed ${url}, markdown length: ${markdown.length}`);
     }
 
     return markdown;
 
   } catch (error) {
     if (opts.diagnose) {
-      console.log(`[renderLinks] Failed to process ${url}: ${error.message}`);
+      console.error(`[renderLinks] Failed to process ${url}: ${error.message}`);
     }
     throw error;
   }
 }
 
 /**
- * Process links from content
+ * Link scheduler of one run: every linked page goes through it, so each URL is rendered once
+ * (the promise is cached) even when several fragments link to it.
+ *   maxLinks     distinct URLs rendered per run; later URLs are not rendered
+ *   concurrency  renders in flight for this run
+ *   windows      Limiter for the jsdom windows, shared by the whole process (Limiter.shared)
+ *   budget       total time (ms) from the first link: renders not started by then are skipped,
+ *                renders still running are aborted (the window closes and frees its slot) and reported as failed
  */
-async function processLinksFromContent(html, opts = {}) {
-  if (!opts.renderLinks) {
-    let md = convertToLlmReadyMarkdown(html);
-    if (opts.baseUrl) md = resolveMarkdownLinks(md, opts.baseUrl);
-    return md;
+class LinkScheduler {
+  constructor(opts = {}) {
+    const o = { ...defaultLinkScheduling, ...opts };
+    this.maxLinks = o.maxLinks;
+    this.budget = o.budget || null;
+    this.pool = new Limiter(o.concurrency);
+    this.windows = o.windows || Limiter.shared('link-windows', o.maxWindows);
+    this.render = o.render || renderLinkAndExtractMarkdown;
+    this.diagnose = !!o.diagnose;
+    this.cache = new Map();
+    this.deadline = null;
+    this.counts = { rendered: 0, failed: 0, skipped: 0, reused: 0 };
   }
 
-  let baseMarkdown = convertToLlmReadyMarkdown(html);
-  if (opts.baseUrl) baseMarkdown = resolveMarkdownLinks(baseMarkdown, opts.baseUrl);
-  let linkContent = '';
-
-  try {
-    const links = extractFilteredLinks(html, opts.baseUrl);
-
-    if (links.length === 0) {
-      return baseMarkdown;
+  /**
+   * Promise of the record for `url` ({ url, markdown, ms } or { url, error, ms }), or null over maxLinks
+   */
+  schedule(url, renderOpts = {}) {
+    if (this.cache.has(url)) {
+      this.counts.reused++;
+      return this.cache.get(url);
     }
+    if (this.cache.size >= this.maxLinks) return null;
+    if (this.budget && this.deadline === null) this.deadline = Date.now() + this.budget;
+    const job = this.run(url, renderOpts);
+    this.cache.set(url, job);
+    return job;
+  }
 
-    const maxLinks = opts.maxLinks || 10;
-    const linkTimeout = opts.linkTimeout || 15000;
-    const processedLinks = links.slice(0, maxLinks);
-
-    for (let i = 0; i < processedLinks.length; i++) {
-      const url = processedLinks[i];
-
-      if (opts.diagnose) {
-        console.log(`[renderLinks] Processing link ${i + 1}/${processedLinks.length}: ${url}`);
+  async run(url, renderOpts) {
+    const release = await this.pool.acquire();
+    const started = Date.now();
+    // Signal próprio do render: segue o da execução (à mão, sem AbortSignal.any) e é abortado quando o orçamento acaba
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    const outer = renderOpts.fetchOpts && renderOpts.fetchOpts.signal;
+    try {
+      const remaining = this.deadline === null ? null : this.deadline - Date.now();
+      if (remaining !== null && remaining <= 0) {
+        this.counts.skipped++;
+        if (this.diagnose) console.error(`[links] budget exhausted, skipping ${url}`);
+        return { url, error: `link budget of ${this.budget}ms exhausted`, ms: 0 };
       }
-
-      try {
-        const linkMarkdown = await renderLinkAndExtractMarkdown(url, {
-          ...opts,
-          timeout: linkTimeout
+      if (this.diagnose) console.error(`[links] rendering ${url} (${this.pool.active}/${this.pool.max} in flight, windows ${this.windows.active}/${this.windows.max})`);
+      if (outer) {
+        if (outer.aborted) controller.abort();
+        else outer.addEventListener('abort', forwardAbort, { once: true });
+      }
+      const render = this.windows.run(() => this.render(url, { ...renderOpts, signal: controller.signal }));
+      let markdown;
+      if (remaining === null) markdown = await render;
+      else {
+        let timer;
+        render.catch(() => {});
+        const expired = new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`link budget of ${this.budget}ms exhausted`));
+          }, remaining);
         });
-
-        linkContent += `\n\n---\n\n### Linked Content ${i + 1}: ${url}\n\n${linkMarkdown}`;
-
-      } catch (error) {
-        if (opts.diagnose) {
-          console.log(`[renderLinks] Skipping failed link ${url}: ${error.message}`);
-        }
-        linkContent += `\n\n---\n\n### Linked Content ${i + 1}: ${url}\n\n[Failed to load: ${error.message}]`;
+        try { markdown = await Promise.race([render, expired]); } finally { clearTimeout(timer); }
       }
+      this.counts.rendered++;
+      return { url, markdown, ms: Date.now() - started };
+    } catch (error) {
+      this.counts.failed++;
+      if (this.diagnose) console.error(`[links] failed ${url}: ${error.message}`);
+      return { url, error: error.message, ms: Date.now() - started };
+    } finally {
+      if (outer) outer.removeEventListener('abort', forwardAbort);
+      release();
     }
+  }
+
+  /**
+   * Schedule several URLs; resolves with the records of the ones under maxLinks, in order
+   */
+  renderAll(urls, renderOpts = {}) {
+    return Promise.all(urls.map(url => this.schedule(url, renderOpts)).filter(Boolean));
+  }
+
+  stats() {
+    return { ...this.counts, urls: this.cache.size, maxLinks: this.maxLinks, budget: this.budget };
+  }
+}
 
+/**
+ * Render the links found in content, returning one record per link ({ url, markdown } or { url, error }).
+ * Goes through opts.linkScheduler (shared by the fragments of a run), else a scheduler of its own.
+ */
+async function renderLinksFromContent(html, opts = {}) {
+  let links = [];
+  try {
+    links = extractFilteredLinks(html, opts.baseUrl);
   } catch (error) {
     if (opts.diagnose) {
-      console.log(`[renderLinks] Error extracting links: ${error.message}`);
+      console.error(`[renderLinks] Error extracting links: ${error.message}`);
     }
+    return [];
   }
 
-  return baseMarkdown + linkContent;
+  const maxLinks = opts.maxLinks || 10;
+  const scheduler = opts.linkScheduler || new LinkScheduler({ maxLinks, diagnose: opts.diagnose });
+  const { linkScheduler, ...renderOpts } = opts;
+  return scheduler.renderAll([...new Set(links)].slice(0, maxLinks), { ...renderOpts, timeout: opts.linkTimeout || 15000 });
+}
+
+/**
+ * Format rendered link records as "### Linked Content N" Markdown sections
+ */
+function formatLinkedContent(pages) {
+  return pages.map((page, i) => {
+    const body = page.error ? `[Failed to load: ${page.error}]` : page.markdown;
+    return `\n\n---\n\n### Linked Content ${i + 1}: ${page.url}\n\n${body}`;
+  }).join('');
+}
+
+/**
+ * Process links from content
+ */
+async function processLinksFromContent(html, opts = {}) {
+  let baseMarkdown = convertToLlmReadyMarkdown(html, { url: opts.baseUrl, profile: opts.cleanupProfile });
+  if (opts.baseUrl) baseMarkdown = resolveMarkdownLinks(baseMarkdown, opts.baseUrl);
+  if (!opts.renderLinks) return baseMarkdown;
+
+  const pages = await renderLinksFromContent(html, opts);
+  return baseMarkdown + formatLinkedContent(pages);
 }
 
 module.exports = {
   extractFilteredLinks,
   renderLinkAndExtractMarkdown,
   processLinksFromContent,
+  renderLinksFromContent,
+  formatLinkedContent,
+  LinkScheduler,
   resolveMarkdownLinks
 };
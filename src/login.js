@@ -0,0 +1,187 @@
+const { FormData } = require('undici');
+const {
+  JSDOM, VirtualConsole, retryFetch, UndiciResourceLoader, applyJsdomPolyfills,
+  waitForQuiescence, waitForNetworkIdle
+} = require('./utils');
+const { listCookies } = require('./cookies');
+
+// Login já feito (ou em andamento) por cookie jar: scrapes que compartilham a sessão logam uma vez só
+const sessions = new WeakMap();
+
+/**
+ * "selector=value" (the first "=" outside [attribute] brackets splits); env:NAME reads process.env.NAME
+ */
+function parseLoginField(spec) {
+  let depth = 0;
+  for (let i = 0; i < spec.length; i++) {
+    const c = spec[i];
+    if (c === '[') depth++;
+    else if (c === ']') depth = Math.max(0, depth - 1);
+    else if (c === '=' && depth === 0) {
+      const selector = spec.slice(0, i).trim();
+      let value = spec.slice(i + 1);
+      if (value.startsWith('env:')) {
+        const name = value.slice(4);
+        if (process.env[name] === undefined) throw new Error(`Login field ${selector}: environment variable ${name} is not set`);
+        value = process.env[name];
+      }
+      if (!selector) break;
+      return { selector, value };
+    }
+  }
+  throw new Error(`Invalid login field "${spec}" (expected selector=value)`);
+}
+
+/**
+ * Set a form control the way typing would (native setter, so React/Vue see the change) and fire input/change
+ */
+function fillField(window, el, value) {
+  const type = String(el.type || '').toLowerCase();
+  if (type === 'checkbox' || type === 'radio') {
+    el.checked = !/^(false|0|off|no)$/i.test(value);
+  } else {
+    const proto = el.tagName === 'TEXTAREA' ? window.HTMLTextAreaElement.prototype
+      : el.tagName === 'SELECT' ? window.HTMLSelectElement.prototype : window.HTMLInputElement.prototype;
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+    try { el.focus(); } catch (e) {}
+    if (descriptor && descriptor.set) descriptor.set.call(el, value);
+    else el.value = value;
+  }
+  el.dispatchEvent(new window.Event('input', { bubbles: true }));
+  el.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+/**
+ * Submit a form over HTTP (jsdom does not navigate on submit); cookies land in the shared jar
+ */
+async function submitForm(window, form, submitter, fetchOpts) {
+  const method = String(form.getAttribute('method') || 'GET').toUpperCase();
+  const action = new URL(form.getAttribute('action') || window.location.href, window.location.href).href;
+  const data = new window.FormData(form);
+  if (submitter && submitter.name) data.append(submitter.name, submitter.value || '');
+  const pairs = Array.from(data.entries()).filter(([, value]) => typeof value === 'string');
+
+  if (method === 'GET') {
+    const u = new URL(action);
+    u.search = new URLSearchParams(pairs).toString();
+    return retryFetch(u.href, fetchOpts, 1);
+  }
+  const headers = { ...fetchOpts.headers, Referer: window.location.href, Origin: window.location.origin };
+  let body;
+  if (String(form.getAttribute('enctype')).toLowerCase() === 'multipart/form-data') {
+    body = new FormData();
+    pairs.forEach(([name, value]) => body.append(name, value));
+  } else {
+    body = new URLSearchParams(pairs).toString();
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+  return retryFetch(action, { ...fetchOpts, method: 'POST', headers, body }, 1);
+}
+
+/**
+ * Scripted login: render `login.url` in jsdom, fill `login.fields`, click `login.submit` (or submit the
+ * fields' form) and wait for quiescence. Forms handled by page scripts (fetch/XHR) and classic form
+ * posts both leave their session cookies in fetchOpts.cookieJar.
+ */
+async function performLogin(login, fetchOpts, opts = {}) {
+  const { timeout = 10000, diagnose = false } = opts;
+  const cookieJar = fetchOpts.cookieJar;
+  const res = await retryFetch(login.url, fetchOpts);
+  if (res.status >= 400) throw new Error(`Login page returned HTTP ${res.status}: ${login.url}`);
+  const html = await res.text();
+  const dom = new JSDOM(html, {
+    url: login.url,
+    runScripts: 'dangerously',
+    resources: new UndiciResourceLoader(fetchOpts),
+    cookieJar,
+    pretendToBeVisual: true,
+    virtualConsole: (diagnose ? (new VirtualConsole()).sendTo(console) : (new VirtualConsole()).sendTo(console, { omitJSDOMErrors: true })),
+    beforeParse(window) {
+      applyJsdomPolyfills(window, { fetchOpts, cookieJar, diagnose });
+    }
+  });
+  const { window } = dom;
+
+  try {
+    await waitForQuiescence(window, { timeout, quiet: 500 });
+    const document = window.document;
+    let form = null;
+    for (const { selector, value } of login.fields) {
+      const el = document.querySelector(selector);
+      if (!el) throw new Error(`Login field not found: ${selector}`);
+      fillField(window, el, value);
+      form = form || el.form || null;
+    }
+
+    let submitEvent = null;
+    window.addEventListener('submit', (e) => { submitEvent = e; });
+    if (login.submit) {
+      const button = document.querySelector(login.submit);
+      if (!button) throw new Error(`Login submit not found: ${login.submit}`);
+      button.click();
+    } else if (form) {
+      // requestSubmit() valida o formulário (required, pattern...) antes do evento submit, como o navegador;
+      // inválido, nada seria enviado: o erro aponta os campos
+      const invalid = Array.from(form.elements).filter(el => el.willValidate && !el.checkValidity());
+      if (invalid.length) throw new Error(`Login form is invalid: ${invalid.map(el => el.name || el.id || el.tagName.toLowerCase()).join(', ')}`);
+      form.requestSubmit();
+    } else {
+      throw new Error('Login: the fields are not inside a <form>, set the submit button selector');
+    }
+    await new Promise(r => setTimeout(r, 0));
+
+    let status = null;
+    let method = 'script';
+    if (submitEvent && !submitEvent.defaultPrevented) {
+      const submitted = await submitForm(window, submitEvent.target, submitEvent.submitter, fetchOpts);
+      status = submitted.status;
+      method = 'form';
+      try { await submitted.arrayBuffer(); } catch (e) {}
+    }
+    await waitForQuiescence(window, { timeout, quiet: 500 });
+    await waitForNetworkIdle(() => window.__pendingRequests, { idle: 1000, maxWait: timeout });
+
+    if (status !== null && status >= 400) throw new Error(`Login form submission returned HTTP ${status}`);
+    const cookies = cookieJar ? listCookies(cookieJar).length : 0;
+    if (diagnose) console.error(`[login] ${login.url}: submitted via ${method}${status ? ` (HTTP ${status})` : ''}, ${cookies} cookies in the jar`);
+    return { url: login.url, method, status, cookies };
+  } finally {
+    try { window.close(); } catch (e) {}
+  }
+}
+
+/**
+ * Login options (loginUrl, loginFields, loginSubmit) as { url, fields, submit }, or null
+ */
+function loginFromOptions(opts = {}) {
+  if (!opts.loginUrl) return null;
+  const fields = [].concat(opts.loginFields || []).map(parseLoginField);
+  if (fields.length === 0) throw new Error('--login-url needs at least one --login-field selector=value');
+  return { url: opts.loginUrl, fields, submit: opts.loginSubmit || null };
+}
+
+/**
+ * Log in once per cookie jar (concurrent scrapes sharing the jar wait for the same login)
+ */
+function ensureLogin(opts, fetchOpts) {
+  const login = loginFromOptions(opts);
+  if (!login) return Promise.resolve(null);
+  const jar = fetchOpts.cookieJar;
+  if (!sessions.has(jar)) sessions.set(jar, new Map());
+  const done = sessions.get(jar);
+  if (!done.has(login.url)) {
+    const pending = performLogin(login, fetchOpts, opts).catch((e) => {
+      done.delete(login.url);
+      throw new Error(`Login failed: ${e.message}`);
+    });
+    done.set(login.url, pending);
+  }
+  return done.get(login.url);
+}
+
+module.exports = {
+  performLogin,
+  ensureLogin,
+  loginFromOptions,
+  parseLoginField
+};
@@ -0,0 +1,253 @@
+/**
+ * Query language for --term / --detalhe.
+ *
+ *   cambio automatico                 phrase, accent/case-insensitive ("Câmbio  Automático" matches)
+ *   "jeep" AND (flex OR diesel)       boolean operators (uppercase) and parentheses
+ *   renegade NOT /\bsport\b/          regex terms between slashes, matched on normalized text
+ *
+ * Adjacent bare words form a single phrase; adjacent terms of other kinds are ANDed.
+ * With `fuzzy: n`, phrases of 4+ characters also match with up to n edits (typos).
+ */
+
+// Elementos que separam palavras quando o texto é montado a partir do DOM
+const blockTags = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL', 'OPTION', 'BUTTON'
+]);
+
+/**
+ * Lowercase, strip diacritics and collapse whitespace
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Texto visível de um nó, com espaço entre elementos de bloco (o match atravessa <span>s)
+ */
+function readableText(node) {
+  if (!node) return '';
+  if (node.nodeType === 3) return node.textContent;
+  if (node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) return '';
+  const tag = node.tagName ? node.tagName.toUpperCase() : '';
+  if (tag === 'SCRIPT' || tag === 'STYLE' || tag === 'NOSCRIPT' || tag === 'TEMPLATE') return '';
+  let text = '';
+  for (const child of node.childNodes) text += readableText(child);
+  return blockTags.has(tag) ? ` ${text} ` : text;
+}
+
+/**
+ * Approximate substring search (Sellers): does `pattern` occur in `text` with <= k edits?
+ */
+function fuzzyIncludes(text, pattern, k) {
+  const m = pattern.length;
+  if (m <= k) return true;
+  let prev = new Array(m + 1);
+  let cur = new Array(m + 1);
+  for (let i = 0; i <= m; i++) prev[i] = i;
+  for (let j = 0; j < text.length; j++) {
+    const c = text[j];
+    cur[0] = 0;
+    for (let i = 1; i <= m; i++) {
+      cur[i] = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + (pattern[i - 1] === c ? 0 : 1));
+    }
+    if (cur[m] <= k) return true;
+    [prev, cur] = [cur, prev];
+  }
+  return false;
+}
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const c = query[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '(' || c === ')') { tokens.push({ type: c }); i++; continue; }
+    if (c === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) throw new Error(`Unterminated quote in query: ${query}`);
+      tokens.push({ type: 'phrase', value: query.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if (c === '/') {
+      let j = i + 1;
+      while (j < query.length && query[j] !== '/') j += query[j] === '\\' ? 2 : 1;
+      if (j >= query.length) throw new Error(`Unterminated regex in query: ${query}`);
+      let k = j + 1;
+      while (k < query.length && /[a-z]/.test(query[k])) k++;
+      tokens.push({ type: 'regex', source: query.slice(i + 1, j), flags: query.slice(j + 1, k) });
+      i = k;
+      continue;
+    }
+    let j = i;
+    while (j < query.length && !/[\s()"]/.test(query[j])) j++;
+    const word = query.slice(i, j);
+    if (word === 'AND' || word === 'OR' || word === 'NOT') tokens.push({ type: word });
+    else tokens.push({ type: 'word', value: word });
+    i = j;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query string into an AST: { type: 'and'|'or'|'not'|'phrase'|'regex', ... }
+ */
+function parseQuery(query) {
+  const tokens = tokenize(String(query || ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsPrimary = (t) => t && (t.type === '(' || t.type === 'phrase' || t.type === 'regex' || t.type === 'word' || t.type === 'NOT');
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'OR') { pos++; nodes.push(parseAnd()); }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [parseNot()];
+    while (peek() && (peek().type === 'AND' || startsPrimary(peek()))) {
+      if (peek().type === 'AND') pos++;
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') { pos++; return { type: 'not', node: parseNot() }; }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const t = peek();
+    if (!t) throw new Error(`Unexpected end of query: ${query}`);
+    pos++;
+    if (t.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error(`Missing ")" in query: ${query}`);
+      pos++;
+      return node;
+    }
+    if (t.type === 'phrase') return { type: 'phrase', value: normalizeText(t.value) };
+    if (t.type === 'regex') {
+      try {
+        const flags = Array.from(new Set((t.flags + 'i').replace(/g/g, ''))).join('');
+        return { type: 'regex', regex: new RegExp(t.source.normalize('NFD').replace(/\p{M}+/gu, ''), flags) };
+      } catch (e) {
+        throw new Error(`Invalid regex /${t.source}/ in query: ${e.message}`);
+      }
+    }
+    if (t.type === 'word') {
+      const words = [t.value];
+      while (peek() && peek().type === 'word') words.push(tokens[pos++].value);
+      return { type: 'phrase', value: normalizeText(words.join(' ')) };
+    }
+    throw new Error(`Unexpected "${t.type}" in query: ${query}`);
+  }
+
+  if (tokens.length === 0) throw new Error('Empty query');
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].type}" in query: ${query}`);
+  return ast;
+}
+
+/**
+ * Split a comma-separated list of queries, ignoring commas inside quotes, regexes and parentheses
+ */
+function splitQueryList(text) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = false;
+  let regex = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (regex && c === '\\') { current += c + (text[i + 1] || ''); i++; continue; }
+    if (!regex && c === '"') quote = !quote;
+    else if (!quote && c === '/' && (regex || !current.trim() || /[\s(]$/.test(current))) regex = !regex;
+    else if (!quote && !regex && c === '(') depth++;
+    else if (!quote && !regex && c === ')') depth = Math.max(0, depth - 1);
+    if (c === ',' && !quote && !regex && depth === 0) { parts.push(current); current = ''; continue; }
+    current += c;
+  }
+  parts.push(current);
+  return parts.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Compile a query into a matcher working on raw text:
+ *   test(text)     full boolean query
+ *   locate(text)   positive part only (NOT ignored): monotonic, used to find matches in the DOM
+ *   count(text)    occurrences of the positive terms (term density)
+ */
+function compileQuery(query, opts = {}) {
+  const fuzzy = opts.fuzzy || 0;
+  const ast = parseQuery(query);
+
+  function phraseMatches(text, phrase) {
+    if (!phrase) return true;
+    if (text.includes(phrase)) return true;
+    return fuzzy > 0 && phrase.length >= 4 && fuzzyIncludes(text, phrase, fuzzy);
+  }
+
+  function evaluate(node, text, positiveOnly) {
+    switch (node.type) {
+      case 'and': return node.nodes.every(n => evaluate(n, text, positiveOnly));
+      case 'or': return node.nodes.some(n => evaluate(n, text, positiveOnly));
+      case 'not': return positiveOnly ? true : !evaluate(node.node, text, positiveOnly);
+      case 'phrase': return phraseMatches(text, node.value);
+      case 'regex': return node.regex.test(text);
+      default: return false;
+    }
+  }
+
+  function positiveTerms(node, negated = false, out = []) {
+    if (node.type === 'and' || node.type === 'or') node.nodes.forEach(n => positiveTerms(n, negated, out));
+    else if (node.type === 'not') positiveTerms(node.node, !negated, out);
+    else if (!negated) out.push(node);
+    return out;
+  }
+  const terms = positiveTerms(ast);
+
+  function countTerm(text, node) {
+    if (node.type === 'regex') {
+      return (text.match(new RegExp(node.regex.source, node.regex.flags + 'g')) || []).length;
+    }
+    if (!node.value) return 0;
+    let count = 0;
+    let idx = text.indexOf(node.value);
+    while (idx !== -1) { count++; idx = text.indexOf(node.value, idx + node.value.length); }
+    return count || (phraseMatches(text, node.value) ? 1 : 0);
+  }
+
+  return {
+    query,
+    ast,
+    terms,
+    test: (text) => evaluate(ast, normalizeText(text), false),
+    locate: (text) => evaluate(ast, normalizeText(text), true),
+    count: (text) => {
+      const normalized = normalizeText(text);
+      return terms.reduce((sum, node) => sum + countTerm(normalized, node), 0);
+    },
+    // Comprimento médio dos termos, para a densidade
+    termLength: terms.length ? terms.reduce((sum, n) => sum + (n.value ? n.value.length : 4), 0) / terms.length : 1
+  };
+}
+
+module.exports = {
+  normalizeText,
+  readableText,
+  fuzzyIncludes,
+  parseQuery,
+  compileQuery,
+  splitQueryList
+};
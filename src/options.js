@@ -0,0 +1,155 @@
+const { outputFormats } = require('./output');
+const { uaProfiles } = require('./headers');
+const { deviceProfiles } = require('./environment');
+
+/**
+ * CLI option table: `name` is the scrape() option, `flag` the command-line switch
+ */
+const optionSpecs = [
+  { name: 'out', flag: '--out', type: 'string', arg: 'file', desc: 'Write the result to a file instead of stdout' },
+  { name: 'format', flag: '--format', type: 'enum', values: outputFormats, arg: outputFormats.join('|'), desc: 'Output format' },
+  { name: 'term', flag: '--term', type: 'string', arg: 'query', desc: 'Search query for the radial search (required unless --main-content page or --schema): words, "phrases", /regex/, AND, OR, NOT' },
+  { name: 'detalhe', flag: '--detalhe', type: 'list', arg: 'q1,q2', desc: 'Keep only fragments matching every detail query (repeatable)' },
+  { name: 'fuzzy', flag: '--fuzzy', type: 'int', min: 0, arg: 'n', desc: 'Typo tolerance (edits) for --term / --detalhe phrases' },
+  { name: 'timeout', flag: '--timeout', type: 'int', min: 1, arg: 'ms', desc: 'Fetch / render timeout' },
+  { name: 'completenessThreshold', flag: '--completeness-threshold', type: 'number', min: -100, arg: 'score', desc: 'Score at which a tier\'s HTML counts as incomplete and the next tier runs (see --diagnose)' },
+  { name: 'forceBrowser', flag: '--browser', type: 'boolean', desc: 'Force the headless Chromium tier' },
+  { name: 'diagnose', flag: '--diagnose', type: 'boolean', desc: 'Log diagnostics to stderr' },
+  { name: 'radial', flag: '--radial', type: 'boolean', desc: 'Run the radial search around --term' },
+  { name: 'radialMode', flag: '--radial-mode', type: 'enum', values: ['auto', 'fixed'], arg: 'auto|fixed', desc: 'auto: expand matches to repeated cards; fixed: climb --radius-levels parents' },
+  { name: 'radiusLevels', flag: '--radius-levels', type: 'int', min: 1, arg: 'n', desc: 'Parent levels climbed from each match (fixed mode / no card found)' },
+  { name: 'minRepeat', flag: '--min-repeat', type: 'int', min: 1, arg: 'n', desc: 'Minimum siblings sharing tag + classes to count as a card' },
+  { name: 'insecure', flag: '--insecure', type: 'boolean', desc: 'Accept invalid TLS certificates' },
+  { name: 'renderLinks', flag: '--render-links', type: 'boolean', desc: 'Render pages linked from the fragments' },
+  { name: 'maxLinks', flag: '--max-links', type: 'int', min: 1, arg: 'n', desc: 'Maximum distinct linked pages rendered per run (shared by every fragment)' },
+  { name: 'linkTimeout', flag: '--link-timeout', type: 'int', min: 1, arg: 'ms', desc: 'Timeout for each linked page' },
+  { name: 'linkConcurrency', flag: '--link-concurrency', type: 'int', min: 1, arg: 'n', desc: 'Linked pages rendered at the same time (each URL once per run)' },
+  { name: 'maxLinkWindows', flag: '--max-link-windows', type: 'int', min: 1, arg: 'n', desc: 'jsdom windows open for linked pages across the whole process (batch and serve included)' },
+  { name: 'linkBudget', flag: '--link-budget', type: 'int', min: 1, arg: 'ms', desc: 'Total time for linked pages; links not rendered by then are reported as failed' },
+  { name: 'paginate', flag: '--paginate', type: 'int', min: 1, arg: 'n', desc: 'Follow next-page links / infinite scroll for up to n pages, merging fragments' },
+  { name: 'mainContent', flag: '--main-content', type: 'enum', values: ['fallback', 'page', 'off'], arg: 'fallback|page|off', desc: 'Main-content extraction (text/link density, main/article): page = only the main content when there is no --term, fallback = when the radial search finds nothing' },
+  { name: 'schema', flag: '--schema', type: 'string', arg: 'file', desc: 'Extraction schema (.json or .js): list selector plus CSS/XPath fields -> typed records; --term / --detalhe filter the items' },
+  { name: 'saveSchema', flag: '--save-schema', type: 'string', arg: 'file', desc: 'Infer a schema from the repeated cards matching --term and save it (reuse with --schema, no term needed)' },
+  { name: 'hydration', flag: '--hydration', type: 'boolean', desc: 'Extract embedded data (__NEXT_DATA__, Nuxt, window.__*STATE__, JSON-LD, microdata, OpenGraph) and search it for --term' },
+  { name: 'cleanupProfile', flag: '--cleanup-profile', type: 'string', arg: 'name', desc: 'Markdown cleanup profile (default: picked by domain, else "default"; built in: default, magnautos)' },
+  { name: 'cleanupProfiles', flag: '--cleanup-profiles', type: 'list', arg: 'file', desc: 'Load cleanup profiles from a .json or .js file (repeatable)' },
+  { name: 'cache', flag: '--cache', type: 'boolean', desc: 'Record responses in an on-disk HTTP cache and reuse fresh ones' },
+  { name: 'cacheDir', flag: '--cache-dir', type: 'string', arg: 'dir', desc: 'Cache directory' },
+  { name: 'cacheTtl', flag: '--cache-ttl', type: 'int', min: 0, arg: 'ms', desc: 'Treat cached responses as fresh for this long (overrides Cache-Control)' },
+  { name: 'fromCache', flag: '--from-cache', type: 'boolean', desc: 'Offline: serve every request from the cache, never touch the network' },
+  { name: 'record', flag: '--record', type: 'string', arg: 'file.har', desc: 'Record every request and response of the run in a HAR archive' },
+  { name: 'replay', flag: '--replay', type: 'string', arg: 'file.har', desc: 'Offline: answer every request from a HAR archive recorded with --record' },
+  { name: 'cookies', flag: '--cookies', type: 'string', arg: 'file', desc: 'Load cookies from a Netscape cookies.txt or JSON file and save the session back to it' },
+  { name: 'loginUrl', flag: '--login-url', type: 'string', arg: 'url', desc: 'Log in on this page before scraping (fills --login-field, clicks --login-submit)' },
+  { name: 'loginFields', flag: '--login-field', type: 'list', arg: 'selector=value', desc: 'Login form field to fill; env:NAME reads the value from an environment variable (repeatable)' },
+  { name: 'loginSubmit', flag: '--login-submit', type: 'string', arg: 'selector', desc: "Login submit button (default: submit the fields' form)" },
+  { name: 'device', flag: '--device', type: 'enum', values: Object.keys(deviceProfiles), arg: Object.keys(deviceProfiles).join('|'), desc: 'Device emulated by jsdom and Chromium: viewport, pixel ratio, touch (mobile also defaults to a mobile UA profile)' },
+  { name: 'viewport', flag: '--viewport', type: 'string', arg: 'WxH', desc: 'Viewport size overriding the device one (innerWidth/innerHeight, screen, media queries)' },
+  { name: 'dpr', flag: '--dpr', type: 'number', min: 0.1, arg: 'ratio', desc: 'Device pixel ratio overriding the device one' },
+  { name: 'locale', flag: '--locale', type: 'string', arg: 'tag', desc: 'navigator.language and the Intl default locale (default: first Accept-Language tag; also sets Accept-Language)' },
+  { name: 'timezone', flag: '--timezone', type: 'string', arg: 'zone', desc: 'IANA timezone for Intl, Date locale methods and getTimezoneOffset (default: America/Sao_Paulo)' },
+  { name: 'uaProfile', flag: '--ua-profile', type: 'enum', values: [...Object.keys(uaProfiles), 'rotate'], arg: 'name|rotate', desc: 'Browser profile: User-Agent plus matching client hints and Accept (rotate: a different profile per scrape)' },
+  { name: 'userAgent', flag: '--user-agent', type: 'string', arg: 'ua', desc: 'Custom User-Agent (drops the profile client hints)' },
+  { name: 'acceptLanguage', flag: '--accept-language', type: 'string', arg: 'langs', desc: 'Accept-Language header (default: pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7)' },
+  { name: 'headers', flag: '--header', type: 'list', arg: '"Name: value"', desc: 'Extra request header (repeatable)' },
+  { name: 'blockTrackers', flag: '--block-trackers', type: 'boolean', desc: 'jsdom: skip analytics, tag manager, pixel and ad requests (built-in blocklist)' },
+  { name: 'allowRequests', flag: '--allow-request', type: 'list', arg: 'pattern', desc: 'jsdom: always load subresource / fetch / XHR URLs matching a glob or /regex/, whatever the other rules say (repeatable)' },
+  { name: 'blockRequests', flag: '--block-request', type: 'list', arg: 'pattern', desc: 'jsdom: never load subresource / fetch / XHR URLs matching a glob or /regex/ (repeatable)' },
+  { name: 'blockResources', flag: '--block-resources', type: 'list', arg: 'types', desc: 'jsdom: skip these resource types: script, stylesheet, image, font, media, document, fetch, xhr, other (comma-separated, repeatable)' },
+  { name: 'intercept', flag: '--intercept', type: 'list', arg: 'file', desc: 'Interception rules from a .json (allow, block, blockTypes) or .js file (onRequest / onResponse hooks too) (repeatable)' },
+  { name: 'proxy', flag: '--proxy', type: 'list', arg: 'url', desc: 'http://, https://, socks5:// or socks5h:// proxy, user:pass@ allowed; several rotate (repeatable)' },
+  { name: 'proxyFile', flag: '--proxy-file', type: 'string', arg: 'file', desc: 'File with one proxy URL per line (added to --proxy)' },
+  { name: 'rateLimit', flag: '--rate-limit', type: 'number', min: 0, arg: 'req/s', desc: 'Maximum requests per second to each host, shared by every request path (0 = unlimited)' },
+  { name: 'rateBurst', flag: '--rate-burst', type: 'int', min: 1, arg: 'n', desc: 'Requests allowed in a burst before --rate-limit applies' },
+  { name: 'retries', flag: '--retries', type: 'int', min: 0, arg: 'n', desc: 'Retries after a retryable failure (reset, timeout, 408/425/429/5xx gateway errors; DNS and TLS errors are fatal)' },
+  { name: 'retryBaseDelay', flag: '--retry-base-delay', type: 'int', min: 0, arg: 'ms', desc: 'Backoff base: the wait before retry n is random(0, base * 2^n), unless Retry-After says otherwise' },
+  { name: 'retryMaxDelay', flag: '--retry-max-delay', type: 'int', min: 0, arg: 'ms', desc: 'Backoff ceiling' },
+  { name: 'connectTimeout', flag: '--connect-timeout', type: 'int', min: 1, arg: 'ms', desc: 'Time limit to open a connection (TCP + TLS, or the proxy handshake)' },
+  { name: 'headersTimeout', flag: '--headers-timeout', type: 'int', min: 1, arg: 'ms', desc: 'Time limit for the response headers once connected' },
+  { name: 'bodyTimeout', flag: '--body-timeout', type: 'int', min: 1, arg: 'ms', desc: 'Maximum silence between chunks of the response body' },
+  { name: 'crawl', flag: '--crawl', type: 'boolean', desc: 'Crawl linked pages (BFS) and run the term search on each one' },
+  { name: 'maxDepth', flag: '--max-depth', type: 'int', min: 0, arg: 'n', desc: 'crawl: maximum link depth from the start URL' },
+  { name: 'maxPages', flag: '--max-pages', type: 'int', min: 1, arg: 'n', desc: 'crawl: maximum pages fetched' },
+  { name: 'include', flag: '--include', type: 'list', arg: 'pattern', desc: 'crawl: only follow URLs matching a glob or /regex/ (repeatable)' },
+  { name: 'exclude', flag: '--exclude', type: 'list', arg: 'pattern', desc: 'crawl: never follow URLs matching a glob or /regex/ (repeatable)' },
+  { name: 'sameHost', flag: '--same-host', type: 'boolean', desc: 'crawl: stay on the start host' },
+  { name: 'samePath', flag: '--same-path', type: 'boolean', desc: 'crawl: stay under the start URL directory' },
+  { name: 'robots', flag: '--robots', type: 'boolean', desc: 'crawl: honor robots.txt rules and Crawl-delay' },
+  { name: 'crawlDelay', flag: '--crawl-delay', type: 'int', min: 0, arg: 'ms', desc: 'crawl: minimum delay between pages of the same host' },
+  { name: 'batch', flag: '--batch', type: 'string', arg: 'jobs.jsonl', desc: 'Run every job of a JSONL file (one {url, term, ...} per line)' },
+  { name: 'concurrency', flag: '--concurrency', type: 'int', min: 1, arg: 'n', desc: 'Batch jobs running at the same time' },
+  { name: 'hostDelay', flag: '--host-delay', type: 'int', min: 0, arg: 'ms', desc: 'Batch politeness delay between jobs on the same host' },
+  { name: 'port', flag: '--port', type: 'int', min: 0, arg: 'n', desc: 'serve: port to listen on' },
+  { name: 'host', flag: '--host', type: 'string', arg: 'addr', desc: 'serve: address to bind' },
+  { name: 'maxWindows', flag: '--max-windows', type: 'int', min: 1, arg: 'n', desc: 'serve: scrapes (jsdom windows) rendering at the same time' },
+  { name: 'requestTimeout', flag: '--request-timeout', type: 'int', min: 1, arg: 'ms', desc: 'serve: time limit for each request' },
+  { name: 'maxRequestLinks', flag: '--max-request-links', type: 'int', min: 1, arg: 'n', desc: 'serve: highest maxLinks a request may ask for' },
+  { name: 'maxLinkTimeout', flag: '--max-link-timeout', type: 'int', min: 1, arg: 'ms', desc: 'serve: highest linkTimeout a request may ask for' }
+];
+
+// Opções da CLI que não são repassadas ao scrape()
+const cliOnlyOptions = ['out', 'format', 'batch', 'concurrency', 'hostDelay', 'port', 'host', 'maxWindows', 'requestTimeout', 'maxRequestLinks', 'maxLinkTimeout'];
+
+/**
+ * Converte e valida o valor de uma opção conforme o tipo declarado
+ */
+function coerceOption(spec, value, source) {
+  const where = source || spec.flag;
+  if (spec.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`${where} expects true or false, got "${value}"`);
+  }
+  if (spec.type === 'int') {
+    const n = typeof value === 'number' ? value : (/^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+    if (!Number.isInteger(n)) throw new Error(`${where} expects an integer, got "${value}"`);
+    if (spec.min !== undefined && n < spec.min) throw new Error(`${where} must be >= ${spec.min}, got ${n}`);
+    return n;
+  }
+  if (spec.type === 'number') {
+    const n = typeof value === 'number' ? value : (/^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(String(value)) ? Number(value) : NaN);
+    if (!Number.isFinite(n)) throw new Error(`${where} expects a number, got "${value}"`);
+    if (spec.min !== undefined && n < spec.min) throw new Error(`${where} must be >= ${spec.min}, got ${n}`);
+    return n;
+  }
+  if (spec.type === 'list') {
+    const list = Array.isArray(value) ? value : [value];
+    // A separação por vírgula fica com normalizeDetalhe (vírgulas dentro de /regex/ e "aspas" são preservadas)
+    return list.map(v => String(v).trim()).filter(Boolean);
+  }
+  if (spec.type === 'enum') {
+    if (!spec.values.includes(value)) throw new Error(`${where} must be one of ${spec.values.join(', ')}, got "${value}"`);
+    return value;
+  }
+  if (typeof value !== 'string' || !value) throw new Error(`${where} expects a non-empty value`);
+  return value;
+}
+
+/**
+ * Validate an object keyed by option name (config files, batch jobs)
+ */
+function validateOptions(raw, source) {
+  const options = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const spec = optionSpecs.find(s => s.name === key);
+    if (!spec) throw new Error(`Unknown option "${key}" in ${source}`);
+    options[key] = coerceOption(spec, value, `"${key}" in ${source}`);
+  }
+  return options;
+}
+
+/**
+ * Sem term, só o conteúdo principal (mainContent 'page') ou um schema dizem o que extrair
+ */
+function missingTerm(options) {
+  return !options.term && options.mainContent !== 'page' && !options.schema;
+}
+
+module.exports = {
+  optionSpecs,
+  cliOnlyOptions,
+  coerceOption,
+  validateOptions,
+  missingTerm
+};
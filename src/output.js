@@ -0,0 +1,118 @@
+/**
+ * Output formatters for scrape() results (markdown, json, ndjson)
+ */
+
+const outputFormats = ['markdown', 'json', 'ndjson'];
+
+/**
+ * Record for a linked page rendered by processLinksFromContent, failures included
+ */
+function linkRecord(page) {
+  return {
+    type: 'link',
+    url: page.url,
+    ok: !page.error,
+    markdown: page.error ? null : page.markdown,
+    error: page.error || null,
+    ms: page.ms
+  };
+}
+
+/**
+ * Record for a fragment found by performRadialSearch
+ */
+function fragmentRecord(fragment, result) {
+  return {
+    type: 'fragment',
+    index: fragment.index,
+    selector: fragment.selector,
+    method: fragment.method,
+    term: fragment.term,
+    repeatCount: fragment.repeatCount,
+    matches: fragment.matches,
+    score: fragment.score,
+    sourceUrl: fragment.sourceUrl || result.url,
+    markdown: fragment.markdown,
+    html: fragment.html,
+    links: (fragment.links || []).map(linkRecord)
+  };
+}
+
+/**
+ * Record for results without fragments (full page or main content, with its article metadata)
+ */
+function pageRecord(result) {
+  return {
+    type: 'page',
+    sourceUrl: result.url,
+    tier: result.tier,
+    markdown: result.content,
+    ...(result.article ? { article: result.article } : {}),
+    links: (result.links || []).map(linkRecord)
+  };
+}
+
+/**
+ * Record for an entry of the embedded structured data matching the term (see hydration.js)
+ */
+function dataRecord(match, result) {
+  return {
+    type: 'data',
+    source: match.source,
+    name: match.name,
+    path: match.path,
+    sourceUrl: match.sourceUrl || result.url,
+    data: match.data
+  };
+}
+
+/**
+ * Record for an item extracted with a schema (see schema.js)
+ */
+function schemaRecord(record, result) {
+  return {
+    type: 'record',
+    schema: record.schema,
+    index: record.index,
+    sourceUrl: record.sourceUrl || result.url,
+    data: record.data
+  };
+}
+
+/**
+ * Converte o resultado de scrape() em registros (um por item do schema, um por fragmento, ou um registro
+ * de página), seguidos dos registros encontrados nos dados estruturados
+ */
+function resultRecords(result) {
+  const data = (result.data || []).map(m => dataRecord(m, result));
+  if (result.records) return result.records.map(r => schemaRecord(r, result)).concat(data);
+  if (result.fragments && result.fragments.length > 0) {
+    return result.fragments.map(f => fragmentRecord(f, result)).concat(data);
+  }
+  return data.length ? data : [pageRecord(result)];
+}
+
+/**
+ * Serialize a scrape() result in the requested format
+ */
+function formatResult(result, format = 'markdown') {
+  if (format === 'markdown') return result.content;
+  if (format === 'json') {
+    const { url, tier, timings, errors, pages, skipped, structuredData, invalidRecords } = result;
+    return JSON.stringify({ url, tier, timings, errors, pages, skipped, records: resultRecords(result), invalidRecords, structuredData }, null, 2) + '\n';
+  }
+  if (format === 'ndjson') {
+    return resultRecords(result).map(r => JSON.stringify({ ...r, tier: result.tier })).join('\n') + '\n';
+  }
+  throw new Error(`Unknown output format "${format}" (expected ${outputFormats.join(', ')})`);
+}
+
+module.exports = {
+  outputFormats,
+  formatResult,
+  resultRecords,
+  fragmentRecord,
+  dataRecord,
+  schemaRecord,
+  linkRecord
+};
@@ -0,0 +1,192 @@
+const { normalizeText } = require('./matching');
+const { duplicateRemover } = require('./duplicates');
+const { formatDataMatches } = require('./hydration');
+const { formatRecords } = require('./schema');
+
+// Textos de âncoras de "próxima página" (já normalizados: sem acento, minúsculos)
+const nextTexts = /^(proxima|proximo|next|seguinte|avancar|mais resultados)( pagina| page)?\s*[›»>→]*$|^[›»>→]{1,2}$/;
+// Parâmetros de query que costumam indicar a página
+const pageParams = ['page', 'pagina', 'pag', 'p', 'pg', 'paged'];
+
+/**
+ * Número da página atual a partir da URL (?page=N ou /page/N), ou null
+ */
+function pageNumberFromUrl(url) {
+  const u = new URL(url);
+  for (const name of pageParams) {
+    const value = u.searchParams.get(name);
+    if (value && /^\d+$/.test(value)) return { param: name, page: Number(value) };
+  }
+  const m = /\/(page|pagina)\/(\d+)\/?$/i.exec(u.pathname);
+  if (m) return { path: m[1], page: Number(m[2]) };
+  return null;
+}
+
+function resolveHref(href, baseUrl) {
+  if (!href || /^(javascript:|mailto:|tel:|#)/i.test(href.trim())) return null;
+  try { return new URL(href, baseUrl).href.replace(/#.*$/, ''); } catch (e) { return null; }
+}
+
+/**
+ * Find the next page of a listing: rel="next", "Próxima"/"Next" anchors, numbered pagers, ?page=N
+ */
+function findNextPageUrl(document, currentUrl, visited = new Set()) {
+  const current = pageNumberFromUrl(currentUrl);
+  const currentPage = current ? current.page : 1;
+  const fresh = (url) => url && url !== currentUrl && !visited.has(url) ? url : null;
+
+  // 1) rel="next"
+  for (const el of document.querySelectorAll('link[rel~="next"][href], a[rel~="next"][href]')) {
+    const url = fresh(resolveHref(el.getAttribute('href'), currentUrl));
+    if (url) return { url, method: 'rel_next' };
+  }
+
+  const anchors = Array.from(document.querySelectorAll('a[href]'));
+
+  // 2) "Próxima" / "Next" / "»"
+  for (const a of anchors) {
+    const label = normalizeText(a.textContent || a.getAttribute('aria-label') || a.getAttribute('title') || '');
+    const aria = normalizeText(a.getAttribute('aria-label') || '');
+    if (nextTexts.test(label) || nextTexts.test(aria)) {
+      const url = fresh(resolveHref(a.getAttribute('href'), currentUrl));
+      if (url) return { url, method: 'next_anchor' };
+    }
+  }
+
+  // 3) numbered pager: an anchor labelled currentPage + 1, or pointing to ?page=currentPage+1
+  for (const a of anchors) {
+    const url = fresh(resolveHref(a.getAttribute('href'), currentUrl));
+    if (!url) continue;
+    const label = normalizeText(a.textContent);
+    const target = pageNumberFromUrl(url);
+    if (target && target.page === currentPage + 1) return { url, method: 'page_param' };
+    if (label === String(currentPage + 1)) {
+      const numericSiblings = anchors.filter(b => b.parentElement && a.parentElement &&
+        (b.parentElement === a.parentElement || b.parentElement.parentElement === a.parentElement.parentElement) &&
+        /^\d+$/.test(normalizeText(b.textContent)));
+      if (numericSiblings.length >= 2) return { url, method: 'numbered_pager' };
+    }
+  }
+
+  // 4) URL pattern: increment ?page=N or /page/N
+  if (current) {
+    const u = new URL(currentUrl);
+    if (current.param) u.searchParams.set(current.param, String(current.page + 1));
+    else u.pathname = u.pathname.replace(/\/(page|pagina)\/\d+(\/?)$/i, `/$1/${current.page + 1}$2`);
+    const url = fresh(u.href);
+    if (url) return { url, method: 'url_pattern' };
+  }
+
+  return null;
+}
+
+/**
+ * Scrape up to `paginate` pages of a listing, following next-page links and merging
+ * fragments (deduplicated across pages) into one result.
+ */
+async function scrapePaginated(url, options = {}) {
+  const { scrape, createFetchOpts, createLinkScheduler } = require('./scraper');
+  const maxPages = options.paginate;
+  const visited = new Set();
+  const opts = { ...options, paginate: 1, infiniteScroll: options.paginate, findNextPage: true, visitedPages: visited };
+  // Mesmo dispatcher, cache e sessão (cookies) para todas as páginas
+  opts.fetchOpts = createFetchOpts(opts);
+  // Um link que aparece em várias páginas é renderizado uma vez; --max-links vale para a execução toda
+  if (opts.renderLinks !== false) opts.linkScheduler = createLinkScheduler(opts);
+  const started = Date.now();
+  const pages = [];
+  const fragments = [];
+  const links = [];
+  const errors = [];
+  const seenFragments = new Set();
+  const contents = [];
+  const data = [];
+  const structuredData = [];
+  const seenData = new Set();
+  const records = [];
+  const invalidRecords = [];
+  const seenRecords = new Set();
+  const seenPages = new Set();
+
+  let next = { url, method: 'start' };
+  while (next && pages.length < maxPages) {
+    visited.add(next.url);
+    let result;
+    try {
+      result = await scrape(next.url, opts);
+    } catch (e) {
+      errors.push({ tier: 'paginate', url: next.url, message: e.message });
+      pages.push({ url: next.url, method: next.method, error: e.message });
+      break;
+    }
+    // Mesmo conteúdo de uma página anterior (pager que se repete, ?page=N ignorado): fim, também sem --term
+    const pageKey = normalizeText(result.content);
+    if (seenPages.has(pageKey)) {
+      if (options.diagnose) console.error(`[paginate] ${next.url} repeats an earlier page, stopping`);
+      break;
+    }
+    seenPages.add(pageKey);
+    errors.push(...result.errors);
+    links.push(...result.links);
+
+    let added = 0;
+    let addedData = 0;
+    for (const f of result.fragments) {
+      const key = normalizeText(f.markdown);
+      if (seenFragments.has(key)) continue;
+      seenFragments.add(key);
+      added++;
+      const index = fragments.length + 1;
+      fragments.push({ ...f, index, content: f.content.replace(/^<!-- FRAGMENTO \d+/, `<!-- FRAGMENTO ${index}`) });
+    }
+    for (const m of result.data || []) {
+      const key = JSON.stringify(m.data);
+      if (seenData.has(key)) continue;
+      seenData.add(key);
+      data.push(m);
+      addedData++;
+    }
+    let addedRecords = 0;
+    for (const r of result.records || []) {
+      const key = JSON.stringify(r.data);
+      if (seenRecords.has(key)) continue;
+      seenRecords.add(key);
+      records.push(r);
+      addedRecords++;
+    }
+    invalidRecords.push(...(result.invalidRecords || []));
+    structuredData.push(...(result.structuredData || []));
+    if (result.fragments.length === 0 && !options.term) contents.push(result.content);
+    pages.push({ url: next.url, method: next.method, tier: result.tier, fragments: added, data: addedData, ...(options.schema ? { records: addedRecords } : {}), timings: result.timings });
+    if (options.diagnose) console.error(`[paginate] page ${pages.length}: ${next.url} (${next.method}) +${added} fragments${addedData ? `, +${addedData} data records` : ''}${options.schema ? `, +${addedRecords} schema records` : ''}`);
+
+    // Página sem fragmentos (ou registros) novos: fim da listagem (ou site que ignora ?page=N)
+    if ((options.term || options.schema) && added === 0 && addedData === 0 && addedRecords === 0) break;
+    next = result.nextPageUrl && !visited.has(result.nextPageUrl.url) ? result.nextPageUrl : null;
+  }
+
+  const dataSection = data.length ? formatDataMatches(data) : '';
+  let content;
+  if (options.schema) content = [formatRecords(records, invalidRecords.length), dataSection].filter(Boolean).join('\n\n---\n\n');
+  else if (options.term) content = [...fragments.map(f => f.content), dataSection].filter(Boolean).join('\n\n---\n\n') || '<!-- Nenhum fragmento encontrado -->';
+  else content = contents.join('\n\n---\n\n');
+  return {
+    url,
+    tier: pages.length && pages[0].tier ? pages[0].tier : 'paginate',
+    content: options.schema ? content : duplicateRemover.removeDuplicates(content),
+    fragments,
+    links,
+    data,
+    structuredData,
+    ...(options.schema ? { records, invalidRecords } : {}),
+    pages,
+    timings: { total: Date.now() - started },
+    errors
+  };
+}
+
+module.exports = {
+  findNextPageUrl,
+  pageNumberFromUrl,
+  scrapePaginated
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const { Agent, ProxyAgent } = require('undici');
+
+const defaultProxyOptions = {
+  maxFailures: 3,
+  cooldown: 60000
+};
+
+// Pools compartilhados no processo: a saúde de cada proxy vale para todos os scrapes
+const sharedPools = new Map();
+
+/**
+ * Lê uma lista de proxies (um por linha, # comenta)
+ */
+function readProxyFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new Error(`Cannot read proxy file ${file}: ${e.message}`);
+  }
+  return text.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Buffered reads of exactly n bytes from a socket (SOCKS handshake)
+ */
+function socketReader(socket) {
+  let buffer = Buffer.alloc(0);
+  let waiting = null;
+  const check = () => {
+    if (!waiting || buffer.length < waiting.n) return;
+    const out = buffer.subarray(0, waiting.n);
+    buffer = buffer.subarray(waiting.n);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve(out);
+  };
+  const onData = (data) => { buffer = Buffer.concat([buffer, data]); check(); };
+  const onClose = () => { if (waiting) waiting.reject(new Error('SOCKS proxy closed the connection')); };
+  socket.on('data', onData);
+  socket.on('close', onClose);
+  return {
+    read: (n) => new Promise((resolve, reject) => { waiting = { n, resolve, reject }; check(); }),
+    release() {
+      socket.removeListener('data', onData);
+      socket.removeListener('close', onClose);
+      socket.pause();
+      if (buffer.length) socket.unshift(buffer);
+    }
+  };
+}
+
+/**
+ * SOCKS5 greeting, optional username/password auth (RFC 1929) and CONNECT to host:port
+ */
+async function socks5Handshake(socket, proxy, host, port) {
+  const reader = socketReader(socket);
+  try {
+    const username = decodeURIComponent(proxy.username || '');
+    const password = decodeURIComponent(proxy.password || '');
+    socket.write(Buffer.from(username ? [5, 2, 0, 2] : [5, 1, 0]));
+    const [version, method] = await reader.read(2);
+    if (version !== 5) throw new Error('not a SOCKS5 proxy');
+    if (method === 2) {
+      const user = Buffer.from(username);
+      const pass = Buffer.from(password);
+      socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+      const [, status] = await reader.read(2);
+      if (status !== 0) throw new Error('SOCKS5 authentication failed');
+    } else if (method !== 0) {
+      throw new Error('SOCKS5 proxy accepts no supported auth method');
+    }
+
+    // Nome do host vai para o proxy resolver (socks5h); IPs literais vão como endereço
+    let address;
+    if (net.isIPv4(host)) {
+      address = Buffer.from([1, ...host.split('.').map(Number)]);
+    } else {
+      const name = Buffer.from(host.replace(/^\[|\]$/g, ''));
+      address = Buffer.concat([Buffer.from([3, name.length]), name]);
+    }
+    socket.write(Buffer.concat([Buffer.from([5, 1, 0]), address, Buffer.from([port >> 8, port & 255])]));
+
+    const [, reply, , type] = await reader.read(4);
+    if (reply !== 0) throw new Error(`SOCKS5 connect to ${host}:${port} failed (code ${reply})`);
+    if (type === 1) await reader.read(4 + 2);
+    else if (type === 4) await reader.read(16 + 2);
+    else await reader.read((await reader.read(1))[0] + 2);
+  } finally {
+    reader.release();
+  }
+}
+
+/**
+ * undici `connect` function tunnelling through a SOCKS5 proxy (TLS is layered on top for https)
+ */
+function socksConnector(proxy, opts = {}) {
+  const { rejectUnauthorized = true, timeout = 10000 } = opts;
+  return (target, callback) => {
+    let done = false;
+    const finish = (err, socket) => {
+      if (done) return;
+      done = true;
+      callback(err, socket);
+    };
+    const socket = net.connect({ host: proxy.hostname, port: Number(proxy.port) || 1080 });
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SOCKS proxy timeout: ${proxy.host}`)));
+    socket.once('error', finish);
+    socket.once('connect', async () => {
+      try {
+        const port = Number(target.port) || (target.protocol === 'https:' ? 443 : 80);
+        await socks5Handshake(socket, proxy, target.hostname, port);
+        socket.setTimeout(0);
+        if (target.protocol !== 'https:') return finish(null, socket);
+        const secure = tls.connect({
+          socket,
+          servername: net.isIP(target.hostname) ? undefined : (target.servername || target.hostname),
+          ALPNProtocols: ['http/1.1'],
+          rejectUnauthorized
+        });
+        secure.once('secureConnect', () => finish(null, secure));
+        secure.once('error', finish);
+      } catch (e) {
+        socket.destroy();
+        finish(e);
+      }
+    });
+  };
+}
+
+/**
+ * undici dispatcher for a proxy URL: http(s):// through ProxyAgent, socks5:// / socks5h:// / socks:// through socksConnector.
+ * `opts.connectTimeout` / `headersTimeout` / `bodyTimeout` as in the retry policy.
+ */
+function createProxyDispatcher(uri, opts = {}) {
+  const proxy = new URL(uri);
+  const rejectUnauthorized = !opts.insecure;
+  const { connectTimeout = 10000, headersTimeout, bodyTimeout } = opts;
+  const timeouts = { ...(headersTimeout ? { headersTimeout } : {}), ...(bodyTimeout ? { bodyTimeout } : {}) };
+  if (/^socks(5h?)?:$/.test(proxy.protocol)) {
+    return new Agent({ connect: socksConnector(proxy, { rejectUnauthorized, timeout: connectTimeout }), ...timeouts });
+  }
+  if (proxy.protocol === 'http:' || proxy.protocol === 'https:') {
+    return new ProxyAgent({
+      uri: proxy.href,
+      requestTls: { rejectUnauthorized, timeout: connectTimeout },
+      proxyTls: { rejectUnauthorized, timeout: connectTimeout },
+      ...timeouts
+    });
+  }
+  throw new Error(`Unsupported proxy protocol ${proxy.protocol} (use http, https, socks5 or socks5h)`);
+}
+
+/**
+ * Rotating proxy pool with health tracking: round robin over healthy proxies; after `maxFailures`
+ * consecutive failures a proxy rests for `cooldown` ms. When every proxy is resting, the one
+ * that recovers first is used.
+ */
+class ProxyPool {
+  constructor(uris, opts = {}) {
+    const { maxFailures, cooldown } = { ...defaultProxyOptions, ...opts };
+    if (!uris || uris.length === 0) throw new Error('ProxyPool needs at least one proxy');
+    this.maxFailures = maxFailures;
+    this.cooldown = cooldown;
+    this.cursor = 0;
+    this.proxies = uris.map(uri => ({
+      uri,
+      // Credenciais fora dos logs
+      label: uri.replace(/\/\/[^@/]*@/, '//***@'),
+      dispatcher: createProxyDispatcher(uri, opts),
+      failures: 0,
+      deadUntil: 0,
+      stats: { requests: 0, failures: 0 }
+    }));
+  }
+
+  /**
+   * Pool shared by every scrape of the process using the same proxy list
+   */
+  static shared(uris, opts = {}) {
+    const key = JSON.stringify([uris, !!opts.insecure, opts.connectTimeout, opts.headersTimeout, opts.bodyTimeout]);
+    if (!sharedPools.has(key)) sharedPools.set(key, new ProxyPool(uris, opts));
+    return sharedPools.get(key);
+  }
+
+  pick() {
+    const now = Date.now();
+    for (let i = 0; i < this.proxies.length; i++) {
+      const proxy = this.proxies[(this.cursor + i) % this.proxies.length];
+      if (proxy.deadUntil <= now) {
+        this.cursor = (this.cursor + i + 1) % this.proxies.length;
+        proxy.stats.requests++;
+        return proxy;
+      }
+    }
+    const proxy = this.proxies.reduce((a, b) => (b.deadUntil < a.deadUntil ? b : a));
+    proxy.stats.requests++;
+    return proxy;
+  }
+
+  success(proxy) {
+    proxy.failures = 0;
+    proxy.deadUntil = 0;
+  }
+
+  failure(proxy) {
+    proxy.failures++;
+    proxy.stats.failures++;
+    if (proxy.failures >= this.maxFailures) proxy.deadUntil = Date.now() + this.cooldown;
+  }
+
+  /**
+   * Proxy for the headless browser (Playwright `proxy` launch option)
+   */
+  browserProxy() {
+    const u = new URL(this.pick().uri);
+    const server = `${u.protocol.replace('socks5h:', 'socks5:').replace(/^socks:$/, 'socks5:')}//${u.host}`;
+    return { server, username: decodeURIComponent(u.username) || undefined, password: decodeURIComponent(u.password) || undefined };
+  }
+
+  status() {
+    const now = Date.now();
+    return this.proxies.map(p => ({ proxy: p.label, healthy: p.deadUntil <= now, ...p.stats }));
+  }
+}
+
+module.exports = {
+  ProxyPool,
+  createProxyDispatcher,
+  socksConnector,
+  readProxyFile,
+  defaultProxyOptions
+};
@@ -1,61 +1,152 @@
 const { cleanSvgContent } = require('./converters');
+const { compileQuery, readableText, normalizeText } = require('./matching');
+const { groupSelector, uniqueSelector } = require('./selectors');
+
+// Tags que nunca formam um card
+const ignoredTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BR', 'HR', 'OPTION'];
+const rootTags = ['BODY', 'HTML'];
+
+/**
+ * Tag + sorted class list: siblings with the same signature are treated as repeated items
+ */
+function elementSignature(el) {
+  const classes = (typeof el.className === 'string' ? el.className : '').split(/\s+/).filter(Boolean).sort();
+  return `${el.tagName}|${classes.join('.')}`;
+}
+
+/**
+ * Quantos irmãos (incluindo o próprio elemento) compartilham a assinatura do elemento
+ */
+function countRepeatedSiblings(el) {
+  const parent = el.parentElement;
+  if (!parent || ignoredTags.includes(el.tagName)) return 1;
+  const signature = elementSignature(el);
+  let count = 0;
+  for (const sibling of parent.children) {
+    if (elementSignature(sibling) === signature) count++;
+  }
+  return count;
+}
+
+/**
+ * Climb from a match to the repeated card that contains it, or null when there is none
+ */
+function findCardBoundary(start, minRepeat, maxDepth) {
+  let best = null;
+  let el = start;
+  for (let depth = 0; el && depth < maxDepth && !rootTags.includes(el.tagName); depth++) {
+    const repeatCount = countRepeatedSiblings(el);
+    // O grupo com mais repetições vence (grade de produtos > lista de specs dentro do card);
+    // no empate fica o ancestral mais externo
+    if (repeatCount >= minRepeat && (!best || repeatCount >= best.repeatCount)) {
+      best = { el, repeatCount };
+    }
+    el = el.parentElement;
+  }
+  return best;
+}
+
+/**
+ * Sobe `radiusLevels` pais a partir do match (comportamento original)
+ */
+function fixedRadius(start, radiusLevels) {
+  let el = start;
+  let best = el;
+  for (let i = 0; i < radiusLevels && el; i++) {
+    const parent = el.parentElement;
+    if (parent && !rootTags.includes(parent.tagName)) {
+      el = parent;
+      best = el;
+    } else {
+      break;
+    }
+  }
+  return best;
+}
 
 /**
- * Perform radial search in DOM, finding and extracting fragments
+ * Stable selector of a fragment: for a repeated card, one selector matching every card of the group
+ * (see selectors.js); otherwise one matching only the fragment
+ */
+function fragmentSelector(c) {
+  try {
+    if (c.method === 'repeated_card' && c.el.parentElement) {
+      const signature = elementSignature(c.el);
+      return groupSelector(Array.from(c.el.parentElement.children).filter(s => elementSignature(s) === signature));
+    }
+    return uniqueSelector(c.el);
+  } catch(e) {
+    return c.el.className ? `.${c.el.className.split(' ').join('.')}` : c.el.tagName;
+  }
+}
+
+/**
+ * Perform radial search in DOM, finding and extracting fragments.
+ * `term` is a query (see matching.js): accent-insensitive, boolean, regex and fuzzy (opts.fuzzy).
+ * opts.mode: 'auto' expands matches to repeated cards (falls back to a fixed radius),
+ * 'fixed' always climbs `radiusLevels` parents. Overlapping fragments are merged and
+ * results are ranked by term density.
  */
 function performRadialSearch(document, term, opts = {}) {
   const minRepeat = opts.minRepeat || 2;
   const radiusLevels = opts.radiusLevels || 3;
-  const lowerTerm = term.toLowerCase();
-
-  function findTextNodes(node) {
-    const nodes = [];
-    if (node.nodeType === 1) {
-      const tagName = node.tagName.toUpperCase();
-      if (tagName === 'SCRIPT' || tagName === 'STYLE') {
-        return nodes;
-      }
-      for (const child of node.childNodes) {
-        nodes.push(...findTextNodes(child));
-      }
-    } else if (node.nodeType === 3 && node.textContent.toLowerCase().includes(lowerTerm)) {
-      nodes.push(node);
-    }
-    return nodes;
+  const mode = opts.mode || 'auto';
+  const maxCardDepth = opts.maxCardDepth || Math.max(radiusLevels * 3, 8);
+  const matcher = compileQuery(term, { fuzzy: opts.fuzzy });
+  if (matcher.terms.length === 0) throw new Error(`Term query needs at least one positive term: ${term}`);
+
+  // Deepest elements whose full text matches (a term split across <span>s still matches)
+  function findMatchingElements(el) {
+    if (ignoredTags.includes(el.tagName) || !matcher.locate(readableText(el))) return [];
+    const found = [];
+    for (const child of el.children) found.push(...findMatchingElements(child));
+    return found.length ? found : [el];
   }
 
-  const textNodes = findTextNodes(document.body);
-  const results = [];
-
-  for (const textNode of textNodes) {
-    let el = textNode.parentElement;
-    let best = el;
-
-    for (let i = 0; i < radiusLevels && el; i++) {
-      const parent = el.parentElement;
-      if (parent && parent.tagName !== 'BODY' && parent.tagName !== 'HTML') {
-        el = parent;
-        best = el;
-      } else {
-        break;
-      }
-    }
+  if (!document.body) return [];
+  const matchedElements = findMatchingElements(document.body);
+
+  // 1) one candidate per match; NOT clauses are checked against the whole fragment
+  const candidates = [];
+  for (const start of matchedElements) {
+    const card = mode === 'fixed' ? null : findCardBoundary(start, minRepeat, maxCardDepth);
+    const candidate = card
+      ? { el: card.el, repeatCount: card.repeatCount, method: 'repeated_card' }
+      : { el: fixedRadius(start, radiusLevels), repeatCount: 1, method: 'fixed_radial' };
+    if (matcher.test(readableText(candidate.el))) candidates.push(candidate);
+  }
 
-    if (best && best.outerHTML) {
-      cleanSvgContent(best);
-      const contextSelector = best.className ? `.${best.className.split(' ').join('.')}` : best.tagName;
-
-      results.push({
-        html: best.outerHTML,
-        selector: contextSelector,
-        repeatCount: 1,
-        method: 'fixed_radial',
-        term
-      });
+  // 2) merge duplicates and ancestor/descendant overlaps (the ancestor wins)
+  const merged = [];
+  for (const c of candidates) {
+    if (merged.some(m => m.el === c.el || m.el.contains(c.el))) continue;
+    for (let i = merged.length - 1; i >= 0; i--) {
+      if (c.el.contains(merged[i].el)) merged.splice(i, 1);
     }
+    merged.push(c);
   }
 
-  return results;
+  // 3) rank by term density, keeping document order for ties
+  const results = merged.map((c, order) => {
+    const text = normalizeText(readableText(c.el));
+    const matches = matcher.count(text);
+    const score = text.length ? Math.min(1, (matches * matcher.termLength) / text.length) : 0;
+    return { ...c, matches, score, order };
+  }).sort((a, b) => (b.score - a.score) || (a.order - b.order));
+
+  return results.filter(c => c.el.outerHTML).map(c => {
+    const selector = fragmentSelector(c);
+    cleanSvgContent(c.el);
+    return {
+      html: c.el.outerHTML,
+      selector,
+      repeatCount: c.repeatCount,
+      method: c.method,
+      matches: c.matches,
+      score: Number(c.score.toFixed(4)),
+      term
+    };
+  });
 }
 
-module.exports = { performRadialSearch };
+module.exports = { performRadialSearch, elementSignature, countRepeatedSiblings };
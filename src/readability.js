@@ -0,0 +1,261 @@
+const { readableText } = require('./matching');
+const { jsonLdItems } = require('./hydration');
+
+/**
+ * Main-content extraction (Readability-style): drops page chrome (menus, banners, sidebars, cookie
+ * notices), scores the remaining blocks by text length and commas, link density, class/id hints and
+ * semantic tags (main, article, role=main) and keeps the best block plus its related siblings.
+ * Works on a clone: the document is left untouched.
+ */
+
+// Nunca fazem parte do conteúdo principal
+const chromeSelectors = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'canvas', 'svg', 'form', 'button', 'select', 'input', 'textarea',
+  'nav', 'aside', 'footer', 'dialog', '[hidden]', '[aria-hidden="true"]', '[aria-modal="true"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]',
+  '[role="alertdialog"]', '[role="menu"]', '[role="menubar"]', '[role="search"]'
+];
+const semanticSelector = 'main, article, [role="main"]';
+const unlikelyPattern = /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|footer|gdpr|header|menu|modal|nav|newsletter|pager|pagination|popup|promo|related|remark|replies|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|toolbar|widget|advert|^ads?$|[-_]ads?[-_]/i;
+const likelyPattern = /article|body|column|content|entry|main|post|prose|story|text/i;
+const positivePattern = /article|body|content|entry|hentry|h-entry|main|page|post|prose|text|blog|story/i;
+const negativePattern = /hidden|^hid$|banner|combx|comment|contact|cookie|consent|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget|advert|^ads?$/i;
+const blockTags = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DIV', 'DL', 'FIELDSET', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL']);
+const minParagraphLength = 25;
+
+const textOf = (el) => readableText(el).replace(/\s+/g, ' ').trim();
+
+/**
+ * Share of the element's text that sits inside links (0..1)
+ */
+function linkDensity(el, text = textOf(el)) {
+  if (!text.length) return 0;
+  let linked = 0;
+  el.querySelectorAll('a').forEach(a => { linked += textOf(a).length; });
+  return Math.min(1, linked / text.length);
+}
+
+/**
+ * Bonus/penalty from the class and id (+-25), plus the semantic tags
+ */
+function elementWeight(el) {
+  const hint = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+  let weight = 0;
+  if (negativePattern.test(hint)) weight -= 25;
+  if (positivePattern.test(hint)) weight += 25;
+  if (el.matches(semanticSelector)) weight += 25;
+  return weight;
+}
+
+function tagWeight(el) {
+  switch (el.tagName) {
+    case 'DIV': case 'SECTION': case 'ARTICLE': case 'MAIN': return 5;
+    case 'PRE': case 'TD': case 'BLOCKQUOTE': return 3;
+    case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': return -3;
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': return -5;
+    default: return 0;
+  }
+}
+
+/**
+ * Remove chrome from the clone: fixed selectors, plus elements whose class/id looks like chrome
+ * (kept when they hold the semantic main content)
+ */
+function stripChrome(root) {
+  root.querySelectorAll(chromeSelectors.join(', ')).forEach(el => el.remove());
+  root.querySelectorAll('header').forEach(el => { if (!el.closest(semanticSelector)) el.remove(); });
+  Array.from(root.querySelectorAll('[class], [id]')).forEach(el => {
+    if (!root.contains(el)) return;
+    if (['HTML', 'BODY', 'MAIN', 'ARTICLE'].includes(el.tagName) || el.matches('[role="main"]')) return;
+    const hint = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    if (!unlikelyPattern.test(hint) || likelyPattern.test(hint)) return;
+    if (el.querySelector(semanticSelector)) return;
+    el.remove();
+  });
+}
+
+/**
+ * Text blocks that feed the scores: p, pre, td, blockquote, and div/section holding only inline content
+ */
+function paragraphs(root) {
+  return Array.from(root.querySelectorAll('p, pre, td, blockquote, div, section')).filter(el => {
+    if (el.tagName === 'DIV' || el.tagName === 'SECTION') return !Array.from(el.children).some(c => blockTags.has(c.tagName));
+    return true;
+  });
+}
+
+/**
+ * Score the candidates: each paragraph adds 1 + commas + length/100 (max 3) to its parent, half to the
+ * grandparent and a third or less further up; semantic containers score their whole text.
+ * The final score is scaled by (1 - link density).
+ */
+function scoreCandidates(root) {
+  const scores = new Map();
+  const candidate = (el) => {
+    if (!scores.has(el)) scores.set(el, { el, score: tagWeight(el) + elementWeight(el) });
+    return scores.get(el);
+  };
+  for (const p of paragraphs(root)) {
+    const text = textOf(p);
+    if (text.length < minParagraphLength) continue;
+    const points = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+    let el = p.parentElement;
+    for (let level = 0; el && level < 3; level++, el = el.parentElement) {
+      candidate(el).score += points / (level === 0 ? 1 : level === 1 ? 2 : level * 3);
+    }
+  }
+  // main/article profundos: os parágrafos não sobem até eles
+  root.querySelectorAll(semanticSelector).forEach(el => {
+    const points = paragraphs(el).map(textOf).filter(t => t.length >= minParagraphLength)
+      .reduce((sum, t) => sum + 1 + (t.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(t.length / 100)), 0);
+    const c = candidate(el);
+    c.score = Math.max(c.score, tagWeight(el) + elementWeight(el) + points);
+  });
+  return Array.from(scores.values())
+    .map(c => ({ ...c, score: c.score * (1 - linkDensity(c.el)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Drop lists, tables and blocks inside the chosen content that are mostly links (tag clouds, share bars)
+ */
+function cleanContent(el) {
+  Array.from(el.querySelectorAll('ul, ol, table, div, section')).reverse().forEach(node => {
+    if (!el.contains(node)) return;
+    const text = textOf(node);
+    const density = linkDensity(node, text);
+    if ((density > 0.5 && text.length < 500) || (!text.length && !node.querySelector('img, picture, video, figure'))) node.remove();
+  });
+}
+
+function describeElement(el) {
+  if (el.id) return `${el.tagName.toLowerCase()}#${el.id}`;
+  const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean) : [];
+  return classes.length ? `${el.tagName.toLowerCase()}.${classes.join('.')}` : el.tagName.toLowerCase();
+}
+
+const meta = (document, ...keys) => {
+  for (const key of keys) {
+    const el = document.querySelector(`meta[property="${key}"], meta[name="${key}" i], meta[itemprop="${key}"]`);
+    const value = el && el.getAttribute('content');
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+};
+
+const personName = (value) => {
+  if (!value) return null;
+  const list = [].concat(value).map(v => (typeof v === 'string' ? v : v && v.name)).filter(v => typeof v === 'string' && v.trim());
+  return list.length ? list.map(v => v.trim()).join(', ') : null;
+};
+
+/**
+ * <title> without the site name: "Headline | Site" -> "Headline" (when the headline has 3+ words)
+ */
+function cleanTitle(title) {
+  const text = String(title || '').replace(/\s+/g, ' ').trim();
+  const parts = text.split(/\s+[|\-–—:»·]\s+|\s+::\s+/);
+  if (parts.length > 1) {
+    const first = parts.slice(0, -1).join(' - ');
+    if (first.split(' ').length >= 3) return first;
+  }
+  return text || null;
+}
+
+/**
+ * Article metadata: title, byline, published, modified, lang, canonical, siteName, excerpt.
+ * Reads meta tags, JSON-LD (opts.sources: structured sources already collected, see hydration.js,
+ * needed once scripts were removed) and the markup itself.
+ */
+function extractArticleMetadata(document, opts = {}) {
+  const ld = (opts.sources ? opts.sources.filter(s => s.source === 'json-ld').map(s => s.data) : jsonLdItems(document).map(i => i.data))
+    .filter(d => d && typeof d === 'object');
+  const ldArticle = ld.find(d => /Article|BlogPosting|Report|NewsArticle|WebPage|Posting/.test([].concat(d['@type'] || []).join(' ')) && (d.headline || d.datePublished || d.author)) || {};
+  const h1s = document.querySelectorAll('h1');
+  const domByline = document.querySelector('[rel="author"], [itemprop="author"], .byline, .author, [class*="byline"], [class*="author-name"]');
+  const bylineText = domByline ? textOf(domByline) : '';
+  const time = document.querySelector('article time[datetime], time[pubdate], time[itemprop="datePublished"], time[datetime]');
+  const canonical = document.querySelector('link[rel~="canonical"]');
+  let canonicalUrl = null;
+  try { if (canonical && canonical.getAttribute('href')) canonicalUrl = new URL(canonical.getAttribute('href'), opts.url || document.baseURI).href; } catch(e){}
+  const locale = meta(document, 'og:locale');
+
+  return {
+    title: ldArticle.headline || meta(document, 'og:title', 'twitter:title') || cleanTitle(document.title) || (h1s.length === 1 ? textOf(h1s[0]) : null),
+    byline: meta(document, 'author', 'article:author', 'parsely-author', 'sailthru.author') || personName(ldArticle.author)
+      || (bylineText && bylineText.length <= 100 ? bylineText.replace(/^(by|por)\s+/i, '') : null),
+    published: meta(document, 'article:published_time', 'datePublished', 'date', 'pubdate', 'publishdate', 'dc.date', 'dcterms.created')
+      || ldArticle.datePublished || (time ? time.getAttribute('datetime') : null),
+    modified: meta(document, 'article:modified_time', 'dateModified', 'last-modified', 'dcterms.modified') || ldArticle.dateModified || null,
+    lang: (document.documentElement.getAttribute('lang') || '').trim() || meta(document, 'content-language', 'language')
+      || (document.querySelector('meta[http-equiv="content-language" i]') || { getAttribute: () => null }).getAttribute('content')
+      || (locale ? locale.replace('_', '-') : null) || ldArticle.inLanguage || null,
+    canonical: canonicalUrl || meta(document, 'og:url') || ldArticle.url || null,
+    siteName: meta(document, 'og:site_name', 'application-name') || null,
+    excerpt: meta(document, 'description', 'og:description', 'twitter:description') || ldArticle.description || null
+  };
+}
+
+/**
+ * Main content of the document: { html, text, length, selector, score, title, byline, published, ... },
+ * or null when no block has enough text (opts.minLength, default 140 chars)
+ */
+function extractMainContent(document, opts = {}) {
+  if (!document || !document.body) return null;
+  const minLength = opts.minLength || 140;
+  const root = document.body.cloneNode(true);
+  stripChrome(root);
+
+  const ranked = scoreCandidates(root);
+  if (!ranked.length) return null;
+  let top = ranked[0];
+  // Pai com pontuação próxima: o conteúdo está dividido em blocos irmãos
+  const scoreOf = new Map(ranked.map(c => [c.el, c.score]));
+  while (top.el.parentElement && top.el !== root && scoreOf.has(top.el.parentElement) && scoreOf.get(top.el.parentElement) >= top.score * 0.75) {
+    top = { el: top.el.parentElement, score: scoreOf.get(top.el.parentElement) };
+  }
+
+  // Irmãos relacionados: bem pontuados, ou parágrafos longos com poucos links
+  const threshold = Math.max(10, top.score * 0.2);
+  const container = document.createElement('div');
+  const siblings = top.el.parentElement && top.el !== root ? Array.from(top.el.parentElement.children) : [];
+  if (top.el === root) container.innerHTML = root.innerHTML;
+  for (const sibling of siblings) {
+    let keep = sibling === top.el;
+    if (!keep && scoreOf.has(sibling)) keep = scoreOf.get(sibling) + (typeof sibling.className === 'string' && sibling.className && sibling.className === top.el.className ? top.score * 0.2 : 0) >= threshold;
+    if (!keep && sibling.tagName === 'P') {
+      const text = textOf(sibling);
+      const density = linkDensity(sibling, text);
+      keep = (text.length > 80 && density < 0.25) || (text.length > 0 && text.length <= 80 && density === 0 && /\.( |$)/.test(text));
+    }
+    if (keep) container.appendChild(sibling.cloneNode(true));
+  }
+  cleanContent(container);
+
+  const text = textOf(container);
+  if (text.length < minLength) return null;
+  return {
+    html: container.innerHTML,
+    text,
+    length: text.length,
+    selector: describeElement(top.el),
+    score: Number(top.score.toFixed(2)),
+    ...extractArticleMetadata(document, opts)
+  };
+}
+
+/**
+ * Comment line heading the main content in the Markdown output
+ */
+function formatArticleHeader(article) {
+  const fields = [['SELETOR', article.selector], ['TÍTULO', article.title], ['AUTOR', article.byline], ['DATA', article.published],
+    ['IDIOMA', article.lang], ['CANÔNICA', article.canonical]];
+  return `<!-- CONTEÚDO PRINCIPAL | ${fields.filter(([, v]) => v).map(([k, v]) => `${k}: ${String(v).replace(/-->/g, '')}`).join(' | ')} -->`;
+}
+
+module.exports = {
+  extractMainContent,
+  extractArticleMetadata,
+  formatArticleHeader,
+  linkDensity
+};
@@ -0,0 +1,163 @@
+/**
+ * Retry policy for retryFetch: which failures are retried, how long to wait, and the timeouts.
+ *
+ *   maxAttempts       total attempts (1 = no retry)
+ *   baseDelay/maxDelay  exponential backoff with full jitter: random(0, min(maxDelay, baseDelay * 2^n))
+ *   retryStatuses     statuses retried (other 5xx fail at once); 4xx are returned to the caller
+ *   retryAfterStatuses  statuses whose Retry-After header sets the wait (up to maxRetryAfter)
+ *   connectTimeout / headersTimeout / bodyTimeout   dispatcher timeouts (undici Agent)
+ *   attemptTimeout    total time of one attempt, body included (null = no limit)
+ *   throwOnStatus     after the last attempt a failed status throws; false returns the response
+ */
+const defaultRetryPolicy = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: true,
+  retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+  retryAfterStatuses: [429, 503],
+  maxRetryAfter: 120000,
+  connectTimeout: 10000,
+  headersTimeout: 30000,
+  bodyTimeout: 30000,
+  attemptTimeout: null,
+  throwOnStatus: true
+};
+
+// Métodos que podem ser repetidos sem efeito colateral
+const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+// Código do erro -> [tipo, retentável]
+const errorKinds = {
+  ENOTFOUND: ['dns', false],
+  EAI_NONAME: ['dns', false],
+  EAI_AGAIN: ['dns', true],
+  ECONNREFUSED: ['connect', true],
+  EHOSTUNREACH: ['connect', true],
+  ENETUNREACH: ['connect', true],
+  UND_ERR_CONNECT_TIMEOUT: ['connect-timeout', true],
+  ECONNRESET: ['reset', true],
+  EPIPE: ['reset', true],
+  UND_ERR_SOCKET: ['reset', true],
+  UND_ERR_CLOSED: ['reset', true],
+  ETIMEDOUT: ['timeout', true],
+  UND_ERR_HEADERS_TIMEOUT: ['headers-timeout', true],
+  UND_ERR_BODY_TIMEOUT: ['body-timeout', true],
+  UND_ERR_INVALID_ARG: ['invalid', false],
+  ERR_INVALID_URL: ['invalid', false],
+  ERR_INVALID_ARG_TYPE: ['invalid', false]
+};
+// Falhas em que o request nem chegou ao servidor: podem ser repetidas até para POST
+const notSentKinds = ['dns', 'connect', 'connect-timeout'];
+
+/**
+ * Policy from a base (object) and an override: a number is maxAttempts, an object is merged
+ */
+function resolveRetryPolicy(base, override) {
+  const policy = { ...defaultRetryPolicy, ...(base || {}) };
+  if (typeof override === 'number') policy.maxAttempts = override;
+  else if (override && typeof override === 'object') Object.assign(policy, override);
+  policy.maxAttempts = Math.max(1, policy.maxAttempts | 0);
+  return policy;
+}
+
+/**
+ * Policy from scrape()/CLI options (retries, retryBaseDelay, retryMaxDelay, connectTimeout, headersTimeout, bodyTimeout)
+ */
+function retryPolicyFromOptions(opts = {}) {
+  const policy = {};
+  if (opts.retries !== undefined && opts.retries !== null) policy.maxAttempts = opts.retries + 1;
+  if (opts.retryBaseDelay !== undefined) policy.baseDelay = opts.retryBaseDelay;
+  if (opts.retryMaxDelay !== undefined) policy.maxDelay = opts.retryMaxDelay;
+  if (opts.connectTimeout !== undefined) policy.connectTimeout = opts.connectTimeout;
+  if (opts.headersTimeout !== undefined) policy.headersTimeout = opts.headersTimeout;
+  if (opts.bodyTimeout !== undefined) policy.bodyTimeout = opts.bodyTimeout;
+  return resolveRetryPolicy(policy);
+}
+
+/**
+ * Wait before attempt `attempt + 1` (attempt starts at 1)
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return policy.jitter ? Math.floor(Math.random() * ceiling) : ceiling;
+}
+
+/**
+ * Retry-After (seconds or HTTP date) in ms, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function errorCode(error) {
+  for (let e = error, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (e.code) return e.code;
+  }
+  return null;
+}
+
+/**
+ * Classify a thrown fetch error: { kind, retryable, code, message }
+ */
+function classifyError(error, method = 'GET') {
+  const code = errorCode(error);
+  let kind = 'network';
+  let retryable = true;
+  if (error && error.name === 'AbortError') {
+    kind = 'aborted';
+    retryable = false;
+  } else if (code && errorKinds[code]) {
+    [kind, retryable] = errorKinds[code];
+  } else if (code && /^(CERT_|ERR_TLS_|ERR_SSL_)|SELF_SIGNED|UNABLE_TO_(VERIFY|GET)/.test(code)) {
+    kind = 'tls';
+    retryable = false;
+  }
+  if (retryable && !idempotentMethods.includes(String(method).toUpperCase()) && !notSentKinds.includes(kind)) retryable = false;
+  let message = error && error.message ? error.message : String(error);
+  const causeMessage = error && error.cause && error.cause.message;
+  if (causeMessage && !message.includes(causeMessage)) message += `: ${causeMessage}`;
+  return { kind, retryable, code, message };
+}
+
+/**
+ * Classify a response status: null when it is not a failure, else { kind: 'http', retryable, status, retryAfter, message }
+ */
+function classifyStatus(res, policy, method = 'GET') {
+  const status = res.status;
+  const listed = policy.retryStatuses.includes(status);
+  if (!listed && status < 500) return null;
+  const retryAfter = policy.retryAfterStatuses.includes(status) ? parseRetryAfter(res.headers.get('retry-after')) : null;
+  // POST só é repetido quando o servidor pede (Retry-After)
+  const retryable = listed && (idempotentMethods.includes(String(method).toUpperCase()) || retryAfter !== null);
+  return { kind: 'http', retryable, status, retryAfter, message: `HTTP status ${status}` };
+}
+
+/**
+ * Error thrown after the last attempt, carrying the classification and every attempt
+ */
+function retryError(failure, attempts) {
+  const count = attempts.length;
+  const err = new Error(count > 1 ? `${failure.message} (after ${count} attempts)` : failure.message, failure.error ? { cause: failure.error } : undefined);
+  err.kind = failure.kind;
+  err.retryable = failure.retryable;
+  if (failure.code) err.code = failure.code;
+  if (failure.status) err.status = failure.status;
+  err.attempts = attempts;
+  return err;
+}
+
+module.exports = {
+  defaultRetryPolicy,
+  resolveRetryPolicy,
+  retryPolicyFromOptions,
+  backoffDelay,
+  parseRetryAfter,
+  classifyError,
+  classifyStatus,
+  retryError
+};
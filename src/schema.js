@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const { readableText } = require('./matching');
+
+/**
+ * Declarative extraction schemas: a list container and a field map turn a listing into typed records.
+ *
+ *   {
+ *     "name": "estoque",
+ *     "list": ".vehicle-card",                      CSS selector or XPath of each item (omit: the page is one record)
+ *     "fields": {
+ *       "title": "h3",                               shorthand: text of the first match
+ *       "price": { "selector": ".price", "type": "brl" },
+ *       "km":    { "xpath": ".//li[contains(., 'km')]", "type": "integer" },
+ *       "url":   { "selector": "a", "type": "url" },
+ *       "image": { "selector": "img", "attr": "data-src", "type": "url", "required": false }
+ *     }
+ *   }
+ *
+ * Field options: selector | xpath (none: the item itself), attr (text, html or an attribute name; url fields
+ * default to href/src), all (every match, as an array), pattern ('/re/flags', first group kept),
+ * transform (list applied in order), type (string, number, integer, brl, url), required (default true), default.
+ */
+const fieldTypes = ['string', 'number', 'integer', 'brl', 'url'];
+const transformNames = ['trim', 'lowercase', 'uppercase', ...fieldTypes];
+// Resultado ORDERED_NODE_SNAPSHOT_TYPE do document.evaluate
+const orderedSnapshot = 7;
+
+const schemaCache = new Map();
+const normalizedSchemas = new WeakSet();
+
+const looksLikeXpath = (expr) => /^(\.?\/|\(|xpath:)/.test(expr);
+
+/**
+ * Number from text: "R$ 89.900,00", "45.000 km", "1,234.5", "2.0". With no `decimal` separator given, a lone
+ * separator followed by groups of 3 digits is a thousands separator; otherwise the last separator is the decimal one.
+ */
+function parseNumber(text, decimal) {
+  const m = String(text).match(/-?\d(?:[\d.,]|[\u00a0\u202f](?=\d))*/);
+  if (!m) return NaN;
+  let s = m[0].replace(/[\u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+  if (!decimal) {
+    const lastDot = s.lastIndexOf('.');
+    const lastComma = s.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) decimal = lastDot > lastComma ? '.' : ',';
+    else {
+      const sep = lastDot >= 0 ? '.' : (lastComma >= 0 ? ',' : null);
+      decimal = sep && !new RegExp(`^-?\\d{1,3}(\\${sep}\\d{3})+$`).test(s) ? sep : null;
+    }
+  }
+  if (!decimal) return Number(s.replace(/[.,]/g, ''));
+  const [int, ...rest] = s.split(decimal);
+  return Number(`${int.replace(/[.,]/g, '')}.${rest.join('').replace(/[.,]/g, '')}`);
+}
+
+function compilePattern(pattern, where) {
+  if (pattern instanceof RegExp) return pattern;
+  const m = String(pattern).match(/^\/(.*)\/([a-z]*)$/s);
+  try {
+    return m ? new RegExp(m[1], m[2].replace('g', '')) : new RegExp(String(pattern));
+  } catch (e) {
+    throw new Error(`${where}: invalid pattern ${pattern} (${e.message})`);
+  }
+}
+
+/**
+ * Validate a field spec and fill in the defaults
+ */
+function normalizeField(name, spec, schemaName) {
+  const where = `Schema "${schemaName}" field "${name}"`;
+  if (typeof spec === 'string') spec = looksLikeXpath(spec) ? { xpath: spec } : { selector: spec };
+  if (!spec || typeof spec !== 'object') throw new Error(`${where}: expected a selector or an object`);
+  const type = spec.type || 'string';
+  if (!fieldTypes.includes(type)) throw new Error(`${where}: unknown type "${type}" (expected ${fieldTypes.join(', ')})`);
+  const transform = [].concat(spec.transform || []);
+  const unknown = transform.find(t => !transformNames.includes(t));
+  if (unknown) throw new Error(`${where}: unknown transform "${unknown}" (expected ${transformNames.join(', ')})`);
+  if (spec.selector && spec.xpath) throw new Error(`${where}: use either selector or xpath`);
+  const xpath = spec.xpath ? String(spec.xpath).replace(/^xpath:/, '') : null;
+  return {
+    name,
+    selector: spec.selector || null,
+    xpath,
+    attr: spec.attr || null,
+    all: !!spec.all,
+    pattern: spec.pattern ? compilePattern(spec.pattern, where) : null,
+    transform,
+    type,
+    required: spec.required !== undefined ? !!spec.required : spec.default === undefined,
+    default: spec.default === undefined ? null : spec.default
+  };
+}
+
+/**
+ * Schema object or file (.json / .js) -> validated schema. Files are read once per process.
+ */
+function loadSchema(source) {
+  if (!source) throw new Error('Schema is required');
+  if (typeof source === 'object' && normalizedSchemas.has(source)) return source;
+  let raw = source;
+  let file = null;
+  if (typeof source === 'string') {
+    file = path.resolve(source);
+    if (schemaCache.has(file)) return schemaCache.get(file);
+    try {
+      raw = /\.c?js$/i.test(file) ? require(file) : JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid schema file ${source}: ${e.message}`);
+    }
+  }
+  const name = raw.name || (file ? path.basename(file).replace(/\.[^.]+$/, '') : 'schema');
+  if (!raw.fields || typeof raw.fields !== 'object' || !Object.keys(raw.fields).length) throw new Error(`Schema "${name}" needs a "fields" map`);
+  const schema = {
+    name,
+    list: raw.list || null,
+    fields: Object.entries(raw.fields).map(([field, spec]) => normalizeField(field, spec, name))
+  };
+  normalizedSchemas.add(schema);
+  if (file) schemaCache.set(file, schema);
+  return schema;
+}
+
+/**
+ * Nodes matching a CSS selector or an XPath expression inside `context`
+ */
+function selectNodes(context, expr, isXpath) {
+  if (!isXpath) {
+    try {
+      return Array.from(context.querySelectorAll(expr));
+    } catch (e) {
+      throw new Error(`Invalid selector "${expr}": ${e.message}`);
+    }
+  }
+  const document = context.ownerDocument || context;
+  let snapshot;
+  try {
+    snapshot = document.evaluate(expr.replace(/^xpath:/, ''), context, null, orderedSnapshot, null);
+  } catch (e) {
+    throw new Error(`Invalid XPath "${expr}": ${e.message}`);
+  }
+  const nodes = [];
+  for (let i = 0; i < snapshot.snapshotLength; i++) nodes.push(snapshot.snapshotItem(i));
+  return nodes;
+}
+
+/**
+ * Raw string of a node: text, inner HTML or an attribute (attribute and text nodes from XPath give their value)
+ */
+function nodeValue(node, field) {
+  if (node.nodeType !== 1) return node.nodeValue === null ? node.textContent : node.nodeValue;
+  let attr = field.attr;
+  if (!attr && field.type === 'url') attr = node.hasAttribute('href') ? 'href' : (node.hasAttribute('src') ? 'src' : null);
+  if (!attr || attr === 'text') return readableText(node).replace(/\s+/g, ' ').trim();
+  if (attr === 'html') return node.innerHTML.trim();
+  return node.getAttribute(attr);
+}
+
+/**
+ * Apply one transform; returns undefined when the value cannot be converted
+ */
+function applyTransform(value, name, baseUrl) {
+  if (value === null || value === undefined) return value;
+  const text = String(value);
+  switch (name) {
+    case 'trim': return text.replace(/\s+/g, ' ').trim();
+    case 'lowercase': return text.toLowerCase();
+    case 'uppercase': return text.toUpperCase();
+    case 'string': return typeof value === 'string' ? text.replace(/\s+/g, ' ').trim() : value;
+    case 'number': { const n = typeof value === 'number' ? value : parseNumber(text); return Number.isFinite(n) ? n : undefined; }
+    case 'integer': { const n = typeof value === 'number' ? value : parseNumber(text); return Number.isInteger(n) ? n : undefined; }
+    case 'brl': { const n = typeof value === 'number' ? value : parseNumber(text.replace(/R\$\s*/i, ''), ','); return Number.isFinite(n) ? n : undefined; }
+    case 'url': {
+      try {
+        const url = new URL(text.trim(), baseUrl);
+        return /^(https?|ftp|data):$/.test(url.protocol) ? url.href : undefined;
+      } catch (e) { return undefined; }
+    }
+    default: return value;
+  }
+}
+
+/**
+ * Value of one field in an item: { value } or { error }
+ */
+function fieldValue(item, field, baseUrl) {
+  const expr = field.xpath || field.selector;
+  const nodes = expr ? selectNodes(item, expr, !!field.xpath) : [item];
+  const raws = (field.all ? nodes : nodes.slice(0, 1)).map(n => nodeValue(n, field)).filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+  if (!raws.length) {
+    if (field.required) return { error: `${field.name}: ${expr ? `nothing matches ${field.xpath ? 'XPath' : 'selector'} "${expr}"` : 'empty'}` };
+    return { value: field.default };
+  }
+  const values = [];
+  for (const raw of raws) {
+    let value = raw;
+    if (field.pattern) {
+      const m = String(value).match(field.pattern);
+      if (!m) {
+        if (field.required) return { error: `${field.name}: "${String(raw).slice(0, 60)}" does not match ${field.pattern}` };
+        return { value: field.default };
+      }
+      value = m[1] !== undefined ? m[1] : m[0];
+    }
+    for (const name of [...field.transform, field.type]) value = applyTransform(value, name, baseUrl);
+    if (value === undefined || value === '') {
+      if (field.required) return { error: `${field.name}: "${String(raw).slice(0, 60)}" is not a valid ${field.type}` };
+      return { value: field.default };
+    }
+    values.push(value);
+  }
+  return { value: field.all ? values : values[0] };
+}
+
+/**
+ * Run a schema on a document. opts: url (resolves relative URLs), filter(itemNode) to keep only some items.
+ * Returns { schema, items, records: [{ schema, index, data }], invalid: [{ schema, index, errors, data }] }:
+ * items missing a required field (or with a value that does not convert) fail validation.
+ */
+function extractWithSchema(document, schemaSource, opts = {}) {
+  const schema = loadSchema(schemaSource);
+  const baseUrl = opts.url || document.baseURI;
+  const items = schema.list ? selectNodes(document, schema.list, looksLikeXpath(schema.list)) : [document.body || document.documentElement];
+  const records = [];
+  const invalid = [];
+  items.forEach((item, i) => {
+    if (opts.filter && !opts.filter(item)) return;
+    const data = {};
+    const errors = [];
+    for (const field of schema.fields) {
+      const result = fieldValue(item, field, baseUrl);
+      if (result.error) errors.push(result.error);
+      else data[field.name] = result.value;
+    }
+    if (errors.length) invalid.push({ schema: schema.name, index: i + 1, errors, data });
+    else records.push({ schema: schema.name, index: i + 1, data });
+  });
+  return { schema: schema.name, items: items.length, records, invalid };
+}
+
+/**
+ * Completeness rule (see completeness.js): an HTML where the schema yields no valid record is incomplete
+ */
+function schemaCompletenessRule(schemaSource) {
+  const schema = loadSchema(schemaSource);
+  return {
+    name: 'schema',
+    test(page) {
+      const { items, records } = extractWithSchema(page.document, schema, { url: page.url });
+      if (records.length) return { score: -3, reason: `schema "${schema.name}": ${records.length} valid record(s)` };
+      return { score: 3, reason: `schema "${schema.name}": no valid record (${items} item(s))` };
+    }
+  };
+}
+
+/**
+ * Records as Markdown: one fenced JSON array
+ */
+function formatRecords(records, invalidCount = 0) {
+  const schemas = [...new Set(records.map(r => r.schema))].join(', ');
+  const header = `<!-- REGISTROS: ${records.length}${schemas ? ` | SCHEMA: ${schemas}` : ''}${invalidCount ? ` | INVÁLIDOS: ${invalidCount}` : ''} -->`;
+  return `${header}\n\`\`\`json\n${JSON.stringify(records.map(r => r.data), null, 2)}\n\`\`\``;
+}
+
+module.exports = {
+  loadSchema,
+  extractWithSchema,
+  schemaCompletenessRule,
+  formatRecords,
+  parseNumber,
+  fieldTypes
+};
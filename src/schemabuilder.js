@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { readableText, compileQuery } = require('./matching');
+const { relativeSelector } = require('./selectors');
+const { loadSchema, extractWithSchema } = require('./schema');
+
+/**
+ * Schema inference: from the repeated cards found by the radial search (their group selector, see
+ * selectors.js) to a schema (see schema.js) with one field per value that varies between the cards:
+ * title, price (R$), year, km, link, image and the other texts, named after their classes.
+ * Saved to disk, it extracts the listing on later runs without the term.
+ */
+const sampleSize = 20;
+const maxFields = 12;
+const pricePattern = /R\$\s*\d/;
+const yearOnly = /^(?:19|20)\d{2}(?:\/(?:19|20)?\d{2})?$/;
+const yearPattern = /\b(?:19|20)\d{2}\b/;
+const kmPattern = /\b\d[\d.,]*\s*km\b/i;
+const ignoredTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'PATH', 'BR', 'HR', 'BUTTON', 'SELECT', 'OPTION', 'INPUT'];
+// Palavras de classe que não dizem o que é o campo
+const genericWords = /^(card|item|box|wrapper|wrap|inner|container|content|info|text|label|value|block|body|main|list|row|col|details?|data|field|vehicle|product)$/i;
+
+const textOf = (el) => readableText(el).replace(/\s+/g, ' ').trim();
+const ownText = (el) => Array.from(el.childNodes).filter(n => n.nodeType === 3).map(n => n.textContent).join(' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Elements of a card that can hold a field value
+ */
+function candidateElements(card) {
+  const out = [];
+  for (const el of card.querySelectorAll('*')) {
+    const tag = el.tagName.toUpperCase();
+    if (ignoredTags.includes(tag) || el.closest('svg')) continue;
+    if (tag === 'IMG') { out.push({ el, kind: 'image' }); continue; }
+    const href = el.getAttribute('href');
+    if (tag === 'A' && href && !/^(#|javascript:|mailto:|tel:)/i.test(href)) out.push({ el, kind: 'link' });
+    if (ownText(el) || (!el.children.length && textOf(el))) out.push({ el, kind: 'text' });
+  }
+  return out;
+}
+
+function imageAttr(el) {
+  const src = el.getAttribute('src') || '';
+  const lazy = ['data-src', 'data-lazy-src', 'data-original'].find(a => el.getAttribute(a));
+  return lazy && (!src || /^data:|placeholder|blank|spacer/i.test(src)) ? lazy : 'src';
+}
+
+/**
+ * Field name from the last class of the selector (.vehicle-card__price -> price), else `fallback`
+ */
+function fieldName(selector, fallback) {
+  const last = selector.split(/[\s>]+/).pop();
+  const prop = last.match(/\[itemprop="([^"]+)"\]/);
+  if (prop) return prop[1];
+  const classes = (last.match(/\.([\w-]+)/g) || []).map(c => c.slice(1));
+  for (const cls of classes) {
+    const word = cls.split(/__|--|[-_]/).filter(w => /^[a-z]{3,}$/i.test(w) && !genericWords.test(w)).pop();
+    if (word) return word.toLowerCase();
+  }
+  return fallback;
+}
+
+/**
+ * Infer a schema for the cards matched by `listSelector`. opts: url, term (helps to pick the title), name.
+ * Returns null when the selector matches no card.
+ */
+function inferSchema(document, listSelector, opts = {}) {
+  const cards = Array.from(document.querySelectorAll(listSelector));
+  if (!cards.length) return null;
+  const sample = cards.slice(0, sampleSize);
+
+  // Candidatos dos primeiros cards, por seletor relativo; o mesmo elemento fica com o seletor mais curto
+  const candidates = new Map();
+  for (const card of sample.slice(0, 3)) {
+    // O próprio card, quando o texto está nele (seletor null)
+    if (ownText(card) && !candidates.has('text|')) candidates.set('text|', { kind: 'text', selector: null });
+    for (const { el, kind } of candidateElements(card)) {
+      const selector = relativeSelector(el, card);
+      const key = `${kind}|${selector}`;
+      if (!candidates.has(key)) candidates.set(key, { kind, selector });
+    }
+  }
+  const seen = { text: new Set(), link: new Set(), image: new Set() };
+  const columns = [];
+  for (const c of candidates.values()) {
+    const nodes = sample.map(card => { try { return c.selector ? card.querySelector(c.selector) : card; } catch(e) { return null; } });
+    const first = nodes.find(Boolean);
+    if (!first || seen[c.kind].has(first)) continue;
+    seen[c.kind].add(first);
+    const values = nodes.map(n => {
+      if (!n) return null;
+      if (c.kind === 'image') return n.getAttribute(imageAttr(n)) || null;
+      if (c.kind === 'link') return n.getAttribute('href') || null;
+      return textOf(n) || null;
+    });
+    const present = values.filter(Boolean);
+    if (present.length / sample.length < 0.5) continue;
+    columns.push({ ...c, node: first, values: present, coverage: present.length / sample.length, constant: sample.length > 1 && new Set(present).size === 1 });
+  }
+
+  const fields = {};
+  const add = (name, spec, coverage) => {
+    if (Object.keys(fields).length >= maxFields) return;
+    let unique = name;
+    for (let i = 2; fields[unique]; i++) unique = `${name}${i}`;
+    fields[unique] = { ...spec, required: coverage === 1 };
+  };
+  const share = (col, re) => col.values.filter(v => re.test(v)).length / col.values.length;
+  const texts = columns.filter(c => c.kind === 'text');
+  const matcher = opts.term ? compileQuery(opts.term) : null;
+  const spec = (col, extra) => ({ ...(col.selector ? { selector: col.selector } : {}), ...extra });
+  const title = texts.find(c => /^H[1-6]$/.test(c.node.tagName) && !c.constant)
+    || (matcher && texts.find(c => !c.constant && c.values.some(v => matcher.test(v))))
+    || texts.find(c => !c.constant && c.values.every(v => v.length >= 10 && !pricePattern.test(v)));
+  if (title) add('title', spec(title), title.coverage);
+
+  if (cards[0].tagName === 'A') add('url', { attr: 'href', type: 'url' }, 1);
+  const link = columns.find(c => c.kind === 'link');
+  if (link && !fields.url) add('url', { selector: link.selector, type: 'url' }, link.coverage);
+  const image = columns.find(c => c.kind === 'image');
+  if (image) add('image', { selector: image.selector, attr: imageAttr(image.node), type: 'url' }, image.coverage);
+
+  for (const col of texts) {
+    if (col === title) continue;
+    if (share(col, pricePattern) >= 0.8 && !fields.price) {
+      add('price', spec(col, { pattern: '/R\\$\\s*([\\d.,]+)/', type: 'brl' }), col.coverage);
+      continue;
+    }
+    if (col.values.every(v => yearOnly.test(v)) && !fields.year) {
+      add('year', spec(col, { pattern: '/((?:19|20)\\d{2})/', type: 'integer' }), col.coverage);
+      continue;
+    }
+    // Texto composto ("Automático | 2021 | 58.000 km"): ano e km saem por padrão, o texto só se variar
+    if (share(col, yearPattern) >= 0.8 && !fields.year) add('year', spec(col, { pattern: '/\\b((?:19|20)\\d{2})\\b/', type: 'integer' }), col.coverage);
+    if (share(col, kmPattern) >= 0.8 && !fields.km) add('km', spec(col, { pattern: '/(\\d[\\d.,]*)\\s*km/i', type: 'integer' }), col.coverage);
+    if (!col.constant) add(col.selector ? fieldName(col.selector, 'text') : 'text', spec(col), col.coverage);
+  }
+  if (!Object.keys(fields).length) return null;
+
+  const schema = {
+    name: opts.name || (() => { try { return new URL(opts.url).hostname.replace(/^www\./, ''); } catch(e) { return 'inferred'; } })(),
+    list: listSelector,
+    fields
+  };
+  // Campos que falham em algum card deixam de ser obrigatórios
+  const { invalid } = extractWithSchema(document, loadSchema(schema), { url: opts.url });
+  invalid.forEach(r => r.errors.forEach(error => {
+    const name = error.split(':')[0];
+    if (fields[name]) fields[name].required = false;
+  }));
+  return { ...schema, inferredFrom: { url: opts.url || null, term: opts.term || null, items: cards.length, date: new Date().toISOString() } };
+}
+
+/**
+ * Write an inferred schema as JSON (usable with --schema)
+ */
+function saveSchema(schema, file) {
+  fs.writeFileSync(file, JSON.stringify(schema, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+  inferSchema,
+  saveSchema,
+  fieldName
+};
@@ -0,0 +1,594 @@
+const { Agent } = require('undici');
+const {
+  JSDOM, VirtualConsole, retryFetch, UndiciResourceLoader, waitForQuiescence,
+  waitForNetworkIdle, applyJsdomPolyfills, cookieJarFromResponse, simpleFetch
+} = require('./utils');
+const { convertToLlmReadyMarkdown, loadCleanupProfiles, resolveCleanupProfile } = require('./converters');
+const { renderLinksFromContent, processLinksFromContent, formatLinkedContent, extractFilteredLinks, LinkScheduler } = require('./linkprocessors');
+const { performRadialSearch } = require('./radialsearch');
+const { renderWithBrowser } = require('./browser');
+const { duplicateRemover } = require('./duplicates');
+const { compileQuery, splitQueryList, readableText } = require('./matching');
+const { findNextPageUrl } = require('./pagination');
+const { HttpCache } = require('./cache');
+const { HarArchive } = require('./har');
+const { openCookieJar, saveCookies } = require('./cookies');
+const { ensureLogin } = require('./login');
+const { buildHeaders } = require('./headers');
+const { ProxyPool, readProxyFile } = require('./proxy');
+const { HostRateLimiter, Limiter } = require('./limiter');
+const { defaultRetryPolicy, retryPolicyFromOptions } = require('./retry');
+const { assessCompleteness, describeCompleteness, needBrowserFallback } = require('./completeness');
+const { collectStructuredData, formatDataMatches } = require('./hydration');
+const { extractMainContent, formatArticleHeader } = require('./readability');
+const { loadSchema, extractWithSchema, schemaCompletenessRule, formatRecords } = require('./schema');
+const { inferSchema, saveSchema } = require('./schemabuilder');
+const { RequestInterceptor } = require('./intercept');
+const { createDevice, acceptLanguageFor } = require('./environment');
+
+// Mesmos padrões da CLI
+const defaultScrapeOptions = {
+  term: null,
+  detalhe: [],
+  timeout: 10000,
+  completenessThreshold: null,
+  forceBrowser: false,
+  diagnose: false,
+  radial: true,
+  radialMode: 'auto',
+  fuzzy: 0,
+  radiusLevels: 3,
+  minRepeat: 2,
+  insecure: true,
+  renderLinks: true,
+  maxLinks: 1,
+  linkTimeout: 15000,
+  linkConcurrency: 3,
+  maxLinkWindows: 4,
+  linkBudget: 60000,
+  paginate: 1,
+  mainContent: 'fallback',
+  schema: null,
+  saveSchema: null,
+  hydration: true,
+  cleanupProfile: null,
+  cleanupProfiles: [],
+  cache: false,
+  cacheDir: '.scrape-cache',
+  cacheTtl: null,
+  fromCache: false,
+  record: null,
+  replay: null,
+  cookies: null,
+  loginUrl: null,
+  loginFields: [],
+  loginSubmit: null,
+  device: 'desktop',
+  viewport: null,
+  dpr: null,
+  locale: null,
+  timezone: null,
+  uaProfile: null,
+  userAgent: null,
+  acceptLanguage: null,
+  headers: [],
+  blockTrackers: true,
+  allowRequests: [],
+  blockRequests: [],
+  blockResources: [],
+  intercept: [],
+  proxy: [],
+  proxyFile: null,
+  rateLimit: 0,
+  rateBurst: 1,
+  retries: defaultRetryPolicy.maxAttempts - 1,
+  retryBaseDelay: defaultRetryPolicy.baseDelay,
+  retryMaxDelay: defaultRetryPolicy.maxDelay,
+  connectTimeout: defaultRetryPolicy.connectTimeout,
+  headersTimeout: defaultRetryPolicy.headersTimeout,
+  bodyTimeout: defaultRetryPolicy.bodyTimeout
+};
+
+// Agents por verificação TLS + timeouts: cada scrape() reaproveita o pool de conexões em vez de abrir um Agent novo
+const agents = new Map();
+
+function sharedAgent(verifyTls, policy) {
+  const { connectTimeout, headersTimeout, bodyTimeout } = policy;
+  const key = [verifyTls, connectTimeout, headersTimeout, bodyTimeout].join(':');
+  if (!agents.has(key)) {
+    agents.set(key, new Agent({ connect: { rejectUnauthorized: verifyTls, timeout: connectTimeout }, headersTimeout, bodyTimeout }));
+  }
+  return agents.get(key);
+}
+
+/**
+ * Request options shared by every fetch of a run: headers (UA profile), retry policy, agent (TLS and
+ * timeouts), disk cache, HAR archive, cookie jar, proxy pool, per-host rate limiter and the interception
+ * rules of the jsdom subresources (see intercept.js) and the emulated device (see environment.js).
+ * `signal` (an AbortSignal) cancels every request of the run. A mobile device picks a mobile UA profile and --locale the Accept-Language, unless set explicitly.
+ */
+function createFetchOpts(opts = {}) {
+  const device = (opts.fetchOpts && opts.fetchOpts.device) || createDevice(opts);
+  const headers = buildHeaders({
+    ...opts,
+    uaProfile: opts.uaProfile || device.uaProfile,
+    acceptLanguage: opts.acceptLanguage || (opts.locale ? acceptLanguageFor(opts.locale) : null)
+  });
+  let fetchOpts = { headers, device, ...opts.fetchOpts };
+  if (!fetchOpts.retryPolicy) {
+    const retryPolicy = retryPolicyFromOptions(opts);
+    if (opts.diagnose) retryPolicy.onRetry = (a) => console.error(`[retry] ${a.url}: attempt ${a.attempt} ${a.error}, next in ${a.delay} ms`);
+    fetchOpts = { ...fetchOpts, retryPolicy };
+  }
+  const { connectTimeout, headersTimeout, bodyTimeout } = fetchOpts.retryPolicy;
+  if (!fetchOpts.dispatcher) {
+    fetchOpts = { ...fetchOpts, dispatcher: sharedAgent(opts.insecure === false, fetchOpts.retryPolicy) };
+  }
+  if ((opts.cache || opts.fromCache) && !fetchOpts.httpCache) {
+    fetchOpts = { ...fetchOpts, httpCache: new HttpCache({ dir: opts.cacheDir, ttl: opts.cacheTtl, offline: opts.fromCache }) };
+  }
+  if (opts.record && opts.replay) throw new Error('--record and --replay cannot be used together');
+  if ((opts.record || opts.replay) && !fetchOpts.har) {
+    fetchOpts = { ...fetchOpts, har: opts.replay ? HarArchive.open(opts.replay, 'replay') : HarArchive.open(opts.record, 'record') };
+  }
+  if (!fetchOpts.cookieJar) fetchOpts = { ...fetchOpts, cookieJar: openCookieJar(opts.cookies) };
+  const proxies = [].concat(opts.proxy || [], opts.proxyFile ? readProxyFile(opts.proxyFile) : []);
+  if (proxies.length && !fetchOpts.proxyPool) {
+    fetchOpts = { ...fetchOpts, proxyPool: ProxyPool.shared(proxies, { insecure: opts.insecure !== false, connectTimeout, headersTimeout, bodyTimeout }) };
+  }
+  if (opts.rateLimit > 0 && !fetchOpts.rateLimiter) {
+    fetchOpts = { ...fetchOpts, rateLimiter: HostRateLimiter.shared(opts.rateLimit, opts.rateBurst || 1) };
+  }
+  if (!fetchOpts.interceptor) fetchOpts = { ...fetchOpts, interceptor: RequestInterceptor.fromOptions(opts) };
+  if (opts.signal && !fetchOpts.signal) fetchOpts = { ...fetchOpts, signal: opts.signal };
+  return fetchOpts;
+}
+
+/**
+ * Link scheduler of a run (see linkprocessors.js): maxLinks distinct pages, linkConcurrency at a time,
+ * linkBudget ms in total, and at most maxLinkWindows link windows open in the whole process
+ */
+function createLinkScheduler(options = {}) {
+  const opts = { ...defaultScrapeOptions, ...options };
+  return new LinkScheduler({
+    maxLinks: opts.maxLinks,
+    concurrency: opts.linkConcurrency,
+    budget: opts.linkBudget,
+    windows: Limiter.shared('link-windows', opts.maxLinkWindows),
+    diagnose: opts.diagnose
+  });
+}
+
+/**
+ * Normaliza `detalhe`: aceita "a,b" ou ['a', 'b']; cada item é uma query (ver matching.js)
+ */
+function normalizeDetalhe(detalhe) {
+  const list = Array.isArray(detalhe) ? detalhe : (detalhe ? [detalhe] : []);
+  return list.flatMap(raw => splitQueryList(String(raw)));
+}
+
+function abortedError() {
+  const err = new Error('Scrape aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Scroll to the bottom and click a "load more" button, if any
+ */
+function scrollAndLoadMore(window) {
+  try { window.scrollTo && window.scrollTo(0, window.document.body.scrollHeight); window.dispatchEvent(new window.Event('scroll')); } catch(e){}
+  setTimeout(()=>{ try{ const btn = window.document.querySelector('.load-more, [data-load-more], .btn-load-more'); if(btn) btn.click(); }catch(e){} }, 300);
+}
+
+/**
+ * Render a URL with jsdom: run scripts, simulate interaction and wait for quiescence + network idle.
+ * With `hydration`, the embedded structured data (searched for `term`) is left on dom.structuredData.
+ */
+async function renderWithJsdom(url, opts = {}) {
+  const { timeout, diagnose, fetchOpts } = opts;
+  const { signal } = fetchOpts;
+  const res = await retryFetch(url, fetchOpts);
+  const html = await res.text();
+  const cookieJar = fetchOpts.cookieJar || cookieJarFromResponse(res, url);
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'dangerously',
+    resources: new UndiciResourceLoader(fetchOpts),
+    cookieJar,
+    pretendToBeVisual: true,
+    virtualConsole: (diagnose ? (new VirtualConsole()).sendTo(console) : (new VirtualConsole()).sendTo(console, { omitJSDOMErrors: true })),
+    beforeParse: function(window) {
+      applyJsdomPolyfills(window, { fetchOpts, cookieJar, diagnose });
+      if (diagnose) {
+        window.addEventListener('error', (e) => console.error('[page error]', e.message));
+      }
+    }
+  });
+
+  // Scrape abortado: a janela fecha na hora (timers e scripts param) e as esperas terminam
+  const onAbort = () => { try { dom.window.close(); } catch(e){} };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  // Simulate interaction, quiescence, network idle
+  const maxWait = timeout;
+  const idle = 500;
+  try {
+    dom.window.addEventListener && dom.window.addEventListener('load', () => scrollAndLoadMore(dom.window));
+    await waitForQuiescence(dom.window, { timeout: maxWait, quiet: idle, signal });
+    await waitForNetworkIdle(() => dom.window.__pendingRequests, { idle: 2000, maxWait: 30000, signal });
+
+    // Infinite scroll: repeat scroll + load-more while new nodes keep appearing
+    for (let cycle = 1; cycle < (opts.infiniteScroll || 1) && !(signal && signal.aborted); cycle++) {
+      const before = dom.window.document.getElementsByTagName('*').length;
+      scrollAndLoadMore(dom.window);
+      await waitForQuiescence(dom.window, { timeout: maxWait, quiet: idle, signal });
+      await waitForNetworkIdle(() => dom.window.__pendingRequests, { idle: 1000, maxWait: 10000, signal });
+      const after = dom.window.document.getElementsByTagName('*').length;
+      if (diagnose) console.error(`[paginate] scroll cycle ${cycle}: ${before} -> ${after} nodes`);
+      if (after <= before) break;
+    }
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+  if (signal && signal.aborted) {
+    onAbort();
+    throw abortedError();
+  }
+
+  // Dados estruturados lidos antes de remover os scripts (e com o estado vivo da janela)
+  if (opts.hydration) {
+    try { dom.structuredData = collectStructuredData(dom.window.document, { term: opts.term, fuzzy: opts.fuzzy, window: dom.window }); } catch(e) {}
+  }
+
+  // Remove scripts dynamically added by JS
+  dom.window.document.querySelectorAll('script').forEach(script => script.remove());
+  return dom;
+}
+
+/**
+ * Extract content from a rendered DOM (radial search, link rendering, detalhe filter).
+ * mainContent: 'page' converts only the main content (see readability.js) when there is no radial search,
+ * 'fallback' also uses it when the radial search finds nothing, 'off' keeps the whole page.
+ * With a `schema` (see schema.js) the page becomes typed records instead; term and detalhe filter the items.
+ */
+async function extractFromDom(dom, url, opts = {}) {
+  const { term, detalheList, radial, radialMode, fuzzy, radiusLevels, minRepeat, renderLinks, maxLinks, linkTimeout, diagnose, fetchOpts, cleanupProfile, mainContent } = opts;
+  const linkOptions = (max) => ({ renderLinks: true, maxLinks: max, linkTimeout, diagnose, fetchOpts, baseUrl: url, cleanupProfile, linkScheduler: opts.linkScheduler });
+  const toMarkdown = (html) => convertToLlmReadyMarkdown(html, { url, profile: cleanupProfile });
+
+  if (opts.schema) {
+    const queries = [term, ...(detalheList || [])].filter(Boolean).map(q => compileQuery(q, { fuzzy }));
+    const filter = queries.length ? (item) => { const text = readableText(item); return queries.every(q => q.test(text)); } : null;
+    const extracted = extractWithSchema(dom.window.document, opts.schema, { url, filter });
+    if (diagnose) {
+      console.error(`[schema] ${extracted.schema}: ${extracted.items} item(s), ${extracted.records.length} valid, ${extracted.invalid.length} invalid`);
+      extracted.invalid.slice(0, 5).forEach(r => console.error(`[schema] item ${r.index} invalid: ${r.errors.join('; ')}`));
+    }
+    const sourceUrl = (r) => ({ ...r, sourceUrl: url });
+    return {
+      content: formatRecords(extracted.records, extracted.invalid.length),
+      fragments: [],
+      links: [],
+      records: extracted.records.map(sourceUrl),
+      invalidRecords: extracted.invalid.map(sourceUrl)
+    };
+  }
+
+  // Conteúdo principal + metadados do artigo, ou null quando nenhum bloco tem texto suficiente
+  const mainContentResult = async (heading) => {
+    let article = null;
+    try { article = extractMainContent(dom.window.document, { url, sources: opts.structuredSources }); } catch(e) {
+      if (diagnose) console.error('[main-content] extraction failed:', e.message);
+    }
+    if (diagnose) console.error(`[main-content] ${article ? `${article.selector} (score ${article.score}, ${article.length} chars)` : 'no block with enough text'}`);
+    if (!article) return null;
+    const { html, text, ...metadata } = article;
+    let content = `${heading ? `${heading}\n` : ''}${formatArticleHeader(article)}\n${toMarkdown(html)}`;
+    let links = [];
+    if (renderLinks) {
+      try {
+        links = await renderLinksFromContent(html, linkOptions(maxLinks));
+        content += formatLinkedContent(links);
+      } catch (error) {
+        if (diagnose) console.error('[renderLinks] Error processing links:', error.message);
+      }
+    }
+    return { content, fragments: [], links, article: metadata };
+  };
+
+  if (radial && term) {
+    const results = performRadialSearch(dom.window.document, term, { radiusLevels, minRepeat, mode: radialMode, fuzzy });
+    const fragments = [];
+    const detalheQueries = (detalheList || []).map(d => compileQuery(d, { fuzzy }));
+
+    if (results.length === 0) {
+      const fallback = mainContent !== 'off' ? await mainContentResult('<!-- Nenhum fragmento encontrado: conteúdo principal da página -->') : null;
+      return fallback || { content: '<!-- Nenhum fragmento encontrado -->', fragments, links: [] };
+    }
+
+    // --save-schema: schema do grupo de cards repetidos com mais fragmentos
+    let inferredSchema = null;
+    if (opts.saveSchema) {
+      const hits = new Map();
+      results.filter(r => r.method === 'repeated_card').forEach(r => hits.set(r.selector, (hits.get(r.selector) || 0) + 1));
+      const cards = Array.from(hits.entries()).sort((a, b) => b[1] - a[1])[0];
+      try { inferredSchema = cards ? inferSchema(dom.window.document, cards[0], { url, term }) : null; } catch(e) {
+        if (diagnose) console.error('[schema] inference failed:', e.message);
+      }
+    }
+
+    // Links de todos os fragmentos agendados de uma vez: renderizam em paralelo, cada URL uma vez só
+    const linkJobs = renderLinks ? results.map(r => renderLinksFromContent(r.html, linkOptions(maxLinks)).catch(error => ({ error }))) : [];
+
+    for (let i = 0; i < results.length; i++) {
+      const r = results[i];
+      const markdown = toMarkdown(r.html);
+      let fragmentContent = `<!-- FRAGMENTO ${i+1} | SELETOR: ${r.selector} | MÉTODO: ${r.method} | TERMO: ${r.term} -->\n`;
+      fragmentContent += markdown;
+
+      let links = [];
+      if (renderLinks) {
+        const rendered = await linkJobs[i];
+        if (rendered.error) {
+          if (diagnose) console.error(`[renderLinks] Error processing links from fragment ${i+1}:`, rendered.error.message);
+        } else {
+          links = rendered;
+          if (links.length > 0) fragmentContent += `\n\n${formatLinkedContent(links)}`;
+        }
+      }
+
+      // Aplicar filtro de detalhe (se fornecido): todas as queries precisam casar
+      const missing = detalheQueries.find(q => !q.test(fragmentContent));
+      if (missing) {
+        if (diagnose) console.error(`[detalhe] Pulando fragmento ${i+1}: detalhe "${missing.query}" não encontrado.`);
+        continue; // Pula este fragmento
+      }
+
+      fragments.push({
+        index: i + 1,
+        selector: r.selector,
+        method: r.method,
+        term: r.term,
+        repeatCount: r.repeatCount,
+        matches: r.matches,
+        score: r.score,
+        sourceUrl: url,
+        html: r.html,
+        markdown,
+        links,
+        content: fragmentContent
+      });
+    }
+
+    return {
+      content: fragments.map(f => f.content).join('\n\n---\n\n'),
+      fragments,
+      links: fragments.reduce((all, f) => all.concat(f.links), []),
+      inferredSchema
+    };
+  }
+
+  if (mainContent === 'page') {
+    const main = await mainContentResult();
+    if (main) return main;
+  }
+
+  if (renderLinks) {
+    const html = dom.serialize();
+    try {
+      const links = await renderLinksFromContent(html, linkOptions(maxLinks));
+      const content = await processLinksFromContent(html, { baseUrl: url, cleanupProfile });
+      return { content: content + formatLinkedContent(links), fragments: [], links };
+    } catch (error) {
+      if (diagnose) console.error('[renderLinks] Error processing links:', error.message);
+      return { content: toMarkdown(html), fragments: [], links: [] };
+    }
+  }
+
+  return { content: toMarkdown(dom.serialize()), fragments: [], links: [] };
+}
+
+/**
+ * Scrape a URL through the rendering tiers (simple fetch -> jsdom -> headless browser)
+ * and return { url, tier, content, fragments, links, timings, errors }.
+ * With `crawl: true` the call is delegated to crawl() (see crawler.js), with `paginate: n`
+ * to scrapePaginated() (see pagination.js). An aborted `signal` cancels the requests, closes the jsdom
+ * window and rejects with an AbortError.
+ */
+async function scrape(url, options = {}) {
+  if (!url) throw new Error('scrape: url is required');
+  if (options.crawl) return require('./crawler').crawl(url, options);
+  if (options.paginate > 1) return require('./pagination').scrapePaginated(url, options);
+  const opts = { ...defaultScrapeOptions, ...options };
+  const { timeout, forceBrowser, diagnose, insecure } = opts;
+  const detalheList = normalizeDetalhe(opts.detalhe);
+  // Erros de sintaxe nas queries aparecem antes de qualquer request
+  if (opts.term) compileQuery(opts.term);
+  detalheList.forEach(d => compileQuery(d));
+  [].concat(opts.cleanupProfiles || []).forEach(loadCleanupProfiles);
+  if (opts.cleanupProfile) resolveCleanupProfile({ profile: opts.cleanupProfile });
+  if (opts.schema) {
+    // Schema validado uma vez; sem nenhum registro válido, o HTML do tier conta como incompleto
+    opts.schema = loadSchema(opts.schema);
+    opts.completenessRules = [...[].concat(opts.completenessRules || []), schemaCompletenessRule(opts.schema)];
+  }
+
+  const fetchOpts = createFetchOpts(opts);
+  // Agendador de links da execução (--paginate passa o seu, compartilhado entre as páginas)
+  if (opts.renderLinks && !opts.linkScheduler) opts.linkScheduler = createLinkScheduler(opts);
+  // Sem rede: --from-cache ou --replay
+  const offline = opts.fromCache || (fetchOpts.har && fetchOpts.har.replaying);
+
+  const started = Date.now();
+  const timings = {};
+  const errors = [];
+  const timed = async (name, fn) => {
+    const t0 = Date.now();
+    try { return await fn(); } finally { timings[name] = (timings[name] || 0) + (Date.now() - t0); }
+  };
+  const fail = (tier, e) => {
+    errors.push({ tier, message: e && e.message ? e.message : String(e), ...(e && e.attempts ? { attempts: e.attempts } : {}) });
+    if (diagnose) console.error(`[universal] ${tier} failed`, e && e.message);
+  };
+  // HAR (--record) e cookies (--cookies) são gravados ao fim de cada scrape
+  const persist = () => {
+    try { fetchOpts.har && fetchOpts.har.save(); } catch(e) { fail('record', e); }
+    try { opts.cookies && saveCookies(fetchOpts.cookieJar, opts.cookies); } catch(e) { fail('cookies', e); }
+  };
+  // Dados estruturados (hidratação, JSON-LD, microdata, OpenGraph) da página escolhida
+  const structured = (dom, window) => {
+    if (!opts.hydration || !dom) return { sources: [], matches: [] };
+    try { return collectStructuredData(dom.window.document, { term: opts.term, fuzzy: opts.fuzzy, window }); } catch(e) { fail('hydration', e); return { sources: [], matches: [] }; }
+  };
+  const result = (tier, extracted, dom, data = structured(dom)) => {
+    // O bloco JSON dos registros do schema não passa pela remoção de linhas repetidas
+    let content = duplicateRemover && !extracted.records ? duplicateRemover.removeDuplicates(extracted.content) : extracted.content;
+    if (data.matches.length) {
+      const section = formatDataMatches(data.matches);
+      content = (extracted.fragments && extracted.fragments.length) || extracted.records ? `${content}\n\n---\n\n${section}` : section;
+      if (diagnose) console.error(`[hydration] ${data.matches.length} records matching the term in ${[...new Set(data.matches.map(m => m.name))].join(', ')}`);
+    }
+    if (diagnose) console.error(`[tier] using ${tier}`);
+    persist();
+    if (diagnose && fetchOpts.proxyPool) console.error('[proxy]', JSON.stringify(fetchOpts.proxyPool.status()));
+    if (diagnose && opts.linkScheduler && opts.linkScheduler.cache.size) console.error('[links]', JSON.stringify(opts.linkScheduler.stats()));
+    if (diagnose && fetchOpts.interceptor) console.error('[intercept]', JSON.stringify(fetchOpts.interceptor.stats()));
+    timings.total = Date.now() - started;
+    const sourceUrl = (item) => ({ ...item, sourceUrl: url });
+    const out = {
+      url, tier, content, fragments: extracted.fragments || [], links: extracted.links || [],
+      data: data.matches.map(sourceUrl), structuredData: data.sources.map(sourceUrl), timings, errors
+    };
+    if (extracted.article) out.article = extracted.article;
+    if (extracted.records) {
+      out.records = extracted.records;
+      out.invalidRecords = extracted.invalidRecords;
+    }
+    if (opts.saveSchema && !extracted.records) {
+      if (!extracted.inferredSchema) fail('schema', new Error('no repeated cards matched the term, no schema to save'));
+      else {
+        try {
+          saveSchema(extracted.inferredSchema, opts.saveSchema);
+          out.inferredSchema = extracted.inferredSchema;
+          if (diagnose) console.error(`[schema] ${extracted.inferredSchema.list}: ${Object.keys(extracted.inferredSchema.fields).join(', ')} -> ${opts.saveSchema}`);
+        } catch(e) { fail('schema', e); }
+      }
+    }
+    // Links de página inteira, usados pelo crawler
+    if (opts.collectLinks) {
+      try { out.pageLinks = dom ? extractFilteredLinks(dom.serialize(), url) : []; } catch(e) { out.pageLinks = []; }
+    }
+    // Próxima página da listagem, usada por scrapePaginated
+    if (opts.findNextPage) {
+      try { out.nextPageUrl = dom ? findNextPageUrl(dom.window.document, url, opts.visitedPages) : null; } catch(e) { out.nextPageUrl = null; }
+    }
+    return out;
+  };
+
+  let dom = null;
+  let tier = null;
+  let jsdomData;
+  let useBrowser = forceBrowser;
+  // Scrape abortado (opts.signal, ex.: timeout do servidor): nenhum passo novo começa
+  const stopIfAborted = () => {
+    if (!(fetchOpts.signal && fetchOpts.signal.aborted)) return;
+    if (dom) { try { dom.window.close(); } catch(e){} }
+    persist();
+    const err = abortedError();
+    err.errors = errors;
+    throw err;
+  };
+
+  // Login roteirizado antes de tudo; a sessão fica no cookie jar
+  stopIfAborted();
+  if (opts.loginUrl) await timed('login', () => ensureLogin(opts, fetchOpts));
+
+  if (offline && forceBrowser) fail('browser', new Error('the browser tier is not available offline (--from-cache / --replay)'));
+  if (!forceBrowser) {
+    // 1) try simple fetch
+    stopIfAborted();
+    try {
+      const simple = await timed('simple', () => simpleFetch(url, timeout, fetchOpts));
+      const staticDom = new JSDOM(simple, { url });
+      try {
+        const data = structured(staticDom);
+        const check = assessCompleteness({ html: simple, document: staticDom.window.document, url, hydration: data }, opts);
+        if (diagnose) console.error(`[tier] simple: ${describeCompleteness(check)}`);
+        if (check.complete) {
+          // HTML estático já completo: mesma extração, sem executar scripts
+          const extracted = await timed('extract', () => extractFromDom(staticDom, url, { ...opts, detalheList, fetchOpts, structuredSources: opts.hydration ? data.sources : undefined }));
+          return result('simple', extracted, staticDom, data);
+        }
+      } finally {
+        try { staticDom.window.close(); } catch(e){}
+      }
+    } catch(e) { fail('simple', e); }
+
+    // 2) try jsdom render
+    stopIfAborted();
+    try {
+      dom = await timed('jsdom', () => renderWithJsdom(url, { timeout, diagnose, fetchOpts, infiniteScroll: opts.infiniteScroll, hydration: opts.hydration, term: opts.term, fuzzy: opts.fuzzy }));
+      tier = 'jsdom';
+      jsdomData = dom.structuredData || structured(dom);
+      const check = assessCompleteness({ html: dom.serialize(), document: dom.window.document, url, hydration: jsdomData }, opts);
+      if (diagnose) console.error(`[tier] jsdom: ${describeCompleteness(check)}${check.complete ? '' : offline ? ' (offline, no browser)' : ', trying browser'}`);
+      if (!check.complete) useBrowser = true;
+    } catch(e) { fail('jsdom', e); }
+  } else if (diagnose) {
+    console.error('[tier] browser forced (--browser)');
+  }
+
+  // 3) headless browser (forced or when jsdom output is still incomplete); it bypasses the cache and HAR, so never offline
+  stopIfAborted();
+  if (useBrowser && !offline) {
+    try {
+      const html = await timed('browser', async () => {
+        if (fetchOpts.rateLimiter) await fetchOpts.rateLimiter.take(url);
+        const proxy = fetchOpts.proxyPool ? fetchOpts.proxyPool.browserProxy() : null;
+        return renderWithBrowser(url, { timeout, insecure, diagnose, headers: fetchOpts.headers, cookieJar: fetchOpts.cookieJar, proxy, device: fetchOpts.device, signal: fetchOpts.signal });
+      });
+      if (dom) { try { dom.window.close(); } catch(e){} }
+      dom = new JSDOM(html, { url });
+      tier = 'browser';
+    } catch(e) { fail('browser', e); }
+  }
+
+  stopIfAborted();
+  if (dom) {
+    try {
+      // No tier jsdom os scripts (JSON-LD incluído) já foram removidos: os dados vêm da renderização
+      const data = tier === 'jsdom' ? jsdomData : structured(dom);
+      const extracted = await timed('extract', () => extractFromDom(dom, url, { ...opts, detalheList, fetchOpts, structuredSources: opts.hydration ? data.sources : undefined }));
+      return result(tier, extracted, dom, data);
+    } catch(e) {
+      fail('extract', e);
+    } finally {
+      try { dom.window.close(); } catch(e){}
+    }
+  }
+
+  // fallback simple fetch (mesma sessão, proxies e rate limit dos outros tiers)
+  stopIfAborted();
+  try {
+    const simple = await timed('fallback', () => simpleFetch(url, timeout, fetchOpts));
+    return result('fallback', { content: simple });
+  } catch(e) {
+    fail('fallback', e);
+    persist();
+    const err = new Error(`All methods failed: ${e && e.message ? e.message : e}`);
+    err.errors = errors;
+    throw err;
+  }
+}
+
+module.exports = {
+  scrape,
+  createFetchOpts,
+  createLinkScheduler,
+  renderWithJsdom,
+  extractFromDom,
+  needBrowserFallback,
+  normalizeDetalhe,
+  defaultScrapeOptions
+};
@@ -0,0 +1,120 @@
+/**
+ * Stable CSS selectors for elements found by the radial search and the schema inference: generated class
+ * names (CSS modules, styled-components, emotion...), state classes and numeric ids are left out, and the
+ * selector is checked against the document instead of trusting the class list.
+ */
+
+// Classes geradas por build (hash): mudam entre deploys
+const generatedPrefix = /^(css|sc|jsx|emotion|styled|svelte|astro|ng-tns|ng-star|tw)-|^_/;
+const stateClass = /^(is|has)-|^(active|selected|current|open|opened|closed|show|shown|hidden|hover|focus|focused|disabled|visible|collapsed|expanded|loaded|loading|lazyloaded|lazyload)$/i;
+// Utilitários de layout (Bootstrap, Tailwind): estáveis, mas pouco específicos
+const utilityClass = /^(col|row|d|p|m|px|py|pt|pb|pl|pr|mx|my|mt|mb|ml|mr|w|h|g|gap|gx|gy|flex|grid|text|bg|border|rounded|shadow|align|justify|order|offset|float|position|overflow|font|fw|fs|lh|container|clearfix|sm|md|lg|xl)(-|$)|^(sm|md|lg|xl|2xl):/;
+const stableAttributes = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'itemprop'];
+
+/**
+ * Hash-like class or id: known generator prefix, a long run of digits, or a last segment mixing letters and digits
+ */
+function isGenerated(name) {
+  if (generatedPrefix.test(name) || /\d{3,}/.test(name)) return true;
+  const last = name.split(/[-_]+/).pop();
+  return last.length >= 5 && /\d/.test(last) && /[a-z]/i.test(last);
+}
+
+const cssEscape = (value) => String(value).replace(/([^\w-])/g, '\\$1').replace(/^(\d)/, '\\3$1 ');
+
+/**
+ * Classes worth putting in a selector, most specific first (semantic names before layout utilities)
+ */
+function stableClasses(el) {
+  const classes = typeof el.className === 'string' ? el.className.split(/\s+/).filter(Boolean) : [];
+  const stable = classes.filter(c => !isGenerated(c) && !stateClass.test(c));
+  return [...stable.filter(c => !utilityClass.test(c)), ...stable.filter(c => utilityClass.test(c))];
+}
+
+function stableId(el) {
+  const id = el.getAttribute && el.getAttribute('id');
+  return id && !/\d{2,}|^[a-f0-9-]{8,}$|:/i.test(id) && !isGenerated(id) ? id : null;
+}
+
+/**
+ * tag + stable attribute (data-testid, itemprop...) or up to `maxClasses` stable classes
+ */
+function compoundSelector(el, maxClasses = 2, classes = stableClasses(el)) {
+  const tag = el.tagName.toLowerCase();
+  const attr = stableAttributes.find(a => el.hasAttribute(a) && el.getAttribute(a));
+  if (attr) return `${tag}[${attr}="${el.getAttribute(attr).replace(/"/g, '\\"')}"]`;
+  return tag + classes.slice(0, maxClasses).map(c => `.${cssEscape(c)}`).join('');
+}
+
+const count = (root, selector) => { try { return root.querySelectorAll(selector).length; } catch(e) { return -1; } };
+
+/**
+ * Selector that matches only `el` in its document: a stable id, or a short chain of compound selectors
+ * climbing the ancestors, with :nth-of-type as the last resort
+ */
+function uniqueSelector(el) {
+  const document = el.ownerDocument;
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+    const id = stableId(node);
+    parts.unshift(id ? `#${cssEscape(id)}` : compoundSelector(node));
+    const selector = parts.join(' > ');
+    if (count(document, selector) === 1) return selector;
+    if (id) break;
+    if (parts.length >= 6) break;
+  }
+  // Ainda ambíguo: posição entre os irmãos de mesma tag
+  const siblings = el.parentElement ? Array.from(el.parentElement.children).filter(s => s.tagName === el.tagName) : [el];
+  parts[parts.length - 1] += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+  const parentSelector = el.parentElement && el.parentElement !== document.documentElement ? uniqueSelector(el.parentElement) : null;
+  return parentSelector ? `${parentSelector} > ${parts[parts.length - 1]}` : parts.join(' > ');
+}
+
+/**
+ * Selector matching every element of a repeated group (sibling cards) and, ideally, nothing else:
+ * the classes the cards share, prefixed with the container when other parts of the page reuse them
+ */
+function groupSelector(elements) {
+  const [first] = elements;
+  const document = first.ownerDocument;
+  const shared = stableClasses(first).filter(c => elements.every(e => e.classList.contains(c)));
+  // data-testid/itemprop só servem quando todos os cards têm o mesmo valor
+  const sharedAttr = stableAttributes.find(a => first.getAttribute(a) && elements.every(e => e.getAttribute(a) === first.getAttribute(a)));
+  const tag = first.tagName.toLowerCase();
+  const base = sharedAttr
+    ? `${tag}[${sharedAttr}="${first.getAttribute(sharedAttr).replace(/"/g, '\\"')}"]`
+    : tag + shared.slice(0, 2).map(c => `.${cssEscape(c)}`).join('');
+  const exact = (selector) => {
+    try {
+      const found = Array.from(document.querySelectorAll(selector));
+      return found.length === elements.length && elements.every(e => found.includes(e));
+    } catch(e) { return false; }
+  };
+  if ((shared.length || sharedAttr) && exact(base)) return base;
+  const parent = first.parentElement;
+  if (!parent || parent === document.documentElement) return base;
+  return `${uniqueSelector(parent)} > ${base}`;
+}
+
+/**
+ * Selector of `el` relative to an ancestor `root` (for root.querySelector): the shortest suffix of the
+ * compound path that still finds `el` first
+ */
+function relativeSelector(el, root) {
+  const parts = [];
+  for (let node = el; node && node !== root; node = node.parentElement) parts.unshift(compoundSelector(node, 1));
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const selector = parts.slice(i).join(' ');
+    try { if (root.querySelector(selector) === el) return selector; } catch(e) {}
+  }
+  return `:scope > ${parts.join(' > ')}`;
+}
+
+module.exports = {
+  stableClasses,
+  compoundSelector,
+  uniqueSelector,
+  groupSelector,
+  relativeSelector,
+  cssEscape
+};
@@ -0,0 +1,175 @@
+const http = require('http');
+const { scrape } = require('./scraper');
+const { formatResult } = require('./output');
+const { validateOptions, missingTerm } = require('./options');
+const { loadSchema } = require('./schema');
+const { Limiter } = require('./limiter');
+
+const defaultServerOptions = {
+  port: 3000,
+  host: '127.0.0.1',
+  maxWindows: 2,
+  requestTimeout: 120000,
+  // Tetos para maxLinks / linkTimeout pedidos no corpo
+  maxRequestLinks: 10,
+  maxLinkTimeout: 30000
+};
+
+// Limite do corpo do POST /scrape
+const maxBodyBytes = 1024 * 1024;
+
+// Opções aceitas no corpo do POST /scrape: busca, extração (schema só como objeto), links e tempos. Arquivos,
+// cache, proxies e cookies ficam com a linha de comando do servidor (o corpo não lê nem grava nada no host)
+const requestOptions = [
+  'term', 'detalhe', 'fuzzy', 'radial', 'radialMode', 'radiusLevels', 'minRepeat', 'mainContent', 'hydration', 'cleanupProfile',
+  'renderLinks', 'maxLinks', 'timeout', 'linkTimeout', 'format', 'requestTimeout'
+];
+
+/**
+ * Lê o corpo da requisição como JSON
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodyBytes) { reject(httpError(413, 'Request body too large')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+      catch (e) { reject(httpError(400, `Invalid JSON body: ${e.message}`)); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function send(res, status, body, contentType = 'application/json; charset=utf-8', headers = {}) {
+  if (res.headersSent) return;
+  const payload = typeof body === 'string' ? body : JSON.stringify(body) + '\n';
+  res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(payload), ...headers });
+  res.end(payload);
+}
+
+/**
+ * Validate a POST /scrape body into { url, format, requestTimeout, options }; `defaults` are the
+ * server's own scrape options (a term-less mode set there also covers the requests). requestTimeout,
+ * maxLinks and linkTimeout are clamped to the server `limits` (see defaultServerOptions).
+ */
+function parseScrapeRequest(body, defaults = {}, limits = {}) {
+  const { requestTimeout: maxRequestTimeout, maxRequestLinks, maxLinkTimeout } = { ...defaultServerOptions, ...limits };
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw httpError(400, 'Expected a JSON object');
+  const { url, format = 'markdown', schema, ...rest } = body;
+  if (!url || typeof url !== 'string') throw httpError(400, 'Missing "url"');
+  try { new URL(url); } catch (e) { throw httpError(400, `Invalid "url": ${url}`); }
+  const rejected = Object.keys(rest).find(k => !requestOptions.includes(k));
+  if (rejected) throw httpError(400, `Option "${rejected}" is not accepted by the service`);
+
+  let options;
+  try {
+    options = validateOptions({ format, ...rest }, 'request body');
+    // Schema inline: um caminho faria o servidor ler (ou dar require em) um arquivo local
+    if (schema !== undefined) {
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error('"schema" must be an inline schema object (the service does not read schema files)');
+      options.schema = loadSchema(schema);
+    }
+  } catch (e) {
+    throw httpError(400, e.message);
+  }
+  const requestTimeout = Math.min(options.requestTimeout || maxRequestTimeout, maxRequestTimeout);
+  delete options.format;
+  delete options.requestTimeout;
+  // O corpo só pode reduzir os limites do servidor
+  if (options.maxLinks) options.maxLinks = Math.min(options.maxLinks, maxRequestLinks);
+  if (options.linkTimeout) options.linkTimeout = Math.min(options.linkTimeout, maxLinkTimeout);
+  if (missingTerm({ ...defaults, ...options })) throw httpError(400, 'Missing "term" (or "mainContent": "page", or "schema")');
+  return { url, format, requestTimeout, options };
+}
+
+/**
+ * Create (not start) the HTTP service: POST /scrape and GET /health
+ */
+function createServer(opts = {}) {
+  const { maxWindows, requestTimeout, maxRequestLinks, maxLinkTimeout, defaults = {}, diagnose = false } = { ...defaultServerOptions, ...opts };
+  const windows = new Limiter(maxWindows);
+  const startedAt = Date.now();
+  let served = 0;
+
+  async function handleScrape(req, res) {
+    // Só JSON declarado: um POST text/plain de outra origem (sem preflight CORS) não chega ao scrape()
+    if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) throw httpError(415, 'Content-Type must be application/json');
+    const { url, format, options, requestTimeout: timeoutMs } = parseScrapeRequest(await readJsonBody(req), defaults, { requestTimeout, maxRequestLinks, maxLinkTimeout });
+    const started = Date.now();
+
+    // No timeout o scrape é abortado (requisições canceladas, janela jsdom fechada) e o slot fica livre
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(httpError(504, `Request timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+    const job = windows.run(() => scrape(url, { ...defaults, ...options, signal: controller.signal }));
+    job.catch(() => {});
+
+    try {
+      const result = await Promise.race([job, timeout]);
+      served++;
+      if (diagnose) console.error(`[serve] ${url} -> ${result.tier} in ${Date.now() - started}ms`);
+      const contentType = format === 'json' ? 'application/json; charset=utf-8'
+        : format === 'ndjson' ? 'application/x-ndjson; charset=utf-8'
+        : 'text/markdown; charset=utf-8';
+      send(res, 200, formatResult(result, format), contentType, { 'X-Scrape-Tier': result.tier });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === '/health') {
+        if (req.method !== 'GET') throw httpError(405, 'Method not allowed');
+        send(res, 200, { ok: true, uptime: Date.now() - startedAt, served, windows: windows.stats() });
+      } else if (pathname === '/scrape') {
+        if (req.method !== 'POST') throw httpError(405, 'Method not allowed');
+        await handleScrape(req, res);
+      } else {
+        throw httpError(404, 'Not found');
+      }
+    } catch (e) {
+      const status = e.status || 500;
+      if (diagnose || status === 500) console.error(`[serve] ${req.method} ${pathname} -> ${status}: ${e.message}`);
+      send(res, status, { error: e.message, errors: e.errors });
+    }
+  });
+  server.windows = windows;
+  return server;
+}
+
+/**
+ * Start the service and resolve once it is listening
+ */
+function startServer(opts = {}) {
+  const { port, host } = { ...defaultServerOptions, ...opts };
+  const server = createServer(opts);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  createServer,
+  startServer,
+  parseScrapeRequest,
+  defaultServerOptions
+};
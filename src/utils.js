@@ -1,50 +1,240 @@
-const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
-const { fetch, Agent } = require('undici');
+const { JSDOM, ResourceLoader, VirtualConsole, CookieJar } = require('jsdom');
+const { fetch, Agent, Request, Response, Headers, FormData } = require('undici');
+const { headersToObject } = require('./cache');
+const { cookieHeader, storeResponseCookies } = require('./cookies');
+const { buildHeaders, subresourceHeaders } = require('./headers');
+const { resolveRetryPolicy, backoffDelay, classifyError, classifyStatus, retryError } = require('./retry');
+const { resourceType } = require('./intercept');
+const { createDevice, installEnvironment } = require('./environment');
 
-// Common defaults
-const defaultHeaders = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-};
+// Common defaults (default UA profile, see headers.js)
+const defaultHeaders = buildHeaders();
 
 const defaultConfig = {
   timeout: 10000,
-  maxRetries: 3,
   networkIdleMs: 2000,
   networkMaxWait: 30000
 };
 
 /**
- * Retry fetch with exponential backoff
+ * Fetch with a retry policy (see retry.js): `policy` is a number of attempts or a partial policy,
+ * merged over `opts.retryPolicy`. Failed attempts are recorded on the thrown error (`err.attempts`).
+ * `opts.httpCache` (an HttpCache) serves/stores GET responses on disk,
+ * `opts.har` (a HarArchive) records or replays every request,
+ * `opts.cookieJar` sends and stores cookies (see fetchWithCookies), `opts.signal` cancels the request.
+ * `opts.interceptor` and `opts.device` are only read by the jsdom windows (see intercept.js, environment.js).
  */
-async function retryFetch(url, opts = {}, maxRetries = defaultConfig.maxRetries) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+async function retryFetch(url, opts = {}, policy) {
+  const { httpCache, har, cookieJar, retryPolicy, interceptor, device, ...fetchOpts } = opts;
+  const resolved = resolveRetryPolicy(retryPolicy, policy);
+  if (cookieJar) {
+    return fetchWithCookies(url, { ...fetchOpts, httpCache, har }, cookieJar, resolved);
+  }
+  if (har) {
+    return har.fetch(url, fetchOpts, (u, o) => retryFetch(u, { ...o, httpCache }, resolved));
+  }
+  if (httpCache && (!fetchOpts.method || String(fetchOpts.method).toUpperCase() === 'GET')) {
+    return cachedFetch(url, fetchOpts, httpCache, resolved);
+  }
+  // --from-cache: só GETs vêm do disco, o resto não pode sair para a rede
+  if (httpCache && httpCache.offline) throw new Error(`Not in cache (offline mode): ${String(fetchOpts.method).toUpperCase()} ${url}`);
+  return fetchWithRetry(url, fetchOpts, resolved);
+}
+
+// fetch()/XHR da página: uma tentativa, e 5xx chega à página como resposta (como no navegador)
+const pageRequestPolicy = { maxAttempts: 1, throwOnStatus: false };
+
+// Agents com os timeouts da política, para requests sem dispatcher próprio
+const timeoutAgents = new Map();
+
+function timeoutDispatcher(policy) {
+  const key = [policy.connectTimeout, policy.headersTimeout, policy.bodyTimeout].join(':');
+  if (!timeoutAgents.has(key)) {
+    timeoutAgents.set(key, new Agent({ connect: { timeout: policy.connectTimeout }, headersTimeout: policy.headersTimeout, bodyTimeout: policy.bodyTimeout }));
+  }
+  return timeoutAgents.get(key);
+}
+
+/**
+ * The retry loop. The body is read inside the attempt, so a reset or timeout mid-body is retried too.
+ */
+async function fetchWithRetry(url, fetchOpts, policy) {
+  const method = String(fetchOpts.method || 'GET').toUpperCase();
+  const attempts = [];
+  for (let attempt = 1; ; attempt++) {
+    const started = Date.now();
+    const record = { attempt, url: String(url) };
+    attempts.push(record);
+    const controller = policy.attemptTimeout ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), policy.attemptTimeout) : null;
+    const init = { dispatcher: timeoutDispatcher(policy), ...fetchOpts };
+    // O signal de fora também aborta a tentativa (à mão: AbortSignal.any só existe a partir do Node 20.3)
+    const forwardAbort = () => controller.abort();
+    if (controller) {
+      init.signal = controller.signal;
+      if (fetchOpts.signal && fetchOpts.signal.aborted) forwardAbort();
+      else if (fetchOpts.signal) fetchOpts.signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    let failure;
     try {
-      const res = await fetch(url, opts);
-      // Treat 5xx errors as transient failures, but allow 4xx and 2xx to pass
-      if (res.status >= 200 && res.status < 500) {
-        return res;
+      const res = await networkFetch(url, init);
+      const body = Buffer.from(await res.arrayBuffer());
+      record.status = res.status;
+      const response = bufferedResponse(res, body);
+      failure = classifyStatus(res, policy, method);
+      if (!failure) {
+        record.ms = Date.now() - started;
+        return response;
       }
-      throw new Error(`HTTP status ${res.status}`);
+      failure.response = response;
     } catch (e) {
-      if (attempt === maxRetries - 1) throw e;
-      const delay = Math.pow(2, attempt) * 1000; // Exponential backoff: 1s, 2s, 4s...
-      await new Promise(r => setTimeout(r, delay));
+      failure = { ...classifyError(e, method), error: e };
+      if (controller && controller.signal.aborted && !(fetchOpts.signal && fetchOpts.signal.aborted)) {
+        failure = { ...failure, kind: 'timeout', retryable: true, message: `Attempt timed out after ${policy.attemptTimeout} ms` };
+      }
+    } finally {
+      clearTimeout(timer);
+      if (controller && fetchOpts.signal) fetchOpts.signal.removeEventListener('abort', forwardAbort);
+    }
+
+    record.ms = Date.now() - started;
+    record.kind = failure.kind;
+    if (failure.code) record.code = failure.code;
+    record.error = failure.message;
+
+    let last = !failure.retryable || attempt >= policy.maxAttempts;
+    let delay = failure.retryAfter !== null && failure.retryAfter !== undefined ? failure.retryAfter : backoffDelay(attempt, policy);
+    if (!last && delay > policy.maxRetryAfter) {
+      record.error += ` (Retry-After ${Math.round(delay / 1000)}s over the ${Math.round(policy.maxRetryAfter / 1000)}s limit)`;
+      last = true;
+    }
+    if (last) {
+      if (failure.response && !policy.throwOnStatus) return failure.response;
+      throw retryError(failure, attempts);
+    }
+    record.delay = delay;
+    if (typeof policy.onRetry === 'function') { try { policy.onRetry({ ...record }); } catch(e){} }
+    await new Promise(r => setTimeout(r, delay));
+  }
+}
+
+/**
+ * Response over an already read body (status, headers, url and redirected kept)
+ */
+function bufferedResponse(res, body) {
+  const out = new Response(nullBodyStatuses.includes(res.status) ? null : body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  Object.defineProperties(out, {
+    url: { value: res.url },
+    redirected: { value: res.redirected }
+  });
+  return out;
+}
+
+/**
+ * One network request: per-host token bucket (`opts.rateLimiter`), then a proxy from `opts.proxyPool`
+ * (network errors, 407 and 429 count against the proxy's health)
+ */
+async function networkFetch(url, opts = {}) {
+  const { rateLimiter, proxyPool, ...fetchOpts } = opts;
+  if (rateLimiter) await rateLimiter.take(String(url));
+  if (!proxyPool) return fetch(url, fetchOpts);
+  const proxy = proxyPool.pick();
+  try {
+    const res = await fetch(url, { ...fetchOpts, dispatcher: proxy.dispatcher });
+    if (res.status === 407 || res.status === 429) proxyPool.failure(proxy);
+    else proxyPool.success(proxy);
+    return res;
+  } catch (e) {
+    proxyPool.failure(proxy);
+    const reason = e && e.message ? e.message + (e.cause && e.cause.message ? `: ${e.cause.message}` : '') : String(e);
+    throw new Error(`${reason} (via proxy ${proxy.label})`, { cause: e });
+  }
+}
+
+/**
+ * Request with a cookie jar: Cookie header from the jar and Set-Cookie stored on every hop.
+ * Redirects are followed here, so cookies set by a 302 (e.g. after a login POST) are kept.
+ */
+async function fetchWithCookies(url, opts, jar, policy) {
+  let current = String(url);
+  let method = String(opts.method || 'GET').toUpperCase();
+  let body = opts.body;
+  let headers = { ...opts.headers };
+  const hasCookie = Object.keys(headers).some(k => k.toLowerCase() === 'cookie');
+  for (let hop = 0; hop <= 20; hop++) {
+    const cookie = hasCookie ? '' : cookieHeader(jar, current);
+    const res = await retryFetch(current, { ...opts, method, body, headers: cookie ? { ...headers, Cookie: cookie } : headers, redirect: 'manual' }, policy);
+    storeResponseCookies(jar, res, current);
+    const location = res.headers.get('location');
+    if (opts.redirect === 'manual' || res.status < 300 || res.status >= 400 || res.status === 304 || !location) return res;
+    try { await res.arrayBuffer(); } catch(e){}
+    current = new URL(location, current).href;
+    // 303, e 301/302 depois de POST, viram GET sem corpo
+    if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === 'POST')) {
+      method = 'GET';
+      body = undefined;
+      headers = Object.fromEntries(Object.entries(headers).filter(([k]) => !/^content-(type|length)$/i.test(k)));
     }
   }
+  throw new Error(`Too many redirects: ${url}`);
+}
+
+/**
+ * GET through the disk cache: fresh hit, conditional revalidation (304) or network + store
+ */
+async function cachedFetch(url, fetchOpts, cache, policy) {
+  const key = String(url);
+  const entry = cache.get(key, 'GET', fetchOpts.headers);
+  if (cache.offline) {
+    if (!entry) throw new Error(`Not in cache (offline mode): ${key}`);
+    cache.stats.hits++;
+    return cache.toResponse(entry);
+  }
+  if (entry && cache.isFresh(entry)) {
+    cache.stats.hits++;
+    return cache.toResponse(entry);
+  }
+
+  const conditional = entry ? cache.validators(entry) : {};
+  const res = await retryFetch(url, { ...fetchOpts, headers: { ...fetchOpts.headers, ...conditional } }, policy);
+  if (res.status === 304 && entry) {
+    cache.stats.revalidated++;
+    return cache.toResponse(cache.touch(entry, headersToObject(res.headers)), 'revalidated');
+  }
+  cache.stats.misses++;
+  const headers = headersToObject(res.headers);
+  if (!cache.isStorable(res.status, headers)) return res;
+  const body = Buffer.from(await res.arrayBuffer());
+  return cache.toResponse(cache.put(key, res.status, headers, body, 'GET', fetchOpts.headers), 'miss');
 }
 
 /**
- * Resource loader for JSDOM using undici with retry logic
+ * Resource loader for JSDOM using undici with retry logic. With `fetchOpts.interceptor` (see intercept.js)
+ * blocked resources are never scheduled and the hooks wrap the fetch.
  */
 class UndiciResourceLoader extends ResourceLoader {
   constructor(fetchOpts = {}) {
-    super();
+    // navigator.userAgent da janela = User-Agent das requisições
+    const headers = fetchOpts.headers || defaultHeaders;
+    const userAgent = Object.entries(headers).find(([k]) => k.toLowerCase() === 'user-agent');
+    super(userAgent ? { userAgent: userAgent[1] } : {});
     this.fetchOpts = fetchOpts;
   }
 
-  async fetch(url) {
+  fetch(url, options = {}) {
+    const { interceptor } = this.fetchOpts;
+    const request = { url, method: 'GET', headers: subresourceHeaders(this.fetchOpts.headers), type: resourceType(url, options.element) };
+    // Bloqueado pelas regras: o jsdom nem agenda o recurso
+    if (interceptor && interceptor.decide(request)) return null;
+    return this.load(request, interceptor);
+  }
+
+  async load(request, interceptor) {
+    const send = (url, headers) => retryFetch(url, { ...this.fetchOpts, headers });
     try {
-      const res = await retryFetch(url, this.fetchOpts);
+      const res = interceptor ? await interceptor.handle(request, send) : await send(request.url, request.headers);
+      if (!res) return null;
       const buf = await res.arrayBuffer();
       return Buffer.from(buf);
     } catch (e) {
@@ -54,10 +244,10 @@ class UndiciResourceLoader extends ResourceLoader {
 }
 
 /**
- * Wait for DOM quiescence
+ * Wait for DOM quiescence (an aborted `signal` ends the wait at once)
  */
 function waitForQuiescence(window, opts = {}) {
-  const { timeout = defaultConfig.timeout, quiet = 500 } = opts;
+  const { timeout = defaultConfig.timeout, quiet = 500, signal = null } = opts;
   return new Promise((resolve) => {
     let lastChange = Date.now();
     const obs = new window.MutationObserver(() => { lastChange = Date.now(); });
@@ -65,7 +255,7 @@ function waitForQuiescence(window, opts = {}) {
 
     function check() {
       const now = Date.now();
-      if (now - lastChange >= quiet) { obs.disconnect(); resolve(); }
+      if (now - lastChange >= quiet || (signal && signal.aborted)) { obs.disconnect(); resolve(); }
       else if (now - start >= timeout) { obs.disconnect(); resolve(); }
       else setTimeout(check, 100);
     }
@@ -77,79 +267,278 @@ function waitForQuiescence(window, opts = {}) {
 }
 
 /**
- * Apply common polyfills to jsdom window
+ * Wait until `pending()` reports zero in-flight requests for `idle` ms (or `signal` aborts)
  */
-function applyJsdomPolyfills(window, opts = {}) {
-  const { fetchOpts = {} } = opts;
+async function waitForNetworkIdle(pending, opts = {}) {
+  const { idle = defaultConfig.networkIdleMs, maxWait = defaultConfig.networkMaxWait, signal = null } = opts;
+  const start = Date.now();
+  const count = () => { try { return pending() || 0; } catch(e){ return 0; } };
+  let lastZero = count() === 0 ? Date.now() : 0;
+  while (Date.now() - start < maxWait && !(signal && signal.aborted)) {
+    if (count() === 0) {
+      if (lastZero === 0) lastZero = Date.now();
+      if (Date.now() - lastZero >= idle) return;
+    } else {
+      lastZero = 0;
+    }
+    await new Promise(r => setTimeout(r, 200));
+  }
+}
 
-  if (!window.requestAnimationFrame) window.requestAnimationFrame = (cb) => setTimeout(() => cb(Date.now()), 16);
-  if (!window.cancelAnimationFrame) window.cancelAnimationFrame = (id) => clearTimeout(id);
+const fireXhr = (window, xhr, type) => { try { xhr.dispatchEvent(new window.Event(type)); } catch(e){} };
+const defineXhr = (xhr, props) => Object.entries(props).forEach(([name, value]) => Object.defineProperty(xhr, name, { value, configurable: true }));
 
-  window.scrollTo = function(x, y) {
-    try {
-      if (typeof x === 'object' && x !== null) {
-        y = x.top || x.y || 0;
-      }
-      if (window.document && window.document.documentElement) {
-        try { window.document.documentElement.scrollTop = y || 0; } catch (e) {}
-        try { window.document.body && (window.document.body.scrollTop = y || 0); } catch (e) {}
-      }
-      try { window.dispatchEvent(new window.Event('scroll')); } catch (e) {}
-    } catch (e) {}
-  };
+/**
+ * Finish an XHR with a network error (status 0, error event), like a request blocked by the browser
+ */
+function failXhr(window, xhr) {
+  defineXhr(xhr, { readyState: 4, status: 0, responseText: '', response: null });
+  fireXhr(window, xhr, 'readystatechange');
+  fireXhr(window, xhr, 'error');
+}
 
-  if (!window.IntersectionObserver) window.IntersectionObserver = function(cb){
-    this.observe = (el)=>{ try{ cb([{target:el,isIntersecting:true,intersectionRatio:1}]); }catch(e){} };
-    this.unobserve=()=>{}; this.disconnect=()=>{};
-  };
+/**
+ * XHR send() answered by retryFetch, so --record / --replay and the interception hooks also cover
+ * XMLHttpRequest (jsdom's own XHR implementation goes straight to the network)
+ */
+function sendXhrThroughFetch(window, xhr, body, fetchOpts) {
+  const fire = (type) => fireXhr(window, xhr, type);
+  const define = (props) => defineXhr(xhr, props);
+  try{ window.__incPending(); }catch(e){}
+  const url = new URL(xhr._url, window.location.href).href;
+  const method = String(xhr._method || 'GET').toUpperCase();
+  const init = { ...fetchOpts, method, headers: { ...subresourceHeaders(fetchOpts.headers), ...xhr._headers } };
+  if (body !== undefined && body !== null && method !== 'GET' && method !== 'HEAD') init.body = body;
+  const { interceptor } = fetchOpts;
+  const send = (target, headers) => retryFetch(target, { ...init, headers }, pageRequestPolicy);
+  const request = { url, method, headers: init.headers, type: 'xhr' };
+  // Bloqueado pelas regras ou por um hook: res null, termina como erro de rede
+  Promise.resolve()
+    .then(() => (!interceptor ? send(url, init.headers) : (interceptor.decide(request) ? null : interceptor.handle(request, send))))
+    .then(async (res) => {
+      if (!res) throw new Error(`Blocked by the request rules: ${url}`);
+      const text = await res.text();
+      let response = text;
+      if (xhr.responseType === 'json') { try { response = JSON.parse(text); } catch(e){ response = null; } }
+      define({
+        readyState: 4, status: res.status, statusText: res.statusText, responseURL: url, responseText: text, response,
+        getResponseHeader: (name) => res.headers.get(name),
+        getAllResponseHeaders: () => Array.from(res.headers.entries()).map(([k, v]) => `${k}: ${v}`).join('\r\n')
+      });
+      fire('readystatechange');
+      fire('load');
+    })
+    .catch(() => failXhr(window, xhr))
+    .finally(() => {
+      fire('loadend');
+      try{ window.__decPending(); }catch(e){}
+    });
+}
 
-  if (!window.Image) window.Image = function(){
-    return { set src(v){}, set onload(v){}, set onerror(v){}, set width(v){}, set height(v){} };
-  };
+// Headers que a página não enxerga na resposta (Fetch spec: forbidden response header names)
+const hiddenResponseHeaders = ['set-cookie', 'set-cookie2'];
+const nullBodyStatuses = [101, 103, 204, 205, 304];
 
-  if (!window.localStorage) window.localStorage = (function(){
-    const s={};
-    return {getItem:k=>s[k]||null,setItem:(k,v)=>s[k]=String(v),removeItem:k=>delete s[k],clear:()=>{Object.keys(s).forEach(k=>delete s[k])}};
-  })();
+/**
+ * Headers in any form (object, array of pairs, undici or jsdom Headers) as [[name, value]]
+ */
+function headerPairs(headers) {
+  if (!headers) return [];
+  if (Array.isArray(headers)) return headers.map(([k, v]) => [String(k), String(v)]);
+  if (typeof headers.forEach === 'function') {
+    const pairs = [];
+    headers.forEach((value, key) => pairs.push([key, value]));
+    return pairs;
+  }
+  return Object.entries(headers).map(([k, v]) => [k, String(v)]);
+}
 
-  if (!window.matchMedia) window.matchMedia = (query) => ({
-    matches: false, media: query, onchange: null,
-    addListener: () => {}, removeListener: () => {}, addEventListener: () => {}, removeEventListener: () => {}, dispatchEvent: () => {}
+function readBlob(window, blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(Buffer.from(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
   });
+}
 
-  // Track pending requests
-  window.__pendingRequests = 0;
-  window.__incPending = function(){ window.__pendingRequests = (window.__pendingRequests || 0) + 1; };
-  window.__decPending = function(){ window.__pendingRequests = Math.max(0, (window.__pendingRequests || 1) - 1); };
+/**
+ * Page request body (objects from the jsdom realm) -> body undici accepts, plus its default Content-Type
+ */
+async function windowBody(window, body) {
+  if (body === undefined || body === null) return {};
+  if (typeof body === 'string') return { body, type: 'text/plain;charset=UTF-8' };
+  const tag = Object.prototype.toString.call(body);
+  if (tag === '[object URLSearchParams]') return { body: body.toString(), type: 'application/x-www-form-urlencoded;charset=UTF-8' };
+  if (tag === '[object ArrayBuffer]' || ArrayBuffer.isView(body)) return { body: Buffer.from(ArrayBuffer.isView(body) ? body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength) : body) };
+  if (tag === '[object Blob]' || tag === '[object File]') return { body: await readBlob(window, body), type: body.type || undefined };
+  if (tag === '[object FormData]') {
+    // undici gera o boundary multipart
+    const form = new FormData();
+    for (const [name, value] of body.entries()) {
+      if (typeof value === 'string') form.append(name, value);
+      else form.append(name, new Blob([await readBlob(window, value)], { type: value.type }), value.name);
+    }
+    return { body: form };
+  }
+  return { body: String(body), type: 'text/plain;charset=UTF-8' };
+}
+
+/**
+ * undici Response -> Response handed to page scripts: buffered body, url/redirected preserved,
+ * json() and blob() producing objects of the page realm, Set-Cookie hidden
+ */
+function toWindowResponse(window, res, body, requestUrl) {
+  const headers = headerPairs(res.headers).filter(([name]) => !hiddenResponseHeaders.includes(name.toLowerCase()));
+  const out = new Response(nullBodyStatuses.includes(res.status) ? null : body, { status: res.status, statusText: res.statusText, headers });
+  Object.defineProperties(out, {
+    url: { value: res.url || requestUrl || '' },
+    redirected: { value: !!res.redirected },
+    type: { value: 'basic' },
+    json: { value: async () => window.JSON.parse(await out.text()) },
+    blob: { value: async () => new window.Blob([await out.arrayBuffer()], { type: out.headers.get('content-type') || '' }) },
+    clone: { value: () => toWindowResponse(window, out, body, out.url) }
+  });
+  return out;
+}
+
+/**
+ * window.fetch bridge for jsdom: Request objects and relative URLs, the page's own method/headers/body
+ * (fetchOpts only supplies defaults and the transport), AbortSignal, cookies from/to the jsdom
+ * cookie jar, and real Headers/Response objects. Requests are tracked for network idle.
+ */
+function createWindowFetch(window, opts = {}) {
+  const { fetchOpts = {} } = opts;
+  const cookieJar = opts.cookieJar || fetchOpts.cookieJar || null;
+  // Cookies ficam com a ponte (respeitando `credentials`), não com o retryFetch
+  const { headers: runHeaders, cookieJar: _jar, interceptor, device, ...transport } = fetchOpts;
+  // Com cache em disco ou --record / --replay tudo passa pelo retryFetch (sem retentativas), senão networkFetch (rate limit e proxy)
+  const _origFetch = fetchOpts.har || fetchOpts.httpCache ? (u, o) => retryFetch(u, o, pageRequestPolicy) : networkFetch;
+  const abortError = (reason) => (reason !== undefined ? reason : new window.DOMException('The operation was aborted.', 'AbortError'));
+
+  return async function(input, init = {}) {
+    init = init || {};
+    const request = input && typeof input === 'object' && typeof input.url === 'string' && typeof input.method === 'string' ? input : null;
+    const url = new URL(request ? request.url : String(input), window.location.href).href;
+    const method = String(init.method || (request && request.method) || 'GET').toUpperCase();
+    const signal = init.signal || (request && request.signal) || null;
+    if (signal && signal.aborted) throw abortError(signal.reason);
+
+    // Defaults da execução (User-Agent...) < headers do Request < headers do init
+    const headers = new Headers(headerPairs(subresourceHeaders(runHeaders)));
+    if (request) headerPairs(request.headers).forEach(([k, v]) => headers.set(k, v));
+    headerPairs(init.headers).forEach(([k, v]) => headers.set(k, v));
+
+    let { body, type } = await windowBody(window, init.body);
+    if (body === undefined && request && request.body) body = Buffer.from(await request.arrayBuffer());
+    if (type && !headers.has('content-type')) headers.set('content-type', type);
+    if (method === 'GET' || method === 'HEAD') body = undefined;
+
+    // Cookies: same-origin por padrão, cross-origin só com credentials: 'include'
+    const credentials = init.credentials || (request && request.credentials) || 'same-origin';
+    const sameOrigin = new URL(url).origin === window.location.origin;
+    const withCookies = credentials === 'include' || (credentials === 'same-origin' && sameOrigin);
+    if (withCookies && !headers.has('cookie')) {
+      let cookie = '';
+      try { cookie = cookieJar ? cookieJar.getCookieStringSync(url) : (sameOrigin ? window.document.cookie : ''); } catch(e){}
+      if (cookie) headers.set('cookie', cookie);
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+    // Scrape abortado (fetchOpts.signal): cancela também as requisições da página
+    if (transport.signal) transport.signal.addEventListener('abort', onAbort);
 
-  const _origFetch = fetch;
-  window.fetch = async function(input, init){
     try{ window.__incPending(); }catch(e){}
     try {
-      // Resolve relative URLs against the JSDOM URL
-      const resolvedInput = (typeof input === 'string' && input.startsWith('/')) ? new URL(input, window.location.href).href : input;
-      const r = await _origFetch(resolvedInput, { ...init, ...fetchOpts });
-      const b = await r.arrayBuffer();
-      const body = Buffer.from(b);
-      return {
-        ok: r.status>=200&&r.status<300, status: r.status,
-        text: async ()=>body.toString('utf8'),
-        json: async ()=>JSON.parse(body.toString('utf8')),
-        arrayBuffer: async ()=>b, headers: {}
+      const fetchInit = {
+        ...transport,
+        method,
+        headers: Object.fromEntries(headers.entries()),
+        body,
+        redirect: init.redirect || (request && request.redirect) || 'follow',
+        signal: controller.signal
       };
+      // Regras de interceptação (ver intercept.js): bloqueio vira "Failed to fetch", como num bloqueador de anúncios
+      const intercepted = { url, method, headers: fetchInit.headers, type: 'fetch' };
+      if (interceptor && interceptor.decide(intercepted)) throw new Error('blocked by the request rules');
+      const res = interceptor
+        ? await interceptor.handle(intercepted, (target, h) => _origFetch(target, { ...fetchInit, headers: h }))
+        : await _origFetch(url, fetchInit);
+      if (!res) throw new Error('blocked by the request rules');
+      if (withCookies && typeof res.headers.getSetCookie === 'function') {
+        for (const c of res.headers.getSetCookie()) {
+          try { if (cookieJar) cookieJar.setCookieSync(c, url, { ignoreError: true }); else if (sameOrigin) window.document.cookie = c; } catch(e){}
+        }
+      }
+      const buffer = Buffer.from(await res.arrayBuffer());
+      return toWindowResponse(window, res, buffer, url);
+    } catch (e) {
+      if (signal && signal.aborted) throw abortError(signal.reason);
+      throw new window.TypeError(`Failed to fetch ${url}: ${e && e.message ? e.message : e}`);
     } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (transport.signal) transport.signal.removeEventListener('abort', onAbort);
       try{ window.__decPending(); }catch(e){}
     }
   };
+}
+
+/**
+ * Apply common polyfills to jsdom window: the device and Web APIs (see environment.js), then the
+ * fetch()/XHR bridges. opts: fetchOpts (fetchOpts.device is the run's device), cookieJar, diagnose.
+ */
+function applyJsdomPolyfills(window, opts = {}) {
+  const { fetchOpts = {}, cookieJar = null, diagnose = false } = opts;
+
+  installEnvironment(window, fetchOpts.device || createDevice(), { diagnose, headers: fetchOpts.headers });
+
+  // Track pending requests
+  window.__pendingRequests = 0;
+  window.__incPending = function(){ window.__pendingRequests = (window.__pendingRequests || 0) + 1; };
+  window.__decPending = function(){ window.__pendingRequests = Math.max(0, (window.__pendingRequests || 1) - 1); };
+
+  window.fetch = createWindowFetch(window, { fetchOpts, cookieJar });
+  if (!window.Request) {
+    // Request da página: URL relativa resolvida contra o documento
+    window.Request = class extends Request {
+      constructor(input, init) { super(typeof input === 'string' ? new URL(input, window.location.href).href : input, init); }
+    };
+  }
+  if (!window.Response) window.Response = Response;
+  if (!window.Headers) window.Headers = Headers;
 
   // Track XHR
   try {
     const proto = window.XMLHttpRequest && window.XMLHttpRequest.prototype;
     if (proto) {
       const _open = proto.open;
-      proto.open = function(m,u){ this._url=u; return _open.apply(this, arguments); };
-      const _send = proto.send;
-      proto.send = function(){ try{ window.__incPending(); }catch(e){} const onreadystatechange = this.onreadystatechange; this.onreadystatechange = function(){ try{ if(this.readyState===4){ try{ window.__decPending(); }catch(e){} } }catch(e){} if(onreadystatechange) return onreadystatechange.apply(this, arguments); }; return _send.apply(this, arguments); };
+      proto.open = function(m,u){ this._method=m; this._url=u; return _open.apply(this, arguments); };
+      // Cache, HAR, proxies, rate limit e hooks de interceptação valem também para XHR: send() passa pelo retryFetch
+      const { interceptor } = fetchOpts;
+      if (fetchOpts.har || fetchOpts.httpCache || fetchOpts.proxyPool || fetchOpts.rateLimiter || (interceptor && interceptor.hasHooks)) {
+        const _setRequestHeader = proto.setRequestHeader;
+        proto.setRequestHeader = function(name, value){ (this._headers = this._headers || {})[name] = value; return _setRequestHeader.apply(this, arguments); };
+        proto.send = function(body){ sendXhrThroughFetch(window, this, body, fetchOpts); };
+      } else {
+        const _send = proto.send;
+        proto.send = function(){
+          // Só as regras de bloqueio: XHR bloqueado termina em erro, sem ir à rede
+          if (interceptor) {
+            let url = String(this._url);
+            try { url = new URL(this._url, window.location.href).href; } catch(e){}
+            if (interceptor.decide({ url, method: String(this._method || 'GET').toUpperCase(), type: 'xhr' })) {
+              setTimeout(() => { failXhr(window, this); fireXhr(window, this, 'loadend'); }, 0);
+              return;
+            }
+          }
+          try{ window.__incPending(); }catch(e){}
+          const onreadystatechange = this.onreadystatechange;
+          this.onreadystatechange = function(){ try{ if(this.readyState===4){ try{ window.__decPending(); }catch(e){} } }catch(e){} if(onreadystatechange) return onreadystatechange.apply(this, arguments); };
+          return _send.apply(this, arguments);
+        };
+      }
     }
   } catch(e){}
 
@@ -162,52 +551,41 @@ function applyJsdomPolyfills(window, opts = {}) {
       return;
     }
   };
+}
 
-  // Polyfill MessageChannel / MessagePort for scripts that expect it (e.g. clarity.js)
+/**
+ * jsdom cookie jar seeded with the Set-Cookie headers of the document response
+ */
+function cookieJarFromResponse(res, url) {
+  const jar = new CookieJar();
   try {
-    if (typeof window.MessageChannel === 'undefined') {
-      function MessagePort() {}
-      MessagePort.prototype.postMessage = function(msg) {
-        // asynchronous dispatch to mimic real MessagePort
-        setTimeout(() => {
-          try {
-            if (typeof this.onmessage === 'function') this.onmessage({ data: msg });
-          } catch (e) {}
-        }, 0);
-      };
-      MessagePort.prototype.start = function() {};
-
-      function MessageChannel() {
-        this.port1 = new MessagePort();
-        this.port2 = new MessagePort();
-        const p1 = this.port1, p2 = this.port2;
-        p1.postMessage = function(msg) { setTimeout(() => { try { if (typeof p2.onmessage === 'function') p2.onmessage({ data: msg }); } catch (e) {} }, 0); };
-        p2.postMessage = function(msg) { setTimeout(() => { try { if (typeof p1.onmessage === 'function') p1.onmessage({ data: msg }); } catch (e) {} }, 0); };
-      }
-
-      window.MessageChannel = MessageChannel;
-      window.MessagePort = MessagePort;
-    }
-  } catch (e) {}
+    if (typeof res.headers.getSetCookie === 'function') res.headers.getSetCookie().forEach(c => jar.setCookieSync(c, url, { ignoreError: true }));
+  } catch(e){}
+  return jar;
 }
 
 /**
- * Simple fetch with retry
+ * Simple fetch with retry (`timeout` bounds each attempt, body included)
  */
 async function simpleFetch(url, timeout = defaultConfig.timeout, opts = {}) {
-  const res = await retryFetch(url, { keepalive: false, bodyTimeout: timeout, headers: defaultHeaders, ...opts });
+  const res = await retryFetch(url, { keepalive: false, headers: defaultHeaders, ...opts }, { attemptTimeout: timeout });
   return await res.text();
 }
 
 module.exports = {
   retryFetch,
+  networkFetch,
   UndiciResourceLoader,
   waitForQuiescence,
+  waitForNetworkIdle,
   applyJsdomPolyfills,
+  createWindowFetch,
+  cookieJarFromResponse,
   simpleFetch,
   defaultHeaders,
   defaultConfig,
   JSDOM: JSDOM,
   ResourceLoader: ResourceLoader,
-  VirtualConsole: VirtualConsole
+  VirtualConsole: VirtualConsole,
+  CookieJar: CookieJar
 };
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runBatch, readJobs, readFinishedIds } = require('../src/batch');
+
+const fixture = path.join(__dirname, 'fixtures', 'loja.har');
+const url = 'http://127.0.0.1:8799/estoque';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-batch-test-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const writeLines = (file, rows) => fs.writeFileSync(file, rows.map(r => (typeof r === 'string' ? r : JSON.stringify(r))).join('\n') + '\n');
+
+test('readJobs reports bad lines as failed jobs', () => {
+  const jobs = path.join(root, 'jobs-ruins.jsonl');
+  writeLines(jobs, [{ id: 'a', url, term: 'renegade' }, '{ quebrado', { id: 'b', term: 'x' }, '', { url, maxLinks: 'dez' }]);
+  const parsed = readJobs(jobs);
+  assert.deepEqual(parsed.map(j => j.id), ['a', 'line-2', 'b', 'line-5']);
+  assert.equal(parsed[0].options.term, 'renegade');
+  assert.match(parsed[1].error, /^Invalid JSON/);
+  assert.equal(parsed[2].error, 'missing "url"');
+  assert.ok(parsed[3].error);
+});
+
+test('a resumed batch skips successful jobs and retries the failed ones', async () => {
+  const jobs = path.join(root, 'jobs.jsonl');
+  const out = path.join(root, 'results.jsonl');
+  writeLines(jobs, [
+    { id: 'feito', url, term: 'renegade' },
+    { id: 'falhou', url, term: 'renegade' },
+    { id: 'novo', url, term: 'renegade', detalhe: ['2021'] },
+    { id: 'sem-termo', url }
+  ]);
+  // Execução anterior interrompida: um sucesso, uma falha (linha truncada no fim)
+  fs.writeFileSync(out, [
+    JSON.stringify({ id: 'feito', url, ok: true, tier: 'jsdom', records: [] }),
+    JSON.stringify({ id: 'falhou', url, ok: false, error: 'ECONNRESET' }),
+    '{"id": "novo", "ok": tr'
+  ].join('\n') + '\n');
+  assert.deepEqual([...readFinishedIds(out)], ['feito']);
+
+  const summary = await runBatch(jobs, out, { hostDelay: 0, defaults: { replay: fixture, renderLinks: false } });
+  assert.deepEqual(summary, { total: 4, skipped: 1, ok: 2, failed: 1 });
+
+  const added = fs.readFileSync(out, 'utf8').trim().split('\n').slice(3).map(line => JSON.parse(line));
+  const byId = Object.fromEntries(added.map(r => [r.id, r]));
+  assert.deepEqual(Object.keys(byId).sort(), ['falhou', 'novo', 'sem-termo']);
+  assert.equal(byId.falhou.ok, true);
+  assert.equal(byId.novo.ok, true);
+  assert.equal(byId['sem-termo'].ok, false);
+  assert.match(byId['sem-termo'].error, /missing "term"/);
+  assert.deepEqual([...readFinishedIds(out)].sort(), ['falhou', 'feito', 'novo']);
+
+  // Rodar de novo só repete o job que continua falhando
+  const again = await runBatch(jobs, out, { hostDelay: 0, defaults: { replay: fixture, renderLinks: false } });
+  assert.deepEqual(again, { total: 4, skipped: 3, ok: 0, failed: 1 });
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { HttpCache, freshnessLifetime, parseCacheControl } = require('../src/cache');
+const { retryFetch } = require('../src/utils');
+const { openCookieJar } = require('../src/cookies');
+
+// Servidor local: /etag revalida com If-None-Match, /fresh tem max-age, /old redireciona (302) para /fresh,
+// /private é no-store e /lang varia com o Accept-Language
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+    if (req.url === '/etag') {
+      if (req.headers['if-none-match'] === '"v1"') { res.writeHead(304, { etag: '"v1"', 'x-served': 'again' }); return res.end(); }
+      res.writeHead(200, { 'content-type': 'text/plain', etag: '"v1"', 'cache-control': 'no-cache' });
+      return res.end('versão 1');
+    }
+    if (req.url === '/fresh') { res.writeHead(200, { 'content-type': 'text/plain', 'cache-control': 'max-age=600' }); return res.end('fresco'); }
+    if (req.url === '/old') { res.writeHead(302, { location: '/fresh' }); return res.end(); }
+    if (req.url === '/private') { res.writeHead(200, { 'content-type': 'text/plain', 'cache-control': 'no-store' }); return res.end('segredo'); }
+    if (req.url === '/lang') {
+      res.writeHead(200, { 'content-type': 'text/plain', 'cache-control': 'max-age=600', vary: 'Accept-Language' });
+      return res.end(String(req.headers['accept-language']).startsWith('pt') ? 'olá' : 'hello');
+    }
+    res.writeHead(404); res.end();
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-cache-test-'));
+const tempDir = () => fs.mkdtempSync(path.join(root, 'cache-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('freshness from Cache-Control, Expires and Last-Modified', () => {
+  assert.deepEqual(parseCacheControl('public, max-age=60, no-transform'), { public: true, 'max-age': 60, 'no-transform': true });
+  assert.equal(freshnessLifetime({ 'cache-control': 'max-age=60', age: '10' }), 50000);
+  assert.equal(freshnessLifetime({ 'cache-control': 'no-cache, max-age=60' }), 0);
+  assert.equal(freshnessLifetime({ date: 'Mon, 01 Jan 2024 00:00:00 GMT', expires: 'Mon, 01 Jan 2024 00:05:00 GMT' }), 300000);
+  assert.equal(freshnessLifetime({ date: 'Mon, 01 Jan 2024 00:00:00 GMT', 'last-modified': 'Sun, 31 Dec 2023 23:00:00 GMT' }), 360000);
+  assert.equal(freshnessLifetime({}), 0);
+});
+
+test('a stale entry is revalidated with If-None-Match and a 304 serves the stored body', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const cache = new HttpCache({ dir: tempDir() });
+
+  const first = await retryFetch(`${base}/etag`, { httpCache: cache });
+  assert.equal(first.headers.get('x-scrape-cache'), 'miss');
+  assert.equal(await first.text(), 'versão 1');
+
+  const second = await retryFetch(`${base}/etag`, { httpCache: cache });
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('x-scrape-cache'), 'revalidated');
+  assert.equal(second.headers.get('x-served'), 'again');
+  assert.equal(await second.text(), 'versão 1');
+  assert.deepEqual(requests.map(r => r.ifNoneMatch), [null, '"v1"']);
+  assert.deepEqual(cache.stats, { hits: 0, revalidated: 1, misses: 1, stored: 1 });
+});
+
+test('a fresh entry is served without a request; --cache-ttl overrides the headers', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const dir = tempDir();
+  const cache = new HttpCache({ dir });
+  await (await retryFetch(`${base}/fresh`, { httpCache: cache })).text();
+  const hit = await retryFetch(`${base}/fresh`, { httpCache: cache });
+  assert.equal(hit.headers.get('x-scrape-cache'), 'hit');
+  assert.equal(requests.length, 1);
+
+  // ttl 0: sempre vencido, volta à rede
+  await (await retryFetch(`${base}/fresh`, { httpCache: new HttpCache({ dir, ttl: 0 }) })).text();
+  assert.equal(requests.length, 2);
+});
+
+test('offline mode replays redirect hops and never touches the network', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const dir = tempDir();
+  // Com cookie jar os redirects são seguidos salto a salto (cada um passa pelo cache)
+  const online = await retryFetch(`${base}/old`, { httpCache: new HttpCache({ dir }), cookieJar: openCookieJar() });
+  assert.equal(await online.text(), 'fresco');
+  assert.equal(requests.length, 2);
+
+  const offline = new HttpCache({ dir, offline: true });
+  const replayed = await retryFetch(`${base}/old`, { httpCache: offline, cookieJar: openCookieJar() });
+  assert.equal(await replayed.text(), 'fresco');
+  await assert.rejects(retryFetch(`${base}/etag`, { httpCache: offline }), /Not in cache \(offline mode\)/);
+  await assert.rejects(retryFetch(`${base}/fresh`, { httpCache: offline, method: 'POST', body: 'x' }), /Not in cache \(offline mode\): POST/);
+  assert.equal(requests.length, 2);
+
+  // Online, o 302 gravado não é reaproveitado
+  await (await retryFetch(`${base}/old`, { httpCache: new HttpCache({ dir }), cookieJar: openCookieJar() })).text();
+  assert.deepEqual(requests.slice(2).map(r => r.url), ['/old']);
+});
+
+test('no-store responses are never written, and no-store beats --cache-ttl', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const dir = tempDir();
+  const cache = new HttpCache({ dir, ttl: 60000 });
+  assert.equal(await (await retryFetch(`${base}/private`, { httpCache: cache })).text(), 'segredo');
+  assert.equal(await (await retryFetch(`${base}/private`, { httpCache: cache })).text(), 'segredo');
+  assert.equal(requests.length, 2);
+  assert.equal(cache.stats.stored, 0);
+  await assert.rejects(retryFetch(`${base}/private`, { httpCache: new HttpCache({ dir, offline: true }) }), /Not in cache/);
+
+  // Entrada no-store gravada por uma versão antiga: nunca fresca
+  assert.equal(cache.isFresh({ status: 200, headers: { 'cache-control': 'no-store' }, storedAt: Date.now() }), false);
+});
+
+test('Vary keys the entry by the listed request headers', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const dir = tempDir();
+  const cache = new HttpCache({ dir });
+  const get = (lang, httpCache = cache) => retryFetch(`${base}/lang`, { httpCache, headers: { 'Accept-Language': lang } });
+
+  assert.equal(await (await get('pt-BR')).text(), 'olá');
+  assert.equal(await (await get('en-US')).text(), 'hello');
+  assert.equal(requests.length, 2);
+  const hit = await get('pt-BR');
+  assert.equal(hit.headers.get('x-scrape-cache'), 'hit');
+  assert.equal(await hit.text(), 'olá');
+  assert.equal(requests.length, 2);
+
+  const offline = new HttpCache({ dir, offline: true });
+  assert.equal(await (await get('en-US', offline)).text(), 'hello');
+  await assert.rejects(get('es', offline), /Not in cache \(offline mode\)/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeUrl, compileUrlPattern, parseRobots, robotsPolicy } = require('../src/crawler');
+
+const robots = `
+User-agent: *
+Disallow: /admin
+Allow: /admin/publico
+Disallow: /*.pdf$
+Disallow: /busca?
+Allow: /busca?q=
+Crawl-delay: 2
+
+# grupo próprio: só ele vale para o bot
+User-agent: LojaBot
+User-agent: OutroBot
+Disallow: /estoque
+Disallow:
+Crawl-delay: 0.5
+`;
+
+test('parseRobots groups consecutive user-agents and drops empty Disallow', () => {
+  const groups = parseRobots(robots);
+  assert.deepEqual(groups.map(g => g.agents), [['*'], ['lojabot', 'outrobot']]);
+  assert.deepEqual(groups[1].rules, [{ allow: false, path: '/estoque' }]);
+  assert.deepEqual(groups.map(g => g.crawlDelay), [2, 0.5]);
+});
+
+test('robotsPolicy: longest matching rule wins, Allow breaks ties', () => {
+  const policy = robotsPolicy(robots, 'Mozilla/5.0');
+  const cases = [
+    ['/', true],
+    ['/admin', false],
+    ['/admin/config', false],
+    ['/admin/publico/lista', true],
+    ['/manual.pdf', false],
+    ['/manual.pdf?v=2', true],
+    ['/busca?cor=azul', false],
+    ['/busca?q=renegade', true],
+    ['/estoque', true]
+  ];
+  for (const [path, allowed] of cases) assert.equal(policy.isAllowed(`https://loja.example${path}`), allowed, path);
+  assert.equal(policy.crawlDelay, 2);
+
+  // Mesmo tamanho: Allow ganha
+  const tie = robotsPolicy('User-agent: *\nDisallow: /a\nAllow: /a\n');
+  assert.equal(tie.isAllowed('https://x.example/a'), true);
+});
+
+test('robotsPolicy picks the group naming the user agent, else *', () => {
+  const bot = robotsPolicy(robots, 'Mozilla/5.0 (compatible; LojaBot/1.0)');
+  assert.equal(bot.isAllowed('https://loja.example/estoque/1'), false);
+  assert.equal(bot.isAllowed('https://loja.example/admin'), true);
+  assert.equal(bot.crawlDelay, 0.5);
+
+  const empty = robotsPolicy('', 'LojaBot');
+  assert.equal(empty.isAllowed('https://loja.example/admin'), true);
+  assert.equal(empty.crawlDelay, null);
+});
+
+test('canonicalizeUrl drops fragments, tracking params and default ports and sorts the query', () => {
+  const cases = [
+    ['https://Loja.Example/estoque#topo', 'https://loja.example/estoque'],
+    ['https://loja.example:443/a?b=2&a=1', 'https://loja.example/a?a=1&b=2'],
+    ['http://loja.example:80/a', 'http://loja.example/a'],
+    ['http://loja.example:8080/a', 'http://loja.example:8080/a'],
+    ['https://loja.example/a?utm_source=x&id=3&gclid=y&fbclid=z', 'https://loja.example/a?id=3'],
+    ['https://loja.example/a?tag=b&tag=a', 'https://loja.example/a?tag=a&tag=b'],
+    ['https://loja.example/a?utm_medium=x', 'https://loja.example/a']
+  ];
+  for (const [input, expected] of cases) assert.equal(canonicalizeUrl(input), expected, input);
+});
+
+test('compileUrlPattern accepts globs and /regex/', () => {
+  assert.ok(compileUrlPattern('*/blog/*').test('https://loja.example/blog/post'));
+  assert.ok(!compileUrlPattern('*/blog/*').test('https://loja.example/estoque'));
+  assert.ok(compileUrlPattern('https://loja.example/carro-?').test('https://loja.example/carro-1'));
+  assert.ok(compileUrlPattern('/\\/(estoque|carro)\\//').test('https://loja.example/carro/1'));
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { createDevice, installEnvironment, mediaMatches, cloneInto } = require('../src/environment');
+
+const openWindow = (url, device) => {
+  const { window } = new JSDOM('<!doctype html><html><body></body></html>', { url, runScripts: 'outside-only' });
+  installEnvironment(window, device);
+  return window;
+};
+
+test('mediaMatches: features, ranges, lists, not and only', () => {
+  const desktop = createDevice();
+  const mobile = createDevice({ device: 'mobile' });
+  const cases = [
+    ['screen and (min-width: 1024px)', true, false],
+    ['(max-width: 48em)', false, true],
+    ['(width >= 768px)', true, false],
+    ['(width < 400px)', false, true],
+    ['(height = 844px)', false, true],
+    ['(orientation: portrait)', false, true],
+    ['(min-resolution: 2dppx)', false, true],
+    ['(-webkit-min-device-pixel-ratio: 1.5)', false, true],
+    ['(hover: hover) and (pointer: fine)', true, false],
+    ['(pointer: coarse)', false, true],
+    ['not all and (pointer: coarse)', true, false],
+    ['not screen and (max-width: 600px)', true, false],
+    ['only screen and (max-width: 600px)', false, true],
+    ['print', false, false],
+    ['print, (max-width: 600px)', false, true],
+    ['(prefers-color-scheme: dark)', false, false],
+    ['(unknown-feature: 1)', false, false]
+  ];
+  for (const [query, onDesktop, onMobile] of cases) {
+    assert.equal(mediaMatches(query, desktop), onDesktop, `desktop: ${query}`);
+    assert.equal(mediaMatches(query, mobile), onMobile, `mobile: ${query}`);
+  }
+});
+
+test('cloneInto copies into the window realm, keeping cycles, Map and Set', () => {
+  const window = openWindow('https://loja.example/');
+  const source = { nome: 'Renegade', quando: new Date(0), tags: new Set(['suv']), precos: new Map([['pix', 98900]]), bytes: new Uint8Array([1, 2]) };
+  source.self = source;
+  source.lista = [source.tags];
+  const copy = cloneInto(window, source);
+  assert.notEqual(copy, source);
+  assert.equal(copy.self, copy);
+  assert.equal(copy.lista[0], copy.tags);
+  assert.ok(copy instanceof window.Object);
+  assert.ok(copy.quando instanceof window.Date);
+  assert.equal(copy.quando.getTime(), 0);
+  assert.ok(copy.tags instanceof window.Set && copy.tags.has('suv'));
+  assert.ok(copy.precos instanceof window.Map);
+  assert.equal(copy.precos.get('pix'), 98900);
+  assert.deepEqual(Array.from(copy.bytes), [1, 2]);
+  source.tags.add('4x4');
+  assert.equal(copy.tags.size, 1);
+});
+
+test('cloneInto throws DataCloneError on functions and DOM nodes', () => {
+  const window = openWindow('https://loja.example/');
+  for (const value of [() => 1, { callback() {} }, [Symbol('x')], window.document.body]) {
+    assert.throws(() => cloneInto(window, value), (e) => e instanceof window.DOMException && e.name === 'DataCloneError');
+  }
+  assert.throws(() => window.structuredClone({ f: () => 1 }), { name: 'DataCloneError' });
+});
+
+test('localStorage is shared per origin by the windows of a device; sessionStorage is not', () => {
+  const device = createDevice();
+  const page = openWindow('https://loja.example/estoque', device);
+  const link = openWindow('https://loja.example/carro/1', device);
+  const other = openWindow('https://outra.example/', device);
+  page.localStorage.setItem('cep', '01310-100');
+  page.sessionStorage.setItem('aba', '1');
+  assert.equal(link.localStorage.getItem('cep'), '01310-100');
+  assert.equal(link.localStorage.cep, '01310-100');
+  assert.equal(link.sessionStorage.getItem('aba'), null);
+  assert.equal(other.localStorage.getItem('cep'), null);
+
+  link.localStorage.carrinho = 3;
+  assert.equal(page.localStorage.getItem('carrinho'), '3');
+  assert.deepEqual(Object.keys(page.localStorage).sort(), ['carrinho', 'cep']);
+  delete page.localStorage.cep;
+  assert.equal(link.localStorage.length, 1);
+  assert.equal(link.localStorage.key(0), 'carrinho');
+
+  // Outro device (outra execução) começa vazio
+  assert.equal(openWindow('https://loja.example/', createDevice()).localStorage.length, 0);
+});
+
+test('getTimezoneOffset follows the configured timezone, DST included', () => {
+  const offset = (timezone, iso) => {
+    const window = openWindow('https://loja.example/', createDevice({ timezone }));
+    return new window.Date(iso).getTimezoneOffset();
+  };
+  assert.equal(offset('America/Sao_Paulo', '2024-01-15T12:00:00Z'), 180);
+  assert.equal(offset('Asia/Kolkata', '2024-01-15T12:00:00Z'), -330);
+  assert.equal(offset('America/New_York', '2024-01-15T12:00:00Z'), 300);
+  assert.equal(offset('America/New_York', '2024-07-15T12:00:00Z'), 240);
+  assert.equal(offset('UTC', '2024-07-15T12:00:00Z'), 0);
+  const window = openWindow('https://loja.example/', createDevice({ timezone: 'Asia/Tokyo' }));
+  assert.ok(Number.isNaN(new window.Date(NaN).getTimezoneOffset()));
+  assert.match(new window.Date('2024-01-15T12:00:00Z').toLocaleString('en-US'), /9:00:00 PM/);
+});
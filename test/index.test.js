@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+test('the package entry point is the API, not the CLI', () => {
+  assert.equal(require.resolve('..'), path.join(__dirname, '..', 'src', 'index.js'));
+  const api = require('..');
+  for (const name of ['scrape', 'crawl', 'formatResult', 'extractWithSchema', 'RequestInterceptor']) {
+    assert.equal(typeof api[name], 'function', name);
+  }
+});
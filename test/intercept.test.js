@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Response } = require('undici');
+const { RequestInterceptor, trackerMatch, resourceType } = require('../src/intercept');
+
+// send() de mentira: registra o que iria para a rede
+function fakeSend(body = 'original', init = { status: 200, headers: { 'content-type': 'text/plain' } }) {
+  const calls = [];
+  const send = async (url, headers) => {
+    calls.push({ url, headers });
+    return new Response(body, init);
+  };
+  return { calls, send };
+}
+
+const request = (url, type = 'script') => ({ url, method: 'GET', headers: { accept: '*/*' }, type });
+
+test('trackerMatch: host, subdomains and host + path prefix', () => {
+  const cases = [
+    ['https://www.google-analytics.com/analytics.js', 'google-analytics.com'],
+    ['https://GOOGLETAGMANAGER.com/gtm.js?id=1', 'googletagmanager.com'],
+    ['https://static.hotjar.com/c/hotjar.js', 'hotjar.com'],
+    ['https://www.facebook.com/tr?id=1', 'facebook.com/tr'],
+    ['https://www.facebook.com/loja', null],
+    ['https://notgoogle-analytics.com/x.js', null],
+    ['https://loja.example/analytics.js', null],
+    ['não é url', null]
+  ];
+  for (const [url, expected] of cases) assert.equal(trackerMatch(url), expected, url);
+});
+
+test('resourceType from the element, then the extension', () => {
+  const el = (tagName, attrs = {}) => ({ tagName, getAttribute: (n) => attrs[n] || null });
+  assert.equal(resourceType('https://x.example/a', el('script')), 'script');
+  assert.equal(resourceType('https://x.example/a', el('LINK', { rel: 'stylesheet' })), 'stylesheet');
+  assert.equal(resourceType('https://x.example/a', el('LINK', { rel: 'preload', as: 'font' })), 'font');
+  assert.equal(resourceType('https://x.example/fonte.woff2'), 'font');
+  assert.equal(resourceType('https://x.example/foto.JPG?w=200'), 'image');
+  assert.equal(resourceType('https://x.example/api/dados'), 'other');
+});
+
+test('check order: allow, then block, then resource types, then trackers', () => {
+  const interceptor = new RequestInterceptor({
+    allow: ['*/gtm.js*'],
+    block: ['*/ads/*', '/\\.map$/'],
+    blockTypes: 'font, image'
+  });
+  const cases = [
+    ['https://www.googletagmanager.com/gtm.js?id=1', 'script', null],
+    ['https://www.googletagmanager.com/ns.html', 'document', 'tracker googletagmanager.com'],
+    ['https://loja.example/ads/banner.png', 'image', 'block */ads/*'],
+    ['https://loja.example/app.js.map', 'other', 'block /\\.map$/'],
+    ['https://loja.example/logo.png', 'image', 'type image'],
+    ['https://hotjar.com/font.woff', 'font', 'type font'],
+    ['https://loja.example/app.js', 'script', null]
+  ];
+  for (const [url, type, expected] of cases) assert.equal(interceptor.check(url, type), expected, url);
+
+  // blockTrackers: false em qualquer conjunto desliga a lista
+  const open = new RequestInterceptor([{}, { blockTrackers: false }]);
+  assert.equal(open.check('https://www.google-analytics.com/analytics.js', 'script'), null);
+  assert.throws(() => new RequestInterceptor({ blockTypes: ['video'] }), /Unknown resource type "video"/);
+});
+
+test('decide() counts and groups the blocked requests', () => {
+  const interceptor = new RequestInterceptor({ block: ['*/ads/*'] });
+  assert.equal(interceptor.decide(request('https://loja.example/app.js')), null);
+  interceptor.decide(request('https://loja.example/ads/a.js'));
+  interceptor.decide(request('https://connect.facebook.net/sdk.js'));
+  assert.deepEqual(interceptor.stats(), { blocked: 2, stubbed: 0, rewritten: 0, replaced: 0, reasons: { block: 1, tracker: 1 } });
+});
+
+test('onRequest stubs a response without touching the network', async () => {
+  const { calls, send } = fakeSend();
+  const interceptor = new RequestInterceptor({
+    onRequest: (req) => (req.url.endsWith('/api/estoque') ? { respond: { status: 201, body: { itens: [1, 2] } } } : undefined)
+  });
+  const res = await interceptor.handle(request('https://loja.example/api/estoque', 'fetch'), send);
+  assert.equal(res.status, 201);
+  assert.equal(res.url, 'https://loja.example/api/estoque');
+  assert.equal(res.headers.get('content-type'), 'application/json');
+  assert.deepEqual(await res.json(), { itens: [1, 2] });
+  assert.equal(calls.length, 0);
+  assert.equal(interceptor.stats().stubbed, 1);
+});
+
+test('onRequest rewrites the URL and merges headers; false blocks', async () => {
+  const { calls, send } = fakeSend();
+  const interceptor = new RequestInterceptor({
+    onRequest: [
+      (req) => (req.url.includes('/v1/') ? { url: req.url.replace('/v1/', '/v2/') } : undefined),
+      () => ({ headers: { 'x-teste': '1' } }),
+      (req) => !req.url.endsWith('/proibido')
+    ]
+  });
+  const res = await interceptor.handle(request('https://loja.example/v1/dados', 'fetch'), send);
+  assert.equal(await res.text(), 'original');
+  assert.deepEqual(calls, [{ url: 'https://loja.example/v2/dados', headers: { accept: '*/*', 'x-teste': '1' } }]);
+
+  assert.equal(await interceptor.handle(request('https://loja.example/proibido', 'fetch'), send), null);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(interceptor.stats(), { blocked: 1, stubbed: 0, rewritten: 1, replaced: 0, reasons: { onRequest: 1 } });
+});
+
+test('a URL rewritten by onRequest is checked against the rules again', async () => {
+  const { calls, send } = fakeSend();
+  const interceptor = new RequestInterceptor({
+    block: ['*/bloqueado/*'],
+    onRequest: (req) => ({ url: req.url.replace('/livre/', '/bloqueado/') })
+  });
+  assert.equal(await interceptor.handle(request('https://loja.example/livre/app.js'), send), null);
+  assert.equal(await interceptor.handle(request('https://www.google-analytics.com/livre/x', 'other'), send), null);
+  assert.equal(calls.length, 0);
+  assert.deepEqual(interceptor.stats().reasons, { block: 2 });
+
+  // Rewrite para um tracker também bloqueia
+  const toTracker = new RequestInterceptor({ onRequest: () => ({ url: 'https://www.google-analytics.com/collect' }) });
+  assert.equal(await toTracker.handle(request('https://loja.example/metricas', 'fetch'), send), null);
+  assert.deepEqual(toTracker.stats().reasons, { tracker: 1 });
+  assert.equal(calls.length, 0);
+});
+
+test('onResponse replaces status, headers and body', async () => {
+  const { send } = fakeSend('{"preco": 1}', { status: 200, headers: { 'content-type': 'application/json', 'x-origem': 'rede' } });
+  const seen = [];
+  const interceptor = new RequestInterceptor({
+    onResponse: [
+      (req, res) => { seen.push([req.url, res.status, res.body.toString()]); },
+      (req, res) => ({ body: res.body.toString().replace('1', '2') }),
+      () => ({ status: 203 })
+    ]
+  });
+  const res = await interceptor.handle(request('https://loja.example/api', 'fetch'), send);
+  assert.deepEqual(seen, [['https://loja.example/api', 200, '{"preco": 1}']]);
+  assert.equal(res.status, 203);
+  assert.equal(res.headers.get('x-origem'), 'rede');
+  assert.deepEqual(await res.json(), { preco: 2 });
+  assert.equal(interceptor.stats().replaced, 1);
+
+  // Sem mudança: a resposta original, com o corpo já lido
+  const passthrough = new RequestInterceptor({ onResponse: () => undefined });
+  const same = await passthrough.handle(request('https://loja.example/api', 'fetch'), fakeSend('ok').send);
+  assert.equal(await same.text(), 'ok');
+  assert.equal(passthrough.stats().replaced, 0);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { LinkScheduler, renderLinkAndExtractMarkdown, extractFilteredLinks } = require('../src/linkprocessors');
+const { Limiter } = require('../src/limiter');
+
+// Render de mentira que só termina quando é abortado (o slot da janela fica preso até lá)
+function hangingRender(seen) {
+  return (url, opts) => new Promise((resolve, reject) => {
+    seen.push({ url, signal: opts.signal });
+    opts.signal.addEventListener('abort', () => setImmediate(() => reject(new Error('aborted'))), { once: true });
+  });
+}
+
+test('an expired budget aborts the running render and frees its window slot', async () => {
+  const seen = [];
+  const windows = new Limiter(1);
+  const scheduler = new LinkScheduler({ budget: 100, windows, render: hangingRender(seen) });
+  const started = Date.now();
+  const record = await scheduler.schedule('https://loja.example/carro/1');
+  assert.equal(record.error, 'link budget of 100ms exhausted');
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(seen[0].signal.aborted, true);
+  await new Promise(r => setImmediate(r));
+  await new Promise(r => setImmediate(r));
+  assert.equal(windows.active, 0);
+
+  // Orçamento esgotado: o próximo link nem abre janela
+  const skipped = await scheduler.schedule('https://loja.example/carro/2');
+  assert.equal(skipped.error, 'link budget of 100ms exhausted');
+  assert.equal(seen.length, 1);
+  assert.deepEqual(scheduler.stats(), { rendered: 0, failed: 1, skipped: 1, reused: 0, urls: 2, maxLinks: 10, budget: 100 });
+});
+
+test('aborting the run aborts the renders in flight', async () => {
+  const seen = [];
+  const run = new AbortController();
+  const scheduler = new LinkScheduler({ windows: new Limiter(2), render: hangingRender(seen) });
+  const pending = scheduler.renderAll(['https://loja.example/a', 'https://loja.example/b'], { fetchOpts: { signal: run.signal } });
+  await new Promise(r => setTimeout(r, 20));
+  run.abort();
+  const records = await pending;
+  assert.deepEqual(records.map(r => r.error), ['aborted', 'aborted']);
+  assert.ok(seen.every(s => s.signal.aborted));
+});
+
+test('each URL renders once and maxLinks caps the distinct URLs', async () => {
+  let calls = 0;
+  const scheduler = new LinkScheduler({ maxLinks: 2, windows: new Limiter(2), render: async (url) => { calls++; return `# ${url}`; } });
+  const records = await scheduler.renderAll(['https://x.example/1', 'https://x.example/2', 'https://x.example/1', 'https://x.example/3']);
+  assert.deepEqual(records.map(r => r.markdown), ['# https://x.example/1', '# https://x.example/2', '# https://x.example/1']);
+  assert.equal(calls, 2);
+  assert.deepEqual(scheduler.stats(), { rendered: 2, failed: 0, skipped: 0, reused: 1, urls: 2, maxLinks: 2, budget: 60000 });
+});
+
+test('renderLinkAndExtractMarkdown closes the window when its signal aborts', async (t) => {
+  // Página curta (vai para o jsdom) que nunca sossega: o DOM muda a cada 50 ms
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end('<!doctype html><html><body><p id="x">carregando</p><script>setInterval(() => { document.getElementById("x").textContent = Date.now(); }, 50);</script></body></html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 300);
+  const started = Date.now();
+  await assert.rejects(renderLinkAndExtractMarkdown(url, { signal: controller.signal, timeout: 10000 }), { name: 'AbortError' });
+  assert.ok(Date.now() - started < 3000, `took ${Date.now() - started} ms`);
+});
+
+test('extractFilteredLinks resolves hrefs and drops images, anchors and javascript:', () => {
+  const html = '<a href="/carro/1">1</a><a href="#topo">topo</a><a href="javascript:void(0)">x</a><a href="/foto.JPG">foto</a><a href="mailto:a@b.c">mail</a><a href="https://outra.example/p">p</a>';
+  assert.deepEqual(extractFilteredLinks(html, 'https://loja.example/estoque'), ['https://loja.example/carro/1', 'https://outra.example/p']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { performLogin, parseLoginField, loginFromOptions } = require('../src/login');
+const { openCookieJar, listCookies } = require('../src/cookies');
+
+// /login: formulário clássico (POST /entrar), e-mail e senha obrigatórios; /entrar devolve o cookie de sessão
+function startServer() {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    if (req.url === '/login') {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      return res.end(`<!doctype html><html><body><form method="post" action="/entrar">
+        <input name="email" type="email" required><input name="senha" type="password" required minlength="4">
+      </form></body></html>`);
+    }
+    if (req.url === '/entrar' && req.method === 'POST') {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        posts.push(body);
+        res.writeHead(200, { 'content-type': 'text/html', 'set-cookie': 'sessao=abc123; Path=/; HttpOnly' });
+        res.end('<p>ok</p>');
+      });
+      return;
+    }
+    res.writeHead(404); res.end();
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, posts, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+test('parseLoginField splits on the first "=" outside brackets and reads env:', () => {
+  assert.deepEqual(parseLoginField('#email=ana@example.com'), { selector: '#email', value: 'ana@example.com' });
+  assert.deepEqual(parseLoginField('input[name=senha]=a=b'), { selector: 'input[name=senha]', value: 'a=b' });
+  process.env.LOGIN_TEST_PASS = 's3gredo';
+  assert.deepEqual(parseLoginField('#senha=env:LOGIN_TEST_PASS'), { selector: '#senha', value: 's3gredo' });
+  assert.throws(() => parseLoginField('#senha=env:LOGIN_TEST_NAO_EXISTE'), /LOGIN_TEST_NAO_EXISTE is not set/);
+  assert.throws(() => parseLoginField('semvalor'), /expected selector=value/);
+  assert.throws(() => loginFromOptions({ loginUrl: 'https://x.example/login' }), /at least one --login-field/);
+  assert.equal(loginFromOptions({}), null);
+});
+
+test('the fields\' form is submitted with requestSubmit and the session cookie lands in the jar', async (t) => {
+  const { server, posts, base } = await startServer();
+  t.after(() => server.close());
+  const cookieJar = openCookieJar();
+  const login = { url: `${base}/login`, fields: [{ selector: '[name=email]', value: 'ana@example.com' }, { selector: '[name=senha]', value: 'abcd' }], submit: null };
+  const result = await performLogin(login, { cookieJar }, { timeout: 2000 });
+  assert.deepEqual(result, { url: login.url, method: 'form', status: 200, cookies: 1 });
+  assert.deepEqual(posts, ['email=ana%40example.com&senha=abcd']);
+  assert.equal(listCookies(cookieJar)[0].name, 'sessao');
+});
+
+test('an invalid form is reported instead of silently not submitting', async (t) => {
+  const { server, posts, base } = await startServer();
+  t.after(() => server.close());
+  const login = { url: `${base}/login`, fields: [{ selector: '[name=email]', value: 'não é email' }], submit: null };
+  await assert.rejects(performLogin(login, { cookieJar: openCookieJar() }, { timeout: 2000 }), /Login form is invalid: email, senha/);
+  assert.equal(posts.length, 0);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { compileQuery, parseQuery, splitQueryList, fuzzyIncludes, normalizeText, readableText } = require('../src/matching');
+
+const card = 'Jeep Renegade Sport 2019 — Câmbio  Automático, motor Flex 1.8, 45.000 km';
+
+test('phrases are accent, case and whitespace insensitive', () => {
+  const cases = [
+    ['cambio automatico', true],
+    ['CÂMBIO AUTOMÁTICO', true],
+    ['"cambio automatico"', true],
+    ['automatico cambio', false],
+    ['"jeep renegade sport"', true],
+    ['renegade trailhawk', false]
+  ];
+  for (const [query, expected] of cases) assert.equal(compileQuery(query).test(card), expected, query);
+  assert.equal(normalizeText('  Ação\n\tRÁPIDA '), 'acao rapida');
+});
+
+test('boolean operators, parentheses and adjacent terms', () => {
+  const cases = [
+    ['jeep AND (flex OR diesel)', true],
+    ['jeep AND (gasolina OR diesel)', false],
+    ['diesel OR flex', true],
+    ['renegade NOT trailhawk', true],
+    ['renegade NOT sport', false],
+    ['NOT (diesel OR eletrico)', true],
+    ['"jeep" "flex"', true],
+    ['"jeep" "diesel"', false],
+    ['jeep AND NOT NOT flex', true]
+  ];
+  for (const [query, expected] of cases) assert.equal(compileQuery(query).test(card), expected, query);
+  // Palavras soltas viram uma frase; termos de outro tipo são ANDed
+  assert.deepEqual(parseQuery('jeep renegade'), { type: 'phrase', value: 'jeep renegade' });
+  assert.equal(parseQuery('"jeep" /flex/').type, 'and');
+  // Operadores só em maiúsculas
+  assert.deepEqual(parseQuery('jeep or flex'), { type: 'phrase', value: 'jeep or flex' });
+});
+
+test('regex terms run on normalized text', () => {
+  const cases = [
+    ['/\\bsport\\b/', true],
+    ['/\\d{2}\\.\\d{3} km/', true],
+    ['/cambio\\s+automatico/', true],
+    ['/câmbio/', true],
+    ['/^jeep/', true],
+    ['renegade NOT /\\bsport\\b/', false],
+    ['/trail(hawk)?/', false]
+  ];
+  for (const [query, expected] of cases) assert.equal(compileQuery(query).test(card), expected, query);
+});
+
+test('fuzzy matches phrases of 4+ characters within n edits', () => {
+  assert.equal(compileQuery('renegad').test(card), true);
+  assert.equal(compileQuery('renagade').test(card), false);
+  assert.equal(compileQuery('renagade', { fuzzy: 1 }).test(card), true);
+  assert.equal(compileQuery('rengaed', { fuzzy: 1 }).test(card), false);
+  assert.equal(compileQuery('rengaed', { fuzzy: 2 }).test(card), true);
+  // Termos curtos não viram fuzzy
+  assert.equal(compileQuery('jep', { fuzzy: 1 }).test(card), false);
+  assert.equal(fuzzyIncludes('automatico', 'autmatico', 1), true);
+  assert.equal(fuzzyIncludes('automatico', 'manual', 2), false);
+});
+
+test('locate ignores NOT and count gives the positive term occurrences', () => {
+  const matcher = compileQuery('renegade NOT sport');
+  assert.equal(matcher.test(card), false);
+  assert.equal(matcher.locate(card), true);
+  assert.equal(compileQuery('jeep OR /\\d+ km/').count('Jeep jeep, 10 km e 20 km'), 4);
+  assert.deepEqual(matcher.terms.map(t => t.value), ['renegade']);
+});
+
+test('query errors and comma-separated lists', () => {
+  assert.throws(() => compileQuery('"aberta'), /Unterminated quote/);
+  assert.throws(() => compileQuery('/abc'), /Unterminated regex/);
+  assert.throws(() => compileQuery('(jeep OR flex'), /Missing "\)"/);
+  assert.throws(() => compileQuery('/[/'), /Invalid regex/);
+  assert.throws(() => compileQuery('  '), /Empty query/);
+  assert.deepEqual(splitQueryList('2021, "sport, flex", /a,b/, (x, y)'), ['2021', '"sport, flex"', '/a,b/', '(x, y)']);
+});
+
+test('readableText separates blocks and skips scripts', () => {
+  const { document } = new JSDOM('<div><h2>Jeep<span>Renegade</span></h2><p>Flex</p><script>var x = "jeep";</script></div>').window;
+  const text = normalizeText(readableText(document.querySelector('div')));
+  assert.equal(text, 'jeeprenegade flex');
+  assert.equal(compileQuery('renegade flex').test(readableText(document.body)), true);
+});
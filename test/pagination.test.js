@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { JSDOM } = require('jsdom');
+const { findNextPageUrl, pageNumberFromUrl, scrapePaginated } = require('../src/pagination');
+
+const doc = (body, head = '') => new JSDOM(`<!doctype html><html><head>${head}</head><body>${body}</body></html>`).window.document;
+
+test('pageNumberFromUrl reads ?page=N and /page/N', () => {
+  assert.deepEqual(pageNumberFromUrl('https://loja.example/lista?pagina=3'), { param: 'pagina', page: 3 });
+  assert.deepEqual(pageNumberFromUrl('https://loja.example/blog/page/2/'), { path: 'page', page: 2 });
+  assert.equal(pageNumberFromUrl('https://loja.example/lista?page=ultima'), null);
+});
+
+test('findNextPageUrl: rel=next, next anchors, numbered pagers, page params and URL patterns', () => {
+  const base = 'https://loja.example/lista';
+  const cases = [
+    ['rel=next in the head', doc('', '<link rel="next" href="/lista?page=2">'), base, `${base}?page=2`, 'rel_next'],
+    ['rel=next anchor', doc('<a rel="prev" href="/antes">‹</a><a rel="next nofollow" href="/depois#topo">ir</a>'), base, 'https://loja.example/depois', 'rel_next'],
+    ['"Próxima" anchor', doc('<a href="/lista/2">Próxima página »</a>'), base, `${base}/2`, 'next_anchor'],
+    ['arrow-only anchor', doc('<nav><a href="/lista/b">›</a></nav>'), base, `${base}/b`, 'next_anchor'],
+    ['numbered pager', doc('<ul><li><a href="/lista">1</a></li><li><a href="/lista/segunda">2</a></li><li><a href="/lista/terceira">3</a></li></ul>'), base, `${base}/segunda`, 'numbered_pager'],
+    ['pager link with the next page param', doc('<a href="?page=1">primeira</a><a href="?page=3">ver mais</a>'), `${base}?page=2`, `${base}?page=3`, 'page_param'],
+    ['?page=N increment', doc('<p>sem pager</p>'), `${base}?page=2&ordem=preco`, `${base}?page=3&ordem=preco`, 'url_pattern'],
+    ['/page/N increment', doc(''), 'https://loja.example/blog/page/4/', 'https://loja.example/blog/page/5/', 'url_pattern']
+  ];
+  for (const [name, document, url, expected, method] of cases) {
+    assert.deepEqual(findNextPageUrl(document, url), { url: expected, method }, name);
+  }
+  // Um "2" solto não é pager
+  assert.equal(findNextPageUrl(doc('<p><a href="/lista/x">2</a></p>'), base), null);
+  assert.equal(findNextPageUrl(doc('<a href="/outra">Sobre</a>'), base), null);
+});
+
+test('findNextPageUrl skips the current and visited pages', () => {
+  const document = doc('<a rel="next" href="/lista?page=1">próxima</a><a href="/lista?page=3">3</a>');
+  const visited = new Set(['https://loja.example/lista?page=1']);
+  assert.deepEqual(findNextPageUrl(document, 'https://loja.example/lista?page=2', visited), { url: 'https://loja.example/lista?page=3', method: 'page_param' });
+  assert.equal(findNextPageUrl(doc('<a rel="next" href="/lista">próxima</a>'), 'https://loja.example/lista'), null);
+});
+
+// Listagem paginada: cada página tem cards de carro e um pager
+const cars = {
+  1: ['Jeep Renegade Sport 2019', 'Jeep Renegade Longitude 2021'],
+  2: ['Jeep Renegade Trailhawk 2022', 'Jeep Renegade Longitude 2021', 'Jeep Renegade Moab 2020'],
+  3: ['Jeep Renegade Trailhawk 2022', 'Jeep Renegade Moab 2020']
+};
+const card = (name) => `<article class="card"><h2>${name}</h2><p>Câmbio automático, revisado, único dono.</p><span class="preco">R$ 90.000</span></article>`;
+const page = (cards, pager) => `<!doctype html><html><head><title>Estoque</title></head><body><main>${cards.map(card).join('')}</main><nav>${pager}</nav></body></html>`;
+
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const u = new URL(req.url, 'http://x');
+    let html = null;
+    if (u.pathname === '/estoque') {
+      const n = Number(u.searchParams.get('page') || 1);
+      // 1 -> 2 por rel=next, 2 -> 3 por "Próxima"; a 3 só repete cards já vistos
+      const pager = n === 1 ? '<a rel="next" href="/estoque?page=2">mais</a>' : (n === 2 ? '<a href="/estoque?page=3">Próxima</a>' : '');
+      if (cars[n]) html = page(cars[n], pager);
+    } else if (u.pathname.startsWith('/circulo/')) {
+      // /circulo/a -> /circulo/b -> /circulo/a
+      const self = u.pathname.slice(-1);
+      const other = self === 'a' ? 'b' : 'a';
+      html = page(self === 'a' ? cars[1] : cars[3], `<a href="/circulo/${other}">Próxima</a>`);
+    } else if (u.pathname === '/artigo') {
+      // Ignora ?page=N: todas as páginas são iguais
+      html = `<!doctype html><html><body><article><h1>Como trocar o óleo</h1>${'<p>Texto longo do artigo sobre a troca de óleo do motor.</p>'.repeat(8)}</article><a href="?page=2">2</a></body></html>`;
+    }
+    if (!html) { res.writeHead(404); return res.end(); }
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+const run = (url, opts) => scrapePaginated(url, { term: 'renegade', renderLinks: false, robots: false, ...opts });
+
+test('scrapePaginated follows rel=next and "Próxima" and dedups fragments across pages', async (t) => {
+  const { server, base } = await startServer();
+  t.after(() => server.close());
+  const result = await run(`${base}/estoque`, { paginate: 5 });
+  assert.deepEqual(result.pages.map(p => [p.url.replace(base, ''), p.method, p.fragments]), [
+    ['/estoque', 'start', 2],
+    ['/estoque?page=2', 'rel_next', 2],
+    ['/estoque?page=3', 'next_anchor', 0]
+  ]);
+  const names = result.fragments.map(f => f.markdown.match(/Renegade (\w+)/)[1]);
+  assert.deepEqual(names.sort(), ['Longitude', 'Moab', 'Sport', 'Trailhawk']);
+  assert.deepEqual(result.fragments.map(f => f.index), [1, 2, 3, 4]);
+});
+
+test('scrapePaginated stops at the page limit', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const result = await run(`${base}/estoque`, { paginate: 2 });
+  assert.equal(result.pages.length, 2);
+  assert.deepEqual(requests, ['/estoque', '/estoque?page=2']);
+});
+
+test('scrapePaginated does not loop on pagers that lead back or repeat the page', async (t) => {
+  const { server, requests, base } = await startServer();
+  t.after(() => server.close());
+  const circle = await run(`${base}/circulo/a`, { paginate: 10 });
+  assert.deepEqual(circle.pages.map(p => p.url.replace(base, '')), ['/circulo/a', '/circulo/b']);
+
+  // Sem --term (página inteira): a página 2 igual à 1 encerra a paginação
+  requests.length = 0;
+  const article = await scrapePaginated(`${base}/artigo`, { mainContent: 'page', renderLinks: false, paginate: 10 });
+  assert.equal(article.pages.length, 1);
+  assert.deepEqual(requests, ['/artigo', '/artigo?page=2']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { performRadialSearch, countRepeatedSiblings, elementSignature } = require('../src/radialsearch');
+
+const card = (model, extra = '') => `
+  <div class="card destaque">
+    <h3>${model}</h3>
+    <ul class="specs"><li>Flex</li><li>Automático</li><li>${extra || '2020'}</li></ul>
+    <span class="preco">R$ 90.000</span>
+  </div>`;
+
+const listing = `<!doctype html><html><body>
+  <header><nav><a href="/">Início</a><a href="/jeep">Jeep</a></nav></header>
+  <main><section class="grade">
+    ${card('Jeep Renegade Sport')}
+    ${card('Fiat Toro Volcano')}
+    ${card('Jeep Renegade Longitude', 'Renegade com teto solar, Renegade revisado')}
+    ${card('VW Nivus')}
+  </section></main>
+  <footer><p>Loja de seminovos</p></footer>
+</body></html>`;
+
+const search = (html, term, opts) => performRadialSearch(new JSDOM(html).window.document, term, opts);
+const title = (fragment) => new JSDOM(fragment.html).window.document.querySelector('h3').textContent;
+
+test('a match expands to its repeated card, not to the spec list inside it', () => {
+  const { document } = new JSDOM(listing).window;
+  const li = document.querySelector('.specs li');
+  assert.equal(countRepeatedSiblings(li), 3);
+  assert.equal(countRepeatedSiblings(li.closest('.card')), 4);
+  assert.equal(elementSignature(li.closest('.card')), 'DIV|card.destaque');
+
+  const fragments = search(listing, 'renegade');
+  assert.equal(fragments.length, 2);
+  assert.ok(fragments.every(f => f.method === 'repeated_card' && f.repeatCount === 4));
+  assert.ok(fragments.every(f => f.selector === fragments[0].selector));
+});
+
+test('several matches inside one card give one fragment', () => {
+  // Longitude tem "Renegade" no título e duas vezes nas specs
+  const fragments = search(listing, 'renegade OR flex');
+  assert.deepEqual(fragments.map(title).sort(), ['Fiat Toro Volcano', 'Jeep Renegade Longitude', 'Jeep Renegade Sport', 'VW Nivus']);
+  assert.equal(new Set(fragments.map(f => f.html)).size, 4);
+});
+
+test('fragments are ranked by term density, ties in document order', () => {
+  const fragments = search(listing, 'renegade');
+  assert.deepEqual(fragments.map(title), ['Jeep Renegade Longitude', 'Jeep Renegade Sport']);
+  assert.deepEqual(fragments.map(f => f.matches), [3, 1]);
+  assert.ok(fragments[0].score > fragments[1].score);
+
+  // Mesma densidade (cards do mesmo tamanho): ordem do documento
+  const same = `<!doctype html><html><body><main>${['Carro C', 'Carro A', 'Carro B'].map(m => card(m)).join('')}</main></body></html>`;
+  assert.deepEqual(search(same, 'automatico').map(title), ['Carro C', 'Carro A', 'Carro B']);
+});
+
+test('NOT is checked against the whole card', () => {
+  const fragments = search(listing, 'renegade NOT "teto solar"');
+  assert.deepEqual(fragments.map(title), ['Jeep Renegade Sport']);
+});
+
+test('without repeated siblings the fixed radius is used, and overlapping fragments merge into the ancestor', () => {
+  const html = `<!doctype html><html><body><main><article>
+    <div class="intro"><p>O <b>Renegade</b> 2024 chegou.</p></div>
+    <div class="ficha"><p>Motor do Renegade: 1.3 turbo.</p></div>
+  </article></main></body></html>`;
+  const fragments = search(html, 'renegade', { radiusLevels: 2 });
+  assert.equal(fragments.length, 1);
+  assert.equal(fragments[0].method, 'fixed_radial');
+  assert.match(fragments[0].html, /^<article>/);
+  assert.equal(fragments[0].matches, 2);
+
+  // mode 'fixed' ignora os cards
+  const fixed = search(listing, 'longitude', { mode: 'fixed', radiusLevels: 1 });
+  assert.equal(fixed[0].method, 'fixed_radial');
+  assert.match(fixed[0].html, /^<div class="card destaque">/);
+});
+
+test('a query with no positive term is rejected', () => {
+  assert.throws(() => search(listing, 'NOT renegade'), /needs at least one positive term/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { scrape } = require('../src');
+
+// Gravado com: node scrape.js http://127.0.0.1:8799/estoque --term renegade --no-render-links --record test/fixtures/loja.har
+// A listagem vem de /static/app.js: fetch() de /api/estoque.json e XHR de /api/destaque
+const fixture = path.join(__dirname, 'fixtures', 'loja.har');
+const url = 'http://127.0.0.1:8799/estoque';
+
+test('replays the recorded page through the jsdom tier, offline', async () => {
+  const result = await scrape(url, { term: 'renegade', renderLinks: false, replay: fixture });
+  assert.equal(result.tier, 'jsdom');
+  assert.deepEqual(result.errors, []);
+  const models = result.fragments.map(f => f.markdown.match(/## (.+)/)[1]).sort();
+  assert.deepEqual(models, ['Jeep Renegade Longitude', 'Jeep Renegade Sport']);
+  assert.ok(result.fragments.every(f => f.method === 'repeated_card' && f.sourceUrl === url));
+  assert.doesNotMatch(result.content, /Toro/);
+});
+
+test('detalhe filters the replayed fragments', async () => {
+  const result = await scrape(url, { term: 'renegade', detalhe: ['2021'], renderLinks: false, replay: fixture });
+  assert.equal(result.fragments.length, 1);
+  assert.match(result.fragments[0].markdown, /Longitude/);
+});
+
+test('a schema extracts typed records from the replayed page', async () => {
+  const schema = {
+    name: 'veiculo',
+    list: 'article.veiculo',
+    fields: { modelo: 'h2', ano: { selector: '.ano', type: 'integer' }, preco: { selector: '.preco', type: 'brl' } }
+  };
+  const result = await scrape(url, { schema, renderLinks: false, replay: fixture });
+  assert.deepEqual(result.records.map(r => r.data), [
+    { modelo: 'Jeep Renegade Longitude', ano: 2021, preco: 98900 },
+    { modelo: 'Jeep Renegade Sport', ano: 2019, preco: 79500 },
+    { modelo: 'Fiat Toro Volcano', ano: 2022, preco: 139900 }
+  ]);
+});
+
+test('a request missing from the archive fails instead of going to the network', async () => {
+  await assert.rejects(
+    scrape('http://127.0.0.1:8799/outra-pagina', { term: 'renegade', renderLinks: false, replay: fixture }),
+    /All methods failed: Not in HAR archive \(replay mode\)/
+  );
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Response } = require('undici');
+const { classifyError, classifyStatus, parseRetryAfter, backoffDelay, resolveRetryPolicy, defaultRetryPolicy } = require('../src/retry');
+
+const withCode = (code, message = code) => Object.assign(new Error(message), { code });
+// Erro do undici: o código vem no cause
+const fetchFailed = (code) => new TypeError('fetch failed', { cause: withCode(code, `connect ${code}`) });
+
+test('classifyError: DNS and TLS failures are fatal', () => {
+  assert.deepEqual(
+    [classifyError(fetchFailed('ENOTFOUND')), classifyError(fetchFailed('CERT_HAS_EXPIRED')), classifyError(fetchFailed('ERR_TLS_CERT_ALTNAME_INVALID'))].map(f => [f.kind, f.retryable]),
+    [['dns', false], ['tls', false], ['tls', false]]
+  );
+  assert.equal(classifyError(fetchFailed('EAI_AGAIN')).retryable, true);
+});
+
+test('classifyError: resets and timeouts are retried for idempotent methods only', () => {
+  for (const code of ['ECONNRESET', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']) {
+    assert.equal(classifyError(fetchFailed(code), 'GET').retryable, true, code);
+    assert.equal(classifyError(fetchFailed(code), 'POST').retryable, false, code);
+  }
+});
+
+test('classifyError: a POST that never reached the server may be retried', () => {
+  const refused = classifyError(fetchFailed('ECONNREFUSED'), 'POST');
+  assert.deepEqual([refused.kind, refused.retryable, refused.code], ['connect', true, 'ECONNREFUSED']);
+  assert.equal(classifyError(fetchFailed('UND_ERR_CONNECT_TIMEOUT'), 'POST').retryable, true);
+});
+
+test('classifyError: aborts are not retried and the cause is kept in the message', () => {
+  const abort = Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+  assert.deepEqual([classifyError(abort).kind, classifyError(abort).retryable], ['aborted', false]);
+  assert.equal(classifyError(fetchFailed('ECONNRESET')).message, 'fetch failed: connect ECONNRESET');
+});
+
+test('classifyStatus: 2xx-4xx pass, listed statuses retry, other 5xx fail at once', () => {
+  const policy = resolveRetryPolicy();
+  const status = (code, headers, method) => classifyStatus(new Response(null, { status: code, headers }), policy, method);
+  assert.equal(status(200), null);
+  assert.equal(status(404), null);
+  assert.deepEqual([status(502).kind, status(502).retryable, status(502).status], ['http', true, 502]);
+  assert.equal(status(501).retryable, false);
+  assert.equal(status(429).retryable, true);
+});
+
+test('classifyStatus: Retry-After sets the wait and lets a POST retry', () => {
+  const policy = resolveRetryPolicy();
+  const busy = classifyStatus(new Response(null, { status: 503, headers: { 'retry-after': '7' } }), policy, 'POST');
+  assert.deepEqual([busy.retryable, busy.retryAfter], [true, 7000]);
+  const noHeader = classifyStatus(new Response(null, { status: 503 }), policy, 'POST');
+  assert.deepEqual([noHeader.retryable, noHeader.retryAfter], [false, null]);
+  // Retry-After só vale para 429/503
+  assert.equal(classifyStatus(new Response(null, { status: 502, headers: { 'retry-after': '7' } }), policy).retryAfter, null);
+});
+
+test('parseRetryAfter: seconds or an HTTP date', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Sun, 31 Dec 2023 23:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('backoffDelay: exponential with full jitter, capped at maxDelay', () => {
+  const policy = resolveRetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: false });
+  assert.deepEqual([1, 2, 3, 4, 5].map(n => backoffDelay(n, policy)), [100, 200, 400, 800, 1000]);
+  const jittered = resolveRetryPolicy({ baseDelay: 100, maxDelay: 1000 });
+  for (let i = 0; i < 50; i++) {
+    const delay = backoffDelay(3, jittered);
+    assert.ok(delay >= 0 && delay < 400, String(delay));
+  }
+});
+
+test('resolveRetryPolicy: a number is maxAttempts, an object is merged over the base', () => {
+  assert.equal(resolveRetryPolicy({ baseDelay: 5 }, 1).maxAttempts, 1);
+  assert.equal(resolveRetryPolicy({ baseDelay: 5 }, 1).baseDelay, 5);
+  assert.equal(resolveRetryPolicy(null, { maxAttempts: 0 }).maxAttempts, 1);
+  assert.deepEqual(resolveRetryPolicy(), defaultRetryPolicy);
+});
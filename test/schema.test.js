@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadSchema, extractWithSchema, parseNumber } = require('../src/schema');
+
+const html = `<!doctype html><html><body>
+  <article class="carro" data-id="a1">
+    <h3>Jeep Renegade</h3><span class="preco">R$ 89.900,00</span><span class="km">45.000 km</span>
+    <a href="/carro/a1">ver</a><img data-src="/img/a1.jpg">
+  </article>
+  <article class="carro" data-id="a2">
+    <h3>Fiat Toro</h3><span class="preco">R$ 139.900</span><span class="km">12.500 km</span>
+    <a href="/carro/a2">ver</a>
+  </article>
+  <article class="carro" data-id="a3">
+    <h3>Sem preço</h3><span class="preco">consulte</span><span class="km">0 km</span>
+  </article>
+</body></html>`;
+const url = 'https://loja.example/estoque';
+const document = new JSDOM(html, { url }).window.document;
+
+test('parseNumber tells thousands from decimal separators', () => {
+  const cases = [
+    ['1.234', 1234],
+    ['2.0', 2],
+    ['1,5', 1.5],
+    ['45.000 km', 45000],
+    ['1.234.567', 1234567],
+    ['1,234.5', 1234.5],
+    ['R$ 89.900,00', 89900],
+    ['-3,25', -3.25],
+    ['12 500', 12500],
+    ['sem número', NaN]
+  ];
+  for (const [text, expected] of cases) assert.equal(parseNumber(text), expected, text);
+  // Separador decimal explícito (como no brl): o ponto é sempre milhar
+  assert.equal(parseNumber('1.234', ','), 1234);
+  assert.equal(parseNumber('2,5', ','), 2.5);
+});
+
+test('brl, integer and url fields are typed; XPath attribute nodes give their value', () => {
+  const schema = {
+    name: 'carros',
+    list: 'article.carro',
+    fields: {
+      modelo: 'h3',
+      id: { xpath: './@data-id' },
+      preco: { selector: '.preco', type: 'brl' },
+      km: { xpath: ".//span[contains(., 'km')]", type: 'integer' },
+      url: { selector: 'a', type: 'url' }
+    }
+  };
+  const { records } = extractWithSchema(document, schema, { url });
+  assert.deepEqual(records[0].data, { modelo: 'Jeep Renegade', id: 'a1', preco: 89900, km: 45000, url: 'https://loja.example/carro/a1' });
+  assert.deepEqual(records[1].data, { modelo: 'Fiat Toro', id: 'a2', preco: 139900, km: 12500, url: 'https://loja.example/carro/a2' });
+});
+
+test('required fields fail the item; optional ones fall back to their default', () => {
+  const schema = {
+    name: 'carros',
+    list: '//article[@class="carro"]',
+    fields: {
+      modelo: 'h3',
+      preco: { selector: '.preco', type: 'brl' },
+      imagem: { selector: 'img', attr: 'data-src', type: 'url', default: null },
+      loja: { selector: '.loja', default: 'matriz' }
+    }
+  };
+  const { items, records, invalid } = extractWithSchema(document, schema, { url });
+  assert.equal(items, 3);
+  assert.deepEqual(records.map(r => [r.index, r.data.imagem, r.data.loja]), [
+    [1, 'https://loja.example/img/a1.jpg', 'matriz'],
+    [2, null, 'matriz']
+  ]);
+  // Item inválido: índice, motivo e os campos que deram certo
+  assert.equal(invalid.length, 1);
+  assert.equal(invalid[0].index, 3);
+  assert.deepEqual(invalid[0].errors, ['preco: "consulte" is not a valid brl']);
+  assert.equal(invalid[0].data.modelo, 'Sem preço');
+});
+
+test('a missing required match is reported with its selector', () => {
+  const { records, invalid } = extractWithSchema(document, { list: 'article.carro', fields: { link: 'a' } });
+  assert.equal(records.length, 2);
+  assert.deepEqual(invalid.map(r => r.errors), [['link: nothing matches selector "a"']]);
+});
+
+test('loadSchema rejects malformed schemas', () => {
+  assert.throws(() => loadSchema({ name: 'x', fields: {} }), /Schema "x" needs a "fields" map/);
+  assert.throws(() => loadSchema({ name: 'x', fields: { a: { selector: 'a', type: 'date' } } }), /field "a": unknown type "date"/);
+  assert.throws(() => loadSchema({ name: 'x', fields: { a: { selector: 'a', xpath: '//a' } } }), /use either selector or xpath/);
+  assert.equal(loadSchema({ fields: { a: { selector: 'a', default: 0 } } }).fields[0].required, false);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFetchOpts } = require('../src/scraper');
+
+test('runs with the same TLS setting and timeouts share one agent', () => {
+  const first = createFetchOpts({});
+  const second = createFetchOpts({ term: 'outra' });
+  assert.equal(first.dispatcher, second.dispatcher);
+  assert.notEqual(createFetchOpts({ insecure: false }).dispatcher, first.dispatcher);
+  assert.notEqual(createFetchOpts({ connectTimeout: 1234 }).dispatcher, first.dispatcher);
+  assert.equal(createFetchOpts({ connectTimeout: 1234 }).dispatcher, createFetchOpts({ connectTimeout: 1234 }).dispatcher);
+});
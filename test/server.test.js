@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createServer, parseScrapeRequest } = require('../src/server');
+
+const fixture = path.join(__dirname, 'fixtures', 'loja.har');
+const url = 'http://127.0.0.1:8799/estoque';
+
+test('parseScrapeRequest clamps requestTimeout, maxLinks and linkTimeout to the server limits', () => {
+  const limits = { requestTimeout: 60000, maxRequestLinks: 5, maxLinkTimeout: 20000 };
+  const big = parseScrapeRequest({ url, term: 'x', maxLinks: 500, linkTimeout: 600000, requestTimeout: 3600000 }, {}, limits);
+  assert.equal(big.requestTimeout, 60000);
+  assert.equal(big.options.maxLinks, 5);
+  assert.equal(big.options.linkTimeout, 20000);
+
+  const small = parseScrapeRequest({ url, term: 'x', maxLinks: 2, linkTimeout: 5000, requestTimeout: 1000 }, {}, limits);
+  assert.deepEqual([small.requestTimeout, small.options.maxLinks, small.options.linkTimeout], [1000, 2, 5000]);
+
+  // Sem valores no corpo: o limite do servidor e os padrões do scrape()
+  const none = parseScrapeRequest({ url, term: 'x' });
+  assert.equal(none.requestTimeout, 120000);
+  assert.equal(none.options.maxLinks, undefined);
+});
+
+test('parseScrapeRequest rejects options the service does not accept', () => {
+  const bad = (body, re) => assert.throws(() => parseScrapeRequest(body), (e) => e.status === 400 && re.test(e.message));
+  bad({ term: 'x' }, /Missing "url"/);
+  bad({ url: 'nota url', term: 'x' }, /Invalid "url"/);
+  bad({ url, term: 'x', cacheDir: '/tmp' }, /Option "cacheDir" is not accepted/);
+  bad({ url, term: 'x', schema: 'schema.json' }, /inline schema object/);
+  bad({ url, term: 'x', maxLinks: 0 }, /maxLinks/);
+  bad({ url }, /Missing "term"/);
+  assert.equal(parseScrapeRequest({ url }, { mainContent: 'page' }).options.term, undefined);
+});
+
+test('POST /scrape serves the replayed page; non-JSON bodies get 415', async (t) => {
+  const server = createServer({ defaults: { replay: fixture, renderLinks: false } });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (body, type = 'application/json') => fetch(`${base}/scrape`, { method: 'POST', headers: { 'content-type': type }, body });
+
+  const res = await post(JSON.stringify({ url, term: 'renegade', format: 'json', maxLinks: 99 }));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('x-scrape-tier'), 'jsdom');
+  const result = await res.json();
+  assert.deepEqual(result.records.map(r => r.type), ['fragment', 'fragment']);
+
+  assert.equal((await post('url=x', 'text/plain')).status, 415);
+  assert.equal((await post('{ quebrado')).status, 400);
+  assert.equal((await fetch(`${base}/scrape`)).status, 405);
+  const health = await (await fetch(`${base}/health`)).json();
+  assert.equal(health.served, 1);
+  assert.deepEqual(health.windows, { max: 2, active: 0, queued: 0 });
+});